@@ -0,0 +1,231 @@
+// End-to-end checks against a local anvil node
+//   anvil
+//   forge build
+//   node test/anvil_checks.js [check ...]     (default: every check)
+// Each check deploys its own exchange from out/ with anvil's default accounts (see
+// lib/anvil_fixture.js), so any fresh node works. ANVIL_RPC_URL (default http://127.0.0.1:8545) is
+// separate from RPC_URL, which .env or a NETWORK profile may point at a live network.
+// Checks that need blocks held back switch automining off and back on. Exits 1 if any check fails.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+
+const { deployExchangeFixture, fundTrader, signedTrade } = require('./lib/anvil_fixture');
+const { buildDomain, hashOrder } = require('./lib/orders');
+const { executionCall } = require('./lib/relayer');
+const { prepareCancellation, submitCancellation } = require('./lib/cancellation');
+const { INDEXER_VERSION, indexExchangeEvents, readIndexedEvents, readCheckpoint } = require('./lib/event_indexer');
+const { startRelayer } = require('./relayer');
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const ANVIL_CHAIN_ID = 31337;
+const WAIT_TIMEOUT = 30000;
+const POLL_INTERVAL = 100;
+
+async function waitFor(label, condition) {
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  for (;;) {
+    const value = await condition();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${label}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+async function request(url, method = "GET", body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function setAutomine(provider, enabled) {
+  await provider.send("evm_setAutomine", [enabled]);
+}
+
+// Relayer: duplicate posts, the signatures-contract check, status polling, and consecutive nonces
+// for transactions sent while earlier ones are still pending
+async function checkRelayer(provider) {
+  const fixture = await deployExchangeFixture(provider);
+  const [relayerWallet, sellerA, buyerA, sellerB, buyerB] = fixture.accounts;
+  for (const seller of [sellerA, sellerB]) {
+    await fundTrader(fixture, seller, "security", ethers.utils.parseEther("1000"));
+  }
+  for (const buyer of [buyerA, buyerB]) {
+    await fundTrader(fixture, buyer, "cash", ethers.utils.parseEther("10000"));
+  }
+
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-"));
+  const { server, relayer, url } = await startRelayer({
+    provider,
+    wallet: relayerWallet,
+    exchangeAddress: fixture.exchangeAddress,
+    statePath: path.join(stateDir, "state.json"),
+    port: 0
+  });
+  const status = async (id) => (await request(`${url}/trades/${id}`)).body;
+  const settled = (id, expected) => waitFor(`${id} to be ${expected}`, async () => {
+    const submission = await status(id);
+    return submission.status === expected ? submission : null;
+  });
+
+  try {
+    // Signed for the exchange rather than its signatures contract
+    const misdirected = await signedTrade(fixture, sellerA, buyerA, { domain: buildDomain(fixture.chainId, fixture.exchangeAddress) });
+    const refused = await request(`${url}/trades`, "POST", misdirected);
+    assert.strictEqual(refused.status, 422, JSON.stringify(refused.body));
+
+    // Two posts of one trade at once: only one is queued
+    const trade = await signedTrade(fixture, sellerA, buyerA);
+    const id = hashOrder(trade.order, trade.domain);
+    const firstNonce = await relayerWallet.getTransactionCount("pending");
+    const posts = await Promise.all([1, 2].map(() => request(`${url}/trades`, "POST", trade)));
+    assert.deepStrictEqual(posts.map((post) => post.status).sort(), [202, 409], JSON.stringify(posts.map((post) => post.body)));
+
+    const confirmed = await settled(id, "confirmed");
+    assert.strictEqual(confirmed.nonce, firstNonce);
+    assert.strictEqual((await request(`${url}/trades`, "POST", trade)).status, 409);
+
+    // With mining held back, two trades go out on consecutive nonces before either is mined
+    await setAutomine(provider, false);
+    const queued = [];
+    try {
+      for (const [seller, buyer] of [[sellerA, buyerA], [sellerB, buyerB]]) {
+        const next = await signedTrade(fixture, seller, buyer);
+        const post = await request(`${url}/trades`, "POST", next);
+        assert.strictEqual(post.status, 202, JSON.stringify(post.body));
+        queued.push(post.body.id);
+        await settled(post.body.id, "submitted");
+      }
+      const submitted = await Promise.all(queued.map(status));
+      assert.deepStrictEqual(submitted.map(({ nonce }) => nonce), [firstNonce + 1, firstNonce + 2]);
+      assert.strictEqual((await request(`${url}/health`)).body.nextNonce, firstNonce + 3);
+      assert.strictEqual((await request(`${url}/trades`)).body.length, 2);
+      await provider.send("evm_mine", []);
+    } finally {
+      await setAutomine(provider, true);
+    }
+    await Promise.all(queued.map((queuedId) => settled(queuedId, "confirmed")));
+    assert.strictEqual((await request(`${url}/trades`)).body.length, 0);
+  } finally {
+    relayer.stop();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  }
+}
+
+// Indexer: fills and cancellations become records, blocks above the confirmation depth wait, a
+// reorg drops and re-indexes what it replaced, and a checkpoint from another version is refused
+async function checkIndexer(provider) {
+  const fixture = await deployExchangeFixture(provider);
+  const [, seller, buyer] = fixture.accounts;
+  await fundTrader(fixture, seller, "security", ethers.utils.parseEther("1000"));
+  await fundTrader(fixture, buyer, "cash", ethers.utils.parseEther("10000"));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+  const index = (options = {}) => indexExchangeEvents(provider, {
+    exchangeAddress: fixture.exchangeAddress,
+    dir,
+    startBlock: fixture.startBlock,
+    confirmations: 0,
+    ...options
+  });
+  const indexed = (event, orderHash) => readIndexedEvents(dir)
+    .filter((record) => record.event === event && record.args.orderHash === orderHash).length;
+  const exchange = fixture.contracts.exchange.connect(fixture.owner);
+  const execute = async () => {
+    const trade = await signedTrade(fixture, seller, buyer);
+    const { method, args } = executionCall(trade);
+    await (await exchange[method](...args)).wait();
+    return hashOrder(trade.order, trade.domain);
+  };
+
+  try {
+    const filled = await execute();
+    const plan = await prepareCancellation(await signedTrade(fixture, seller, buyer), provider, { canceller: seller.address });
+    const { orderHash: cancelled } = await submitCancellation(plan, seller);
+    await index();
+    assert.strictEqual(indexed("SignedOrderExecuted", filled), 1);
+    assert.strictEqual(indexed("SignedOrderCancelled", cancelled), 1);
+
+    // Not indexed until it is two blocks deep
+    const deep = await execute();
+    await index({ confirmations: 2 });
+    assert.strictEqual(indexed("SignedOrderExecuted", deep), 0);
+    await provider.send("evm_mine", []);
+    await provider.send("evm_mine", []);
+    await index({ confirmations: 2 });
+    assert.strictEqual(indexed("SignedOrderExecuted", deep), 1);
+
+    // A fill that a reorg takes away again
+    const snapshot = await provider.send("evm_snapshot", []);
+    const orphaned = await execute();
+    await index();
+    assert.strictEqual(indexed("SignedOrderExecuted", orphaned), 1);
+    await provider.send("evm_revert", [snapshot]);
+    for (let i = 0; i < 3; i++) {
+      await provider.send("evm_mine", []);
+    }
+    const afterReorg = await index();
+    assert.ok(afterReorg.reorg && afterReorg.reorg.removed >= 1, JSON.stringify(afterReorg.reorg));
+    assert.strictEqual(indexed("SignedOrderExecuted", orphaned), 0);
+    assert.strictEqual(indexed("SignedOrderExecuted", deep), 1);
+
+    const checkpoint = readCheckpoint(dir);
+    fs.writeFileSync(path.join(dir, "checkpoint.json"), JSON.stringify({ ...checkpoint, version: INDEXER_VERSION + 1 }));
+    await assert.rejects(index(), /indexer version/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const CHECKS = {
+  relayer: checkRelayer,
+  indexer: checkIndexer
+};
+
+async function main(names) {
+  const provider = new ethers.providers.JsonRpcProvider(process.env.ANVIL_RPC_URL || DEFAULT_RPC_URL);
+  provider.pollingInterval = POLL_INTERVAL;
+  const unknown = names.filter((name) => !CHECKS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown check ${unknown.join(", ")}: expected ${Object.keys(CHECKS).join(", ")}`);
+  }
+  // The checks deploy contracts and mine blocks, so refuse anything but a local node
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== ANVIL_CHAIN_ID) {
+    throw new Error(`Chain ${chainId} is not a local anvil node (chain ${ANVIL_CHAIN_ID})`);
+  }
+
+  let failed = 0;
+  for (const name of names.length > 0 ? names : Object.keys(CHECKS)) {
+    try {
+      await CHECKS[name](provider);
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${name}: ${error.stack || error.message}`);
+    }
+  }
+  return failed;
+}
+
+module.exports = { CHECKS };
+
+// Run the checks when invoked directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((failed) => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error("❌", error.message);
+      process.exit(1);
+    });
+}
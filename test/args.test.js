@@ -0,0 +1,75 @@
+// Tests for the CLI argument parser (test/lib/args.js)
+//   node --test test/*.test.js
+const test = require('node:test');
+const assert = require('assert');
+
+const { parseArgs, requireFlag, booleanFlag } = require('./lib/args');
+
+test("positional arguments are collected in order", () => {
+  const { _: positional, flags } = parseArgs(["order", "cancel-all", "a.json", "b.json"]);
+  assert.deepStrictEqual(positional, ["order", "cancel-all", "a.json", "b.json"]);
+  assert.deepStrictEqual(flags, {});
+});
+
+test("--flag value takes the next argument and camel-cases the name", () => {
+  const { _: positional, flags } = parseArgs(["order", "create", "--maker-token", "0xabc", "out.json"]);
+  assert.deepStrictEqual(positional, ["order", "create", "out.json"]);
+  assert.deepStrictEqual(flags, { makerToken: "0xabc" });
+});
+
+test("--flag=value keeps everything after the first =", () => {
+  const { flags } = parseArgs(["--description=a=b", "--dry-run=false"]);
+  assert.deepStrictEqual(flags, { description: "a=b", dryRun: "false" });
+  assert.strictEqual(booleanFlag(flags.dryRun), false);
+});
+
+test("a flag followed by another flag or nothing is true", () => {
+  const { flags } = parseArgs(["--verbose", "--format", "json", "--trailing"]);
+  assert.deepStrictEqual(flags, { verbose: true, format: "json", trailing: true });
+});
+
+test("--no-flag is false", () => {
+  const { flags } = parseArgs(["--no-refresh", "--no-multicall"]);
+  assert.deepStrictEqual(flags, { refresh: false, multicall: false });
+});
+
+test("--dry-run followed by file names leaves them positional", () => {
+  const { _: positional, flags } = parseArgs(["order", "cancel-all", "--dry-run", "a.json", "b.json"]);
+  assert.deepStrictEqual(positional, ["order", "cancel-all", "a.json", "b.json"]);
+  assert.strictEqual(flags.dryRun, true);
+  assert.strictEqual(booleanFlag(flags.dryRun), true);
+});
+
+test("boolean flags never take a value", () => {
+  for (const name of ["force", "legacy", "full", "net", "confirm", "both", "skip-verify"]) {
+    const { _: positional, flags } = parseArgs([`--${name}`, "next"]);
+    assert.deepStrictEqual(positional, ["next"], name);
+    assert.strictEqual(booleanFlag(Object.values(flags)[0]), true, name);
+  }
+});
+
+test("a custom boolean list replaces the default", () => {
+  assert.deepStrictEqual(parseArgs(["--quiet", "x"], ["quiet"]), { _: ["x"], flags: { quiet: true } });
+  assert.deepStrictEqual(parseArgs(["--dry-run", "x"], []), { _: [], flags: { dryRun: "x" } });
+});
+
+test("-h and -- are handled", () => {
+  const { _: positional, flags } = parseArgs(["-h", "order", "--", "--not-a-flag"]);
+  assert.deepStrictEqual(positional, ["order", "--not-a-flag"]);
+  assert.deepStrictEqual(flags, { help: true });
+});
+
+test("requireFlag names the missing option", () => {
+  assert.strictEqual(requireFlag({ makerToken: "0xabc" }, "makerToken"), "0xabc");
+  assert.throws(() => requireFlag({}, "makerToken"), /Missing required option --maker-token/);
+  assert.throws(() => requireFlag({ makerToken: true }, "makerToken"), /--maker-token/);
+});
+
+test("booleanFlag accepts booleans and true/false strings", () => {
+  assert.strictEqual(booleanFlag(undefined), false);
+  assert.strictEqual(booleanFlag(undefined, true), true);
+  assert.strictEqual(booleanFlag(true), true);
+  assert.strictEqual(booleanFlag("TRUE"), true);
+  assert.strictEqual(booleanFlag("false"), false);
+  assert.strictEqual(booleanFlag("a.json"), false);
+});
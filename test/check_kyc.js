@@ -1,7 +1,22 @@
-// Script to check KYC status for an address
+// Script to check KYC status for an address, or for every trade in a list (KYC_AUDIT_FILE)
 require('dotenv').config();
+// Fill in RPC_URL, CHAIN_ID and the addresses from the NETWORK profile, where .env leaves them unset
+require('./lib/networks').applyNetworkProfile();
 const ethers = require('ethers');
 
+const { createReporter } = require('./lib/report');
+const { readAuditInput, runKycAudit } = require('./lib/kyc_audit');
+const {
+  attributeId,
+  loadAttributeCatalogue,
+  resolveAttribute,
+  readAttributes,
+  loadTokenPolicies,
+  tokenPolicy,
+  describePolicy,
+  evaluatePolicy
+} = require('./lib/attributes');
+
 // Simple ABI fragments for the necessary functions
 const complianceAbi = [
   "function isKYCVerified(address _address) view returns (bool)",
@@ -21,46 +36,246 @@ const tokenAbi = [
   "function balanceOf(address account) view returns (uint256)",
 ];
 
-async function main() {
-  console.log("🔍 KYC STATUS CHECKER WITH ENHANCED DEBUGGING\n");
+const yesNo = (value) => (value ? '✅ YES' : '❌ NO');
+const passFail = (value) => (value ? '✅ PASSED' : '❌ FAILED');
+
+// Human-readable rendering of each report section
+const KYC_RENDERERS = {
+  connection(data, print) {
+    print(`Connecting to ${data.rpcUrl}...`);
+    print(data.wallet ? `Using wallet address: ${data.wallet}` : "No private key provided, running in read-only mode");
+  },
+
+  network(data, print) {
+    print(`\n🌐 NETWORK INFORMATION:`);
+    print(`Connected to network: ${data.name} (Chain ID: ${data.chainId})`);
+  },
+
+  compliance(data, print) {
+    print(`\n🏛️ COMPLIANCE CONTRACT CHECKS:`);
+    print(`Compliance Contract: ${data.address}`);
+    if (data.error) {
+      print(`❌ Error checking isKYCVerified: ${data.error}`);
+      return;
+    }
+    print(`Buyer KYC verified via isKYCVerified(): ${yesNo(data.buyerKycVerified)}`);
+    if (data.sellerKycVerified !== null) {
+      print(`Seller KYC verified via isKYCVerified(): ${yesNo(data.sellerKycVerified)}`);
+    }
+  },
 
-  // Load env variables
-  const rpcUrl = process.env.RPC_URL || "https://polygon-rpc.com";
-  const buyerAddress = process.env.BUYER_ADDRESS;
-  const sellerAddress = process.env.SELLER_ADDRESS;
-  const privateKey = process.env.PRIVATE_KEY;
-  const complianceAddress = process.env.COMPLIANCE_ADDRESS;
-  const registryAddress = process.env.IDENTITY_REGISTRY_ADDRESS;
-  const makerTokenAddress = process.env.MAKER_TOKEN_ADDRESS;
-  const takerTokenAddress = process.env.TAKER_TOKEN_ADDRESS;
+  transferCompliance(data, print) {
+    if (data.error) {
+      print(`❌ Error checking transfer compliance: ${data.error}`);
+      return;
+    }
+    print(`\nCompliance check for seller→buyer transfer: ${passFail(data.sellerToBuyer)}`);
+    print(`Compliance check for buyer→seller transfer: ${passFail(data.buyerToSeller)}`);
+  },
+
+  identityRegistry(data, print) {
+    if (data.discovered) {
+      print(`\nIdentity Registry found in Compliance: ${data.discovered}`);
+    } else {
+      print(`\nNo identityRegistry() function found in Compliance contract: ${data.discoveryError}`);
+    }
+
+    if (!data.address) {
+      print(`\n❌ No Identity Registry address available for further checks`);
+      return;
+    }
+
+    print(`\n🔖 IDENTITY REGISTRY CHECKS:`);
+    print(`Identity Registry: ${data.address}`);
+    if (data.verifiedError) {
+      print(`❌ Error checking isVerified: ${data.verifiedError}`);
+    } else {
+      print(`Buyer verified via isVerified(): ${yesNo(data.buyerVerified)}`);
+      if (data.sellerVerified !== null) {
+        print(`Seller verified via isVerified(): ${yesNo(data.sellerVerified)}`);
+      }
+    }
+
+    print(`\nChecking for attribute: KYC_VERIFIED (${data.attribute})`);
+    if (data.attributeError) {
+      print(`❌ Error checking hasAttribute: ${data.attributeError}`);
+      return;
+    }
+    print(`Buyer has KYC attribute: ${yesNo(data.buyerHasAttribute)}`);
+    if (data.sellerHasAttribute !== null) {
+      print(`Seller has KYC attribute: ${yesNo(data.sellerHasAttribute)}`);
+    }
+    print(data.buyerAttributeValue
+      ? `Buyer KYC attribute value: ${data.buyerAttributeValue}`
+      : `Cannot get attribute value: ${data.attributeValueError}`);
+  },
+
+  attributes(data, print) {
+    print(`\n🏷️ IDENTITY ATTRIBUTES:`);
+    data.tokens.forEach((token) => {
+      print(`${token.symbol} (${token.isSecurityToken ? "security token" : "not a security token"}${token.identityRegistry ? `, registry ${token.identityRegistry}` : ""}):`);
+      Object.entries(token.accounts).forEach(([account, attributes]) => {
+        const role = account === data.buyer ? "Buyer" : "Seller";
+        const values = Object.entries(attributes).map(([name, found]) => {
+          const value = found.has && found.value !== null && typeof found.value !== "boolean" ? `=${found.value}` : "";
+          return `${name} ${found.has === null ? "❔" : found.has ? "✅" : "❌"}${value}`;
+        });
+        print(`  ${role}: ${values.join(", ")}`);
+      });
+    });
+  },
+
+  policies(data, print) {
+    print(`\n📜 TOKEN POLICIES:`);
+    data.forEach((policy) => {
+      print(`${policy.symbol} (${policy.source}): ${policy.description || "no description"}`);
+      policy.rules.forEach((rule) => print(`  • ${rule}`));
+      policy.checks.forEach((check) => {
+        const verdict = check.satisfied ? "✅ meets it" : check.unknown ? "❔ could not be checked" : `❌ ${check.failures.join(", ")}`;
+        print(`  ${check.party} as ${check.role}: ${verdict}`);
+      });
+    });
+  },
+
+  tokens(data, print) {
+    print(`\n💰 TOKEN INFORMATION:`);
+    ["maker", "taker"].forEach((side) => {
+      const token = data[side];
+      const label = side === "maker" ? "Maker" : "Taker";
+      if (token.error) {
+        print(`❌ Error checking ${side} token: ${token.error}`);
+        return;
+      }
+      print(`${label} Token: ${token.address} (${token.symbol}, ${token.decimals} decimals)`);
+      if (token.sellerBalance) {
+        print(`Seller's ${token.symbol} balance: ${token.sellerBalance.formatted}`);
+      }
+      print(`Buyer's ${token.symbol} balance: ${token.buyerBalance.formatted}`);
+    });
+  }
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+const VERDICT_MARKS = { allowed: "✅", blocked: "❌", unknown: "❔" };
+const mark = (value) => (value === null ? "❔" : value ? "✅" : "❌");
+
+// Human-readable rendering of the batch audit
+const AUDIT_RENDERERS = {
+  audit(data, print) {
+    print(`Connected to chain ${data.chainId} via ${data.rpcUrl}`);
+    print(`Auditing ${data.trades} trade${data.trades === 1 ? "" : "s"} from ${data.input}`);
+    print(`Compliance contract: ${data.compliance}${data.exchange ? ` (exchange ${data.exchange})` : ""}`);
+    print(data.multicall.available
+      ? `📡 ${data.multicall.calls} calls in ${data.multicall.requests} requests through Multicall3 at ${data.multicall.address}`
+      : `📡 No Multicall3 at ${data.multicall.address}: ${data.multicall.calls} calls sent one by one`);
+    if (!data.checkComplianceSupported) {
+      print(`checkCompliance() is not available on the compliance contract; verdicts rest on the KYC attributes`);
+    }
+  },
+
+  tokens(data, print) {
+    print(`\n💰 TOKENS:`);
+    data.forEach((token) => {
+      const kind = token.isSecurityToken === null ? "type unknown" : token.isSecurityToken ? "security token" : "not a security token";
+      print(`${token.symbol} ${token.address}: ${kind}${token.identityRegistry ? `, identity registry ${token.identityRegistry}` : ""}${token.error ? ` (${token.error})` : ""}`);
+    });
+  },
+
+  accounts(data, print) {
+    print(`\n🔖 ACCOUNTS (KYC / accredited / identity registry verified):`);
+    data.forEach((account) => {
+      const cells = Object.values(account.tokens).map((status) => {
+        const identity = status.identityVerified === null ? "" : ` ${mark(status.identityVerified)}`;
+        return `${status.symbol} ${mark(status.kycVerified)} ${mark(status.accredited)}${identity}`;
+      });
+      print(`${shortAddress(account.address)}  ${cells.join("   ")}`);
+    });
+  },
+
+  matrix(data, print) {
+    data.forEach((grid) => {
+      print(`\n🔀 ${grid.makerAmount} ${grid.makerSymbol} for ${grid.takerAmount} ${grid.takerSymbol} (makers down, takers across):`);
+      print(`${"".padEnd(13)}${grid.takers.map((taker) => shortAddress(taker).padEnd(13)).join("")}`);
+      grid.makers.forEach((maker) => {
+        const cells = grid.takers.map((taker) => (VERDICT_MARKS[grid.cells[`${maker}:${taker}`]] || "·").padEnd(12));
+        print(`${shortAddress(maker).padEnd(13)}${cells.join(" ")}`);
+      });
+    });
+  },
+
+  trades(data, print) {
+    print(`\n📋 ${data.summary.allowed} allowed, ${data.summary.blocked} blocked, ${data.summary.unknown} unknown`);
+    data.trades.filter(({ verdict }) => verdict !== "allowed").forEach((trade) => {
+      print(`${VERDICT_MARKS[trade.verdict]} ${shortAddress(trade.maker)} sells ${trade.makerAmount} ${trade.makerSymbol} to ${shortAddress(trade.taker)} for ${trade.takerAmount} ${trade.takerSymbol}`);
+      [...trade.reasons, ...trade.unknown].forEach((reason) => print(`   ${reason}`));
+    });
+  }
+};
+
+// Read a token's details and the buyer's and seller's balances, capturing any error in the data
+async function readTokenBalances(address, buyerAddress, sellerAddress, provider) {
+  const token = new ethers.Contract(address, tokenAbi, provider);
+
+  try {
+    const symbol = await token.symbol();
+    const decimals = await token.decimals();
+    const balance = async (owner) => {
+      const value = await token.balanceOf(owner);
+      return { raw: value.toString(), formatted: ethers.utils.formatUnits(value, decimals) };
+    };
+
+    return {
+      address,
+      symbol,
+      decimals,
+      buyerBalance: await balance(buyerAddress),
+      sellerBalance: sellerAddress ? await balance(sellerAddress) : null
+    };
+  } catch (error) {
+    return { address, error: error.message };
+  }
+}
+
+// Options override the corresponding environment variables
+// options.format selects text, json or ndjson output (default: REPORT_FORMAT or text)
+// options.attributes (KYC_ATTRIBUTES) and options.policies (TOKEN_POLICIES) pick the attributes
+// to read and the token policy file, see lib/attributes.js
+// Returns the structured report that the output is rendered from
+async function main(options = {}) {
+  // Load options, falling back to env variables
+  const rpcUrl = options.rpcUrl || process.env.RPC_URL;
+  const buyerAddress = options.buyer || process.env.BUYER_ADDRESS;
+  const sellerAddress = options.seller || process.env.SELLER_ADDRESS;
+  const privateKey = options.privateKey || process.env.PRIVATE_KEY;
+  const complianceAddress = options.compliance || process.env.COMPLIANCE_ADDRESS;
+  const registryAddress = options.identityRegistry || process.env.IDENTITY_REGISTRY_ADDRESS;
+  const makerTokenAddress = options.makerToken || process.env.MAKER_TOKEN_ADDRESS;
+  const takerTokenAddress = options.takerToken || process.env.TAKER_TOKEN_ADDRESS;
+
+  // Validate required inputs
+  if (!rpcUrl) {
+    throw new Error("RPC_URL environment variable (or --rpc-url, or a NETWORK profile) is required");
+  }
 
-  // Validate required env variables
   if (!buyerAddress) {
-    console.error("❌ BUYER_ADDRESS environment variable is required");
-    process.exit(1);
+    throw new Error("BUYER_ADDRESS environment variable (or --buyer) is required");
   }
 
   if (!complianceAddress) {
-    console.error("❌ COMPLIANCE_ADDRESS environment variable is required");
-    process.exit(1);
+    throw new Error("COMPLIANCE_ADDRESS environment variable (or --compliance) is required");
   }
 
+  const reporter = createReporter("kyc-check", { format: options.format, renderers: KYC_RENDERERS });
+  reporter.log("🔍 KYC STATUS CHECKER WITH ENHANCED DEBUGGING\n");
+
   // Setup provider and wallet
-  console.log(`Connecting to ${rpcUrl}...`);
   const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-  let wallet;
-  
-  if (privateKey) {
-    wallet = new ethers.Wallet(privateKey, provider);
-    console.log(`Using wallet address: ${wallet.address}`);
-  } else {
-    console.log("No private key provided, running in read-only mode");
-  }
+  const wallet = privateKey ? new ethers.Wallet(privateKey, provider) : null;
+  reporter.section("connection", { rpcUrl, wallet: wallet ? wallet.address : null, buyer: buyerAddress, seller: sellerAddress || null });
 
   // Get network information
   const network = await provider.getNetwork();
-  console.log(`\n🌐 NETWORK INFORMATION:`);
-  console.log(`Connected to network: ${network.name} (Chain ID: ${network.chainId})`);
+  reporter.section("network", { name: network.name, chainId: network.chainId });
 
   // Connect to Compliance contract
   const compliance = new ethers.Contract(
@@ -68,64 +283,62 @@ async function main() {
     complianceAbi,
     provider
   );
-  
-  console.log(`\n🏛️ COMPLIANCE CONTRACT CHECKS:`);
-  console.log(`Compliance Contract: ${complianceAddress}`);
 
   // Check KYC status through Compliance contract
+  const complianceSection = { address: complianceAddress, buyerKycVerified: null, sellerKycVerified: null, error: null };
   try {
-    const isVerified = await compliance.isKYCVerified(buyerAddress);
-    console.log(`Buyer KYC verified via isKYCVerified(): ${isVerified ? '✅ YES' : '❌ NO'}`);
-    
+    complianceSection.buyerKycVerified = await compliance.isKYCVerified(buyerAddress);
     if (sellerAddress) {
-      const isSellerVerified = await compliance.isKYCVerified(sellerAddress);
-      console.log(`Seller KYC verified via isKYCVerified(): ${isSellerVerified ? '✅ YES' : '❌ NO'}`);
+      complianceSection.sellerKycVerified = await compliance.isKYCVerified(sellerAddress);
     }
   } catch (error) {
-    console.log(`❌ Error checking isKYCVerified: ${error.message}`);
+    complianceSection.error = error.message;
+  }
+  reporter.section("compliance", complianceSection);
+  if (complianceSection.buyerKycVerified === false || complianceSection.sellerKycVerified === false) {
+    reporter.finding("warning", "KYC_MISSING", "Buyer or seller is not KYC verified in the compliance contract");
   }
 
   // Try to simulate a transfer via compliance check if token addresses are provided
   if (makerTokenAddress && takerTokenAddress && sellerAddress) {
+    // Simulate a 1 token transfer in each direction
+    const transferSection = { amount: ethers.utils.parseEther("1").toString(), sellerToBuyer: null, buyerToSeller: null, error: null };
     try {
-      // Check seller to buyer compliance
-      const transferCompliant = await compliance.checkCompliance(
-        sellerAddress,
-        buyerAddress,
-        makerTokenAddress,
-        ethers.utils.parseEther("1") // Simulate a 1 token transfer
-      );
-      console.log(`\nCompliance check for seller→buyer transfer: ${transferCompliant ? '✅ PASSED' : '❌ FAILED'}`);
-      
-      // Check buyer to seller compliance (reverse direction)
-      const reverseCompliant = await compliance.checkCompliance(
-        buyerAddress,
-        sellerAddress,
-        takerTokenAddress,
-        ethers.utils.parseEther("1") // Simulate a 1 token transfer
-      );
-      console.log(`Compliance check for buyer→seller transfer: ${reverseCompliant ? '✅ PASSED' : '❌ FAILED'}`);
+      transferSection.sellerToBuyer = await compliance.checkCompliance(sellerAddress, buyerAddress, makerTokenAddress, transferSection.amount);
+      transferSection.buyerToSeller = await compliance.checkCompliance(buyerAddress, sellerAddress, takerTokenAddress, transferSection.amount);
     } catch (error) {
-      console.log(`❌ Error checking transfer compliance: ${error.message}`);
+      transferSection.error = error.message;
+    }
+    reporter.section("transferCompliance", transferSection);
+    if (transferSection.sellerToBuyer === false || transferSection.buyerToSeller === false) {
+      reporter.finding("error", "SWAP_NOT_COMPLIANT", "The compliance contract rejects a transfer between buyer and seller");
     }
   }
 
-  // Try to get Identity Registry from Compliance if available
-  let foundRegistryAddress;
+  // Use provided registry address or the one found in compliance
+  const registrySection = {
+    discovered: null,
+    discoveryError: null,
+    address: null,
+    attribute: attributeId("KYC_VERIFIED"),
+    buyerVerified: null,
+    sellerVerified: null,
+    verifiedError: null,
+    buyerHasAttribute: null,
+    sellerHasAttribute: null,
+    attributeError: null,
+    buyerAttributeValue: null,
+    attributeValueError: null
+  };
   try {
-    foundRegistryAddress = await compliance.identityRegistry();
-    console.log(`\nIdentity Registry found in Compliance: ${foundRegistryAddress}`);
+    registrySection.discovered = await compliance.identityRegistry();
   } catch (error) {
-    console.log(`\nNo identityRegistry() function found in Compliance contract: ${error.message}`);
+    registrySection.discoveryError = error.message;
   }
 
-  // Use provided registry address or the one found in compliance
-  const identityRegistryToUse = registryAddress || foundRegistryAddress;
-  
+  const identityRegistryToUse = registryAddress || registrySection.discovered;
   if (identityRegistryToUse && identityRegistryToUse !== ethers.constants.AddressZero) {
-    console.log(`\n🔖 IDENTITY REGISTRY CHECKS:`);
-    console.log(`Identity Registry: ${identityRegistryToUse}`);
-    
+    registrySection.address = identityRegistryToUse;
     const registry = new ethers.Contract(
       identityRegistryToUse,
       identityRegistryAbi,
@@ -134,104 +347,167 @@ async function main() {
 
     // Check isVerified
     try {
-      const isVerified = await registry.isVerified(buyerAddress);
-      console.log(`Buyer verified via isVerified(): ${isVerified ? '✅ YES' : '❌ NO'}`);
-      
+      registrySection.buyerVerified = await registry.isVerified(buyerAddress);
       if (sellerAddress) {
-        const isSellerVerified = await registry.isVerified(sellerAddress);
-        console.log(`Seller verified via isVerified(): ${isSellerVerified ? '✅ YES' : '❌ NO'}`);
+        registrySection.sellerVerified = await registry.isVerified(sellerAddress);
       }
     } catch (error) {
-      console.log(`❌ Error checking isVerified: ${error.message}`);
+      registrySection.verifiedError = error.message;
     }
 
-    // Check for KYC_VERIFIED attribute
-    const KYC_ATTRIBUTE = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("KYC_VERIFIED"));
-    console.log(`\nChecking for attribute: KYC_VERIFIED (${KYC_ATTRIBUTE})`);
-    
+    // Check for KYC_VERIFIED attribute and its value
     try {
-      const hasKYC = await registry.hasAttribute(buyerAddress, KYC_ATTRIBUTE);
-      console.log(`Buyer has KYC attribute: ${hasKYC ? '✅ YES' : '❌ NO'}`);
-      
+      registrySection.buyerHasAttribute = await registry.hasAttribute(buyerAddress, registrySection.attribute);
       if (sellerAddress) {
-        const sellerHasKYC = await registry.hasAttribute(sellerAddress, KYC_ATTRIBUTE);
-        console.log(`Seller has KYC attribute: ${sellerHasKYC ? '✅ YES' : '❌ NO'}`);
+        registrySection.sellerHasAttribute = await registry.hasAttribute(sellerAddress, registrySection.attribute);
       }
-      
-      // Try to get the actual attribute value
       try {
-        const kycValue = await registry.getAttribute(buyerAddress, KYC_ATTRIBUTE);
-        console.log(`Buyer KYC attribute value: ${kycValue}`);
+        registrySection.buyerAttributeValue = await registry.getAttribute(buyerAddress, registrySection.attribute);
       } catch (error) {
-        console.log(`Cannot get attribute value: ${error.message}`);
+        registrySection.attributeValueError = error.message;
       }
     } catch (error) {
-      console.log(`❌ Error checking hasAttribute: ${error.message}`);
+      registrySection.attributeError = error.message;
     }
-  } else {
-    console.log(`\n❌ No Identity Registry address available for further checks`);
+  }
+  reporter.section("identityRegistry", registrySection);
+  if (!registrySection.address) {
+    reporter.finding("warning", "NO_IDENTITY_REGISTRY", "No Identity Registry address available for further checks");
+  } else if (registrySection.buyerVerified === false || registrySection.sellerVerified === false) {
+    reporter.finding("warning", "IDENTITY_NOT_VERIFIED", "Buyer or seller is not verified in the identity registry");
   }
 
   // Check token-specific information if provided
   if (makerTokenAddress && takerTokenAddress) {
-    console.log(`\n💰 TOKEN INFORMATION:`);
-    
-    // Check maker token
-    const makerToken = new ethers.Contract(
-      makerTokenAddress,
-      tokenAbi,
-      provider
-    );
-    
-    try {
-      const symbol = await makerToken.symbol();
-      const decimals = await makerToken.decimals();
-      console.log(`Maker Token: ${makerTokenAddress} (${symbol}, ${decimals} decimals)`);
-      
-      if (sellerAddress) {
-        const balance = await makerToken.balanceOf(sellerAddress);
-        console.log(`Seller's ${symbol} balance: ${ethers.utils.formatUnits(balance, decimals)}`);
-      }
-      
-      // Check buyer's balance of maker token
-      const buyerMakerBalance = await makerToken.balanceOf(buyerAddress);
-      console.log(`Buyer's ${symbol} balance: ${ethers.utils.formatUnits(buyerMakerBalance, decimals)}`);
-    } catch (error) {
-      console.log(`❌ Error checking maker token: ${error.message}`);
-    }
-    
-    // Check taker token
-    const takerToken = new ethers.Contract(
-      takerTokenAddress,
-      tokenAbi,
-      provider
-    );
-    
-    try {
-      const symbol = await takerToken.symbol();
-      const decimals = await takerToken.decimals();
-      console.log(`Taker Token: ${takerTokenAddress} (${symbol}, ${decimals} decimals)`);
-      
-      // Check buyer's balance
-      const buyerBalance = await takerToken.balanceOf(buyerAddress);
-      console.log(`Buyer's ${symbol} balance: ${ethers.utils.formatUnits(buyerBalance, decimals)}`);
-      
-      if (sellerAddress) {
-        const sellerBalance = await takerToken.balanceOf(sellerAddress);
-        console.log(`Seller's ${symbol} balance: ${ethers.utils.formatUnits(sellerBalance, decimals)}`);
-      }
-    } catch (error) {
-      console.log(`❌ Error checking taker token: ${error.message}`);
+    reporter.section("tokens", {
+      maker: await readTokenBalances(makerTokenAddress, buyerAddress, sellerAddress, provider),
+      taker: await readTokenBalances(takerTokenAddress, buyerAddress, sellerAddress, provider)
+    });
+
+    // Every catalogued attribute (or those in KYC_ATTRIBUTES) for both parties, and each token's policy
+    if (sellerAddress) {
+      const catalogue = loadAttributeCatalogue();
+      const policies = loadTokenPolicies(options.policies);
+      const names = options.attributes || process.env.KYC_ATTRIBUTES;
+      // Whatever was asked for, plus what the policies need to be checked
+      const wanted = new Set(names ? String(names).split(",").map((name) => name.trim()) : Object.keys(catalogue));
+      wanted.add("KYC_VERIFIED");
+      Object.values(policies).forEach(({ requires }) => (requires || []).forEach(({ attribute }) => wanted.add(attribute)));
+      const attributes = [...wanted].map((name) => resolveAttribute(name, catalogue));
+      const read = await readAttributes(provider, {
+        accounts: [buyerAddress, sellerAddress],
+        tokens: [makerTokenAddress, takerTokenAddress],
+        attributes,
+        compliance: complianceAddress,
+        identityRegistry: registryAddress,
+        multicall: options.multicall
+      });
+      reporter.section("attributes", { buyer: buyerAddress, seller: sellerAddress, tokens: read.tokens });
+
+      // The seller sends the maker token and the buyer the taker token
+      const legs = [[read.tokens[0], sellerAddress, buyerAddress], [read.tokens[1], buyerAddress, sellerAddress]];
+      const policySection = legs.map(([token, sender, receiver]) => {
+        const policy = tokenPolicy(token, policies, catalogue);
+        const checks = [["sender", sender], ["receiver", receiver]].map(([role, account]) => ({
+          party: account === buyerAddress ? "Buyer" : "Seller",
+          account,
+          role,
+          ...evaluatePolicy(policy, token.accounts[account], role)
+        }));
+        return { token: token.address, symbol: token.symbol, source: policy.source, description: policy.description, rules: describePolicy(policy), checks };
+      });
+      reporter.section("policies", policySection);
+      policySection.forEach((policy) => policy.checks.filter(({ failures }) => failures.length > 0).forEach((check) => {
+        reporter.finding("warning", "TOKEN_POLICY_NOT_MET", `${check.party} does not meet the ${policy.symbol} policy as ${check.role}: ${check.failures.join(", ")}`, {
+          token: policy.token,
+          account: check.account
+        });
+      }));
     }
   }
 
-  console.log("\n✅ KYC status check complete");
+  reporter.log("\n✅ KYC status check complete");
+  return reporter.finish("complete");
+}
+
+// Audit every trade in a CSV or JSON file (see lib/kyc_audit.js for the layout)
+// Options override KYC_AUDIT_FILE, RPC_URL, EXCHANGE_ADDRESS, COMPLIANCE_ADDRESS,
+// IDENTITY_REGISTRY_ADDRESS and KYC_REQUIRE_ACCREDITED; options.multicall goes to createMulticall()
+// Returns the structured report; any blocked trade is an error finding
+async function audit(options = {}) {
+  const input = options.input || process.env.KYC_AUDIT_FILE;
+  const rpcUrl = options.rpcUrl || process.env.RPC_URL;
+  const exchangeAddress = options.exchange || process.env.EXCHANGE_ADDRESS;
+  const complianceAddress = options.compliance || process.env.COMPLIANCE_ADDRESS;
+  const requireAccredited = options.requireAccredited !== undefined
+    ? options.requireAccredited
+    : process.env.KYC_REQUIRE_ACCREDITED === "true";
+
+  if (!input) {
+    throw new Error("KYC_AUDIT_FILE environment variable (or --in) is required");
+  }
+  if (!rpcUrl) {
+    throw new Error("RPC_URL environment variable (or --rpc-url, or a NETWORK profile) is required");
+  }
+  if (!exchangeAddress && !complianceAddress) {
+    throw new Error("EXCHANGE_ADDRESS or COMPLIANCE_ADDRESS environment variable (or --exchange, --compliance) is required");
+  }
+
+  const trades = readAuditInput(input);
+  const reporter = createReporter("kyc-audit", { format: options.format, renderers: AUDIT_RENDERERS });
+  reporter.log("🔍 KYC AUDIT\n");
+
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const result = await runKycAudit(provider, trades, {
+    exchangeAddress,
+    complianceAddress,
+    identityRegistry: options.identityRegistry || process.env.IDENTITY_REGISTRY_ADDRESS,
+    requireAccredited,
+    multicall: options.multicall
+  });
+
+  reporter.section("audit", {
+    rpcUrl,
+    chainId,
+    input,
+    trades: trades.length,
+    exchange: result.contracts.exchange,
+    compliance: result.contracts.compliance,
+    checkComplianceSupported: result.contracts.checkComplianceSupported,
+    requireAccredited,
+    multicall: result.multicall
+  });
+  reporter.section("tokens", result.tokens);
+  reporter.section("accounts", result.accounts);
+  reporter.section("matrix", result.matrix);
+  reporter.section("trades", { summary: result.summary, trades: result.trades });
+
+  result.tokens.filter(({ error }) => error).forEach((token) => {
+    reporter.finding("warning", "CHECK_UNAVAILABLE", `${token.address}: ${token.error}`, { token: token.address });
+  });
+  if (result.summary.unknown > 0) {
+    reporter.finding("warning", "TRADES_UNKNOWN", `${result.summary.unknown} trade${result.summary.unknown === 1 ? "" : "s"} could not be fully checked`);
+  }
+  if (result.summary.blocked > 0) {
+    reporter.finding("error", "TRADES_BLOCKED", `${result.summary.blocked} of ${result.summary.trades} trades would be blocked by KYC or compliance`, {
+      trades: result.trades.filter(({ verdict }) => verdict === "blocked").map(({ maker, taker, makerToken, takerToken, reasons }) => ({ maker, taker, makerToken, takerToken, reasons }))
+    });
+  }
+
+  reporter.log("\n✅ KYC audit complete");
+  return reporter.finish("complete");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(`❌ Error in main function: ${error.message}`);
-    if (error.stack) console.error(error.stack);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = { checkKyc: main, auditKyc: audit };
+
+// Run the script when invoked directly
+if (require.main === module) {
+  (process.env.KYC_AUDIT_FILE ? audit() : main())
+    .then((report) => process.exit(report.ok ? 0 : 1))
+    .catch((error) => {
+      console.error(`❌ Error in main function: ${error.message}`);
+      if (error.stack) console.error(error.stack);
+      process.exit(1);
+    });
+}
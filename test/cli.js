@@ -0,0 +1,1332 @@
+#!/usr/bin/env node
+// Command-line interface for creating, signing, executing and cancelling trades
+// Every option falls back to the same .env variables the individual scripts use
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+require('dotenv').config();
+
+const { parseArgs, requireFlag, booleanFlag } = require('./lib/args');
+const { buildDomain, signOrder, verifyOrderSignature } = require('./lib/orders');
+const { buildOrder, getOrderDomain, getTokenInfo, orderParamsFromEnv } = require('./lib/order_builder');
+const { quoteOrderFees, describeFeeQuote } = require('./lib/fees');
+const { verifyTradeSignatures } = require('./lib/signature_check');
+const { decodeRevert, formatRevert } = require('./lib/revert_decoder');
+const { createReporter, resolveFormat } = require('./lib/report');
+const { checkTradeReadiness } = require('./lib/readiness');
+const { prepareCancellation, submitCancellation, describeNonceRange, planNonceInvalidation, invalidateNonces } = require('./lib/cancellation');
+const { TRADE_RENDERERS, recordReadiness } = require('./lib/trade_report');
+const { explainCompliance } = require('./lib/compliance_explain');
+const { ORDER_STATUSES, openOrderStore, syncOrderStore } = require('./lib/order_store');
+const { indexExchangeEvents, readIndexedEvents } = require('./lib/event_indexer');
+const { EXPORT_FORMATS, buildTradeBlotter, formatBlotter } = require('./lib/trade_export');
+const { TX_STATUSES, openTxLog, waitForTracked, replaceTransaction } = require('./lib/tx_tracker');
+const { NETWORK_PROFILES, applyNetworkProfile, getNetworkProfile } = require('./lib/networks');
+const { loadDeployment } = require('./lib/deployments');
+const { ASSET_STATUSES, getRegistry, planRegistration, registerToken, confirmToken, addTokenSymbol, listRegisteredAssets } = require('./lib/token_registry');
+const {
+  loadAttributeCatalogue,
+  resolveAttribute,
+  readAttributes,
+  loadTokenPolicies,
+  tokenPolicy,
+  describePolicy,
+  evaluatePolicy
+} = require('./lib/attributes');
+const { EXCHANGE_ABI } = require('./lib/abis');
+const { TRADE_SCHEMA_VERSION, loadTradeFile, createTradeData, writeTradeFile } = require('./lib/trade_file');
+
+const USAGE = `Usage: node test/cli.js <command> <subcommand> [options]
+
+Commands:
+  order create      Build an unsigned order and write it to a trade file
+  order sign        Add maker and/or taker signatures to a trade file
+  order fees        Quote the exchange fees for a trade file
+  order check       Check that a trade can execute: balances, fees, permits, nonces, KYC
+  order execute     Simulate and execute a signed trade
+  order cancel      Cancel a signed order and use up its nonces
+  order cancel-all  Invalidate every open order for an account by advancing its nonce
+  order validate    Check a trade file against the schema and upgrade legacy files
+  order verify      Recover and check the order signatures before execution
+  order explain     Explain which compliance rules would block a trade, and how to fix them
+  store add         Add signed trade files to the local order store
+  store list        List stored orders by maker, taker, pair or status
+  store show        Print one stored order by hash
+  store sync        Update stored order statuses from exchange events
+  events index      Index exchange, cancellation and fee events to JSON lines
+  events list       Print indexed events
+  history export    Export executed trades as a CSV or JSON Lines blotter
+  tx list           List tracked transactions, by default those still pending
+  tx wait           Keep waiting for a tracked transaction, e.g. after a restart
+  tx speed-up       Resend a stuck transaction with the same nonce and higher fees
+  tx cancel         Replace a stuck transaction with a zero-value transfer to the sender
+  kyc check         Check KYC and compliance status for a buyer and seller
+  kyc audit         Check which of many accounts can trade which tokens with whom
+  kyc attributes    Read and decode identity attributes for accounts and tokens
+  kyc policy        Explain which attributes a token requires, and who meets them
+  network list      Show the network profiles and their known deployments
+  network deployment  Show the addresses of a deployment from its Foundry broadcast record
+  registry register Check a token's symbol and decimals and register it with the asset registry
+  registry confirm  Confirm a registered (pending) token so the exchange accepts it
+  registry add-symbol  Map another symbol to a confirmed token
+  registry list     List registered assets from the registry's events
+  registry pending  List assets that are registered but not yet confirmed
+
+Without an RPC URL, order create assumes 18 decimals and nonce 0 unless given, and needs --signatures.
+
+Common options:
+  --network <name>        Network profile: local, amoy, polygon or polygon-mt (default: NETWORK)
+  --deployment <script>   Take addresses from this script's broadcast record, or "latest" (default: DEPLOYMENT, then the profile's)
+  --rpc-url <url>         RPC endpoint (default: RPC_URL, then the network profile's)
+  --exchange <address>    Exchange contract (default: EXCHANGE_ADDRESS, then the network profile's)
+  --chain-id <id>         Chain ID used for signing (default: CHAIN_ID, the connected chain, or 31337 offline)
+  -h, --help              Show this help
+
+order create:
+  --maker <address>           Maker address (default: PRIVATE_KEY wallet)
+  --taker <address>           Taker address (default: BUYER_PRIVATE_KEY wallet)
+  --pair <MAKER/TAKER>        Registry symbols of both tokens, e.g. ACME/USDC (default: ORDER_PAIR)
+  --maker-token <address|symbol>  Token the maker sells (default: SECURITY_TOKEN_ADDRESS)
+  --taker-token <address|symbol>  Token the taker pays with (default: CASH_TOKEN_ADDRESS)
+  --as-of <date|timestamp>    Resolve symbols as the registry had them then (default: SYMBOL_AS_OF)
+  --registry <address>        Asset registry for symbols and registration (default: REGISTRY_ADDRESS, then the exchange's)
+  --maker-amount <amount>     Maker amount in token units, e.g. 100
+  --taker-amount <amount>     Taker amount in token units, e.g. 1000
+  --net                       Amounts are what each side receives after fees; solve for the order amounts
+  --maker-decimals <n>        Maker token decimals (default: the registry's, else the token's decimals())
+  --taker-decimals <n>        Taker token decimals (default: the registry's, else the token's decimals())
+  --maker-nonce <n>           Maker nonce (default: current on-chain nonce)
+  --taker-nonce <n>           Taker nonce (default: current on-chain nonce)
+  --expiry <timestamp>        Absolute expiry as a unix timestamp
+  --expires-in <seconds>      Expiry relative to now (default: 30 days)
+  --signatures <address>      Signatures contract the order is signed for (default: SIGNATURES_ADDRESS, else the exchange's)
+  --description <text>        Free-form description stored in the file
+  --out <file>                Output file (default: ./test/signed_trade.json)
+
+order sign:
+  --in <file>                 Trade file to sign
+  --out <file>                Output file (default: same as --in)
+  --role <maker|taker|both>   Which signatures to add (default: both)
+  --maker-key-env <name>      Env variable holding the maker key (default: PRIVATE_KEY)
+  --taker-key-env <name>      Env variable holding the taker key (default: BUYER_PRIVATE_KEY)
+
+order fees:
+  --in <file>                 Trade file to quote
+
+order check:
+  --in <file>                 Trade file (signatures are checked if present)
+  --require-signatures        Fail unless both maker and taker have signed and the signatures can be verified
+  --min-lifetime <seconds>    Warn if the order expires sooner than this (default: 3600)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+order explain:
+  --in <file>                 Trade file
+  --identity-registry <addr>  Identity registry for every token (default: IDENTITY_REGISTRY_ADDRESS, then each token's)
+  --policies <file>           Token policy file (default: TOKEN_POLICIES or ./test/token_policies.json)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+order execute:
+  --in <file>                 Signed trade file (default: ./test/signed_trade.json)
+  --key-env <name>            Env variable holding the submitter key (default: PRIVATE_KEY)
+  --legacy                    Use executeSignedOrder even if permits are present
+  --force-permit              Use executeSignedOrderWithPermits without permit data
+  --force                     Submit even if the simulation fails
+  --skip-verify               Do not check the signatures against the chain first
+  --gas-buffer <percent>      Added to the gas estimate (default: GAS_BUFFER_PERCENT or 20)
+  --gas-limit <n>             Fixed gas limit instead of estimating (default: GAS_LIMIT)
+  --priority-percentile <n>   eth_feeHistory percentile for the priority fee (default: GAS_PRIORITY_PERCENTILE or 50)
+  --max-fee-gwei <gwei>       Cap on the max fee or gas price (default: GAS_MAX_FEE_GWEI, no cap)
+  --legacy-gas                Send a legacy gasPrice transaction even on EIP-1559 chains
+  --timeout <seconds>         Wait this long for the transaction to be mined (default: TX_TIMEOUT or 180)
+  --speed-ups <n>             Speed up this many times on timeouts before giving up (default: TX_SPEED_UPS or 0)
+  --bump <percent>            Fee increase for each speed-up (default: 12.5)
+  --tx-log <file>             Transaction log (default: TX_LOG or ./test/transactions.json)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+order cancel:
+  --in <file>                 Signed trade file
+  --key-env <name>            Env variable holding the canceller's key (default: PRIVATE_KEY)
+  --both                      Cancel with both signatures (cancelOrderByBoth); same as --mode both
+  --mode <auto|maker|both>    auto uses both signatures when the canceller is the taker (default: auto)
+  --confirmations <n>         Blocks to wait for before reading the nonces back (default: 1)
+
+order cancel-all [files...]:
+  --in <files>                Comma-separated signed trade files to check (files may also be listed as arguments)
+  --dir <dir>                 Also check every trade file in this directory
+  --key-env <name>            Env variable holding the account's key (default: PRIVATE_KEY)
+  --next-nonce <n>            Invalidate every nonce below n (default: one past the highest open nonce)
+  --confirmations <n>         Blocks to wait for (default: 1)
+  --dry-run                   Show which orders would be invalidated and simulate, without sending
+
+order validate:
+  --in <file>                 Trade file to check
+  --require-signatures        Fail unless both maker and taker signatures are present
+  --out <file>                Write the (migrated) trade file here
+
+order verify:
+  --in <file>                 Signed trade file
+  --offline                   Only recover signers locally, without the on-chain cross-check
+
+store (all subcommands):
+  --store <file>              Order store file (default: ORDER_STORE or ./test/order_store.json)
+
+store add [files...]:
+  --in <files>                Comma-separated trade files (files may also be listed as arguments)
+  --dir <dir>                 Add every trade file in this directory
+
+store list:
+  --maker, --taker <address>  Filter by maker or taker
+  --account <address>         Orders where the address is the maker or the taker
+  --pair <tokenA,tokenB>      Orders between two tokens, in either direction
+  --status <status>           open, filled, cancelled or expired
+  --full                      Include the trade data (json and ndjson only)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+store show <hash>:
+  --hash <hash>               Order hash, if not given as an argument
+
+store sync:
+  --from-block <n>            Scan from this block (default: after the last synced block, else the deployment block)
+  --block-range <n>           Blocks per getLogs request (default: 2000)
+
+events index:
+  --dir <dir>                 Index directory (default: INDEX_DIR or ./test/indexer)
+  --confirmations <n>         Only index blocks this deep (default: INDEX_CONFIRMATIONS or 12; use 0 on anvil)
+  --start-block <n>           First block for a new index (default: the deployment block, or 0)
+  --to-block <n>              Stop at this block
+  --block-range <n>           Blocks per getLogs request (default: 2000)
+  --follow                    Keep indexing new blocks until interrupted
+  --interval <seconds>        Polling interval with --follow (default: 15)
+
+events list:
+  --dir <dir>                 Index directory (default: INDEX_DIR or ./test/indexer)
+  --event <name>              Only this event, e.g. SignedOrderExecuted
+  --order-hash <hash>         Only events for this order
+  --from-block, --to-block    Block range
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+history export:
+  --account <address>         Only trades where the address is the maker or taker, seen from its side
+  --token <symbol|address>    Only trades in this token; symbols are resolved with the registry
+  --from <date|timestamp>     Trades at or after this time, e.g. 2025-01-01
+  --to <date|timestamp>       Trades at or before this time (a date includes the whole day)
+  --format <csv|jsonl>        Output format (default: csv)
+  --out <file>                Write to a file instead of stdout
+  --dir <dir>                 Event index directory (default: INDEX_DIR or ./test/indexer)
+  --no-refresh                Use the index as it is instead of indexing new blocks first
+  --confirmations <n>         Confirmations when refreshing (default: INDEX_CONFIRMATIONS or 12)
+
+tx (all subcommands):
+  --tx-log <file>             Transaction log (default: TX_LOG or ./test/transactions.json)
+
+tx list:
+  --status <status>           pending, mined, reverted, cancelled or replaced (default: pending)
+  --all                       Every tracked transaction
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+tx wait|speed-up|cancel [hash]:
+  --hash <hash>               Any hash sent for the nonce, if not given as an argument
+  --nonce <n>                 Or the nonce of the --key-env account
+  --key-env <name>            Env variable holding the sender's key (default: PRIVATE_KEY)
+  --timeout <seconds>         How long to wait for it to be mined (default: TX_TIMEOUT or 180)
+  --bump <percent>            Fee increase over the last attempt, at least 10 (default: 12.5)
+  --max-fee-gwei <gwei>       Refuse replacements above this max fee (default: GAS_MAX_FEE_GWEI)
+  --no-wait                   Send the replacement without waiting for it
+
+network list:
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+network deployment:
+  --chain-id <id>             Chain to look up (default: CHAIN_ID)
+  --script <name>             Deployment script, e.g. ProxyDeployMT (default: --deployment, DEPLOYMENT, or latest)
+  --broadcast-dir <dir>       Foundry broadcast directory (default: BROADCAST_DIR or ./broadcast)
+  --format <text|json|ndjson|env> Output format; env prints .env lines (default: REPORT_FORMAT or text)
+
+registry (all subcommands):
+  --registry <address>        Asset registry (default: REGISTRY_ADDRESS, then the exchange's)
+
+registry register:
+  --token <address>           Token to register
+  --symbol <symbol>           Symbol to register it under (default: the token's symbol())
+  --decimals <n>              Decimals (default: the token's decimals())
+  --security-token <bool>     Register as a security token (default: whether it has attributeRegistry())
+  --allow-symbol-mismatch     Register under a symbol that differs from the token's symbol()
+  --confirm                   Confirm the registration straight away
+  --dry-run                   Check and simulate the registration without sending it
+  --key-env <name>            Env variable holding the registry owner's key (default: PRIVATE_KEY)
+
+registry confirm:
+  --token <address>           Pending token to confirm with the details it was registered with
+  --allow-symbol-mismatch     Confirm a symbol that differs from the token's symbol()
+  --dry-run                   Simulate the confirmation without sending it
+  --key-env <name>            Env variable holding the registry owner's key (default: PRIVATE_KEY)
+
+registry add-symbol:
+  --token <address>           Confirmed token
+  --symbol <symbol>           Further symbol for it
+  --dry-run                   Simulate without sending
+  --key-env <name>            Env variable holding the registry owner's key (default: PRIVATE_KEY)
+
+registry list|pending:
+  --status <status>           unregistered, pending or confirmed (list only; default: every asset)
+  --from-block <n>            Scan from this block (default: the registry's deployment block, or 0)
+  --to-block <n>              Scan up to this block (default: latest)
+  --block-range <n>           Blocks per getLogs request (default: 2000)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+kyc check:
+  --buyer <address>           Buyer address (default: BUYER_ADDRESS)
+  --seller <address>          Seller address (default: SELLER_ADDRESS)
+  --compliance <address>      Compliance contract (default: COMPLIANCE_ADDRESS)
+  --identity-registry <addr>  Identity registry (default: IDENTITY_REGISTRY_ADDRESS)
+  --maker-token <address>     Maker token (default: MAKER_TOKEN_ADDRESS)
+  --taker-token <address>     Taker token (default: TAKER_TOKEN_ADDRESS)
+  --attributes <names>        Attributes to read for both parties (default: KYC_ATTRIBUTES, or the whole catalogue)
+  --policies <file>           Token policy file (default: TOKEN_POLICIES or ./test/token_policies.json)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+kyc audit:
+  --in <file>                 CSV or JSON list of intended trades (default: KYC_AUDIT_FILE)
+  --compliance <address>      Compliance contract (default: COMPLIANCE_ADDRESS, then the exchange's)
+  --identity-registry <addr>  Identity registry for every token (default: IDENTITY_REGISTRY_ADDRESS, then each token's)
+  --require-accredited        Block security tokens going to accounts that are not accredited investors
+  --multicall <address>       Multicall3 contract (default: MULTICALL_ADDRESS or the canonical address)
+  --no-multicall              Send every call on its own
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+kyc attributes:
+  --account <a,b,...>         Accounts to read (without one, print the attribute catalogue)
+  --token <a,b,...>           Tokens to read them for (default: SECURITY_TOKEN_ADDRESS)
+  --attributes <names>        Catalogue names or bytes32 ids (default: the whole catalogue)
+  --compliance <address>      Compliance contract (default: COMPLIANCE_ADDRESS, then the exchange's)
+  --identity-registry <addr>  Registry for the values (default: IDENTITY_REGISTRY_ADDRESS, then each token's)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+
+kyc policy:
+  --token <a,b,...>           Tokens to explain (default: SECURITY_TOKEN_ADDRESS)
+  --account <a,b,...>         Also check whether these accounts meet each policy
+  --policies <file>           Token policy file (default: TOKEN_POLICIES or ./test/token_policies.json)
+  --compliance <address>      Compliance contract (default: COMPLIANCE_ADDRESS, then the exchange's)
+  --format <text|json|ndjson> Output format (default: REPORT_FORMAT or text)
+`;
+
+// Read a trade file, migrating legacy layouts and reporting what was changed unless quiet
+function readTradeFile(filePath, options = {}) {
+  const { quiet, ...loadOptions } = options;
+  const { tradeData, changes } = loadTradeFile(filePath, loadOptions);
+  if (changes.length > 0 && !quiet) {
+    console.log(`ℹ️ ${filePath} uses the legacy trade layout; read it as schema version ${TRADE_SCHEMA_VERSION}`);
+  }
+  return tradeData;
+}
+
+function saveTradeFile(filePath, tradeData) {
+  writeTradeFile(filePath, tradeData);
+  console.log(`Trade written to ${filePath}`);
+}
+
+// Load a wallet from the private key stored in the named environment variable
+function loadWallet(envName, provider) {
+  const privateKey = process.env[envName];
+  if (!privateKey) {
+    throw new Error(`Environment variable ${envName} is not set`);
+  }
+  return provider ? new ethers.Wallet(privateKey, provider) : new ethers.Wallet(privateKey);
+}
+
+// Address of the wallet in the named env variable, or undefined if it is not set
+function walletAddress(envName) {
+  return process.env[envName] ? new ethers.Wallet(process.env[envName]).address : undefined;
+}
+
+function getProvider(flags) {
+  const rpcUrl = flags.rpcUrl || process.env.RPC_URL;
+  if (!rpcUrl) {
+    throw new Error("No RPC URL: pass --rpc-url or set RPC_URL");
+  }
+  return new ethers.providers.JsonRpcProvider(rpcUrl);
+}
+
+async function orderCreate(flags) {
+  const rpcUrl = flags.rpcUrl || process.env.RPC_URL;
+  const provider = rpcUrl ? new ethers.providers.JsonRpcProvider(rpcUrl) : null;
+
+  const params = orderParamsFromEnv(process.env, {
+    maker: flags.maker || walletAddress("PRIVATE_KEY"),
+    taker: flags.taker || walletAddress("BUYER_PRIVATE_KEY"),
+    pair: flags.pair,
+    makerToken: flags.makerToken,
+    takerToken: flags.takerToken,
+    asOf: flags.asOf,
+    registryAddress: flags.registry,
+    makerAmount: requireFlag(flags, "makerAmount"),
+    takerAmount: requireFlag(flags, "takerAmount"),
+    makerDecimals: flags.makerDecimals,
+    takerDecimals: flags.takerDecimals,
+    makerNonce: flags.makerNonce,
+    takerNonce: flags.takerNonce,
+    expiry: flags.expiry,
+    expiresIn: flags.expiresIn,
+    exchangeAddress: flags.exchange,
+    signaturesAddress: flags.signatures,
+    netAmounts: flags.net !== undefined ? booleanFlag(flags.net) : undefined
+  });
+
+  const chainId = flags.chainId || process.env.CHAIN_ID || (provider ? (await provider.getNetwork()).chainId : getNetworkProfile("local").chainId);
+  const domain = await getOrderDomain(params.exchangeAddress, provider, { chainId, signaturesAddress: params.signaturesAddress });
+
+  const { order, fees, makerToken, takerToken, symbols, warnings } = await buildOrder(params, provider);
+  warnings.forEach((warning) => console.warn(`⚠️ WARNING: ${warning}`));
+
+  console.log("Generated order:", order);
+  console.log(`Maker sells ${ethers.utils.formatUnits(order.makerAmount, makerToken.decimals)} ${makerToken.symbol || order.makerToken} (${makerToken.decimals} decimals)`);
+  console.log(`Taker pays ${ethers.utils.formatUnits(order.takerAmount, takerToken.decimals)} ${takerToken.symbol || order.takerToken} (${takerToken.decimals} decimals)`);
+  if (fees) {
+    describeFeeQuote(fees, { maker: makerToken, taker: takerToken }).forEach((line) => console.log(line));
+  }
+
+  saveTradeFile(flags.out || './test/signed_trade.json', createTradeData({
+    description: flags.description || "Security token purchase with cash token",
+    exchange: params.exchangeAddress,
+    domain: domain,
+    order: order,
+    metadata: { generator: "cli.js order create", ...(symbols ? { symbols } : {}) }
+  }));
+}
+
+async function orderSign(flags) {
+  const inFile = requireFlag(flags, "in");
+  const role = flags.role || "both";
+  if (!["maker", "taker", "both"].includes(role)) {
+    throw new Error(`Invalid --role ${role}: expected maker, taker or both`);
+  }
+
+  const tradeData = readTradeFile(inFile);
+  const domain = tradeData.domain;
+  const order = tradeData.order;
+  tradeData.signatures = tradeData.signatures || {};
+
+  const roles = role === "both" ? ["maker", "taker"] : [role];
+  for (const party of roles) {
+    const keyEnv = party === "maker"
+      ? flags.makerKeyEnv || "PRIVATE_KEY"
+      : flags.takerKeyEnv || "BUYER_PRIVATE_KEY";
+    const wallet = loadWallet(keyEnv);
+
+    if (wallet.address.toLowerCase() !== order[party].toLowerCase()) {
+      throw new Error(`Key in ${keyEnv} (${wallet.address}) is not the order ${party} (${order[party]})`);
+    }
+
+    const signature = await signOrder(order, wallet, domain);
+    if (!verifyOrderSignature(order, signature, order[party], domain)) {
+      throw new Error(`Signature produced for ${party} does not recover to ${order[party]}`);
+    }
+
+    tradeData.signatures[party] = signature;
+    console.log(`Signed order as ${party} (${wallet.address}): ${signature}`);
+  }
+
+  saveTradeFile(flags.out || inFile, tradeData);
+}
+
+// Exchange for a trade: --exchange, then EXCHANGE_ADDRESS, then the trade file's exchange
+function exchangeAddressFor(flags, tradeData) {
+  const exchangeAddress = flags.exchange || process.env.EXCHANGE_ADDRESS || tradeData.exchange;
+  if (!exchangeAddress) {
+    throw new Error("No exchange address: pass --exchange, set EXCHANGE_ADDRESS or include exchange in the trade file");
+  }
+  return exchangeAddress;
+}
+
+function printVerification(report) {
+  const { local, onChain } = report;
+
+  console.log(`Local domain separator:    ${local.domainSeparator}`);
+  console.log(`Local order hash:          ${local.orderHash}`);
+  if (onChain) {
+    const mark = (matches) => (matches ? "✅" : "❌");
+    console.log(`Signatures contract:       ${onChain.signaturesAddress}`);
+    console.log(`On-chain domain separator: ${onChain.domainSeparator} ${mark(report.domainMatches)}`);
+    console.log(`On-chain order type hash:  ${onChain.orderTypeHash} ${mark(report.typeHashMatches)}`);
+    console.log(`On-chain order hash:       ${onChain.orderHash} ${mark(report.orderHashMatches)}`);
+  }
+
+  if (report.domainDiagnosis) {
+    report.domainDiagnosis.differences.forEach(({ field, expected, actual }) => {
+      console.log(`ℹ️ domain.${field} is ${actual}, but the contract's domain uses ${expected}`);
+    });
+  } else if (report.domainMatches === false) {
+    console.log("ℹ️ Could not find a domain matching the on-chain separator");
+  }
+
+  Object.entries(report.parties).forEach(([party, result]) => {
+    if (result.valid) {
+      console.log(`✅ ${party} signature recovers to ${result.expected}`);
+    }
+  });
+  report.failures.forEach((failure) => console.log(`❌ [${failure.kind}] ${failure.message}`));
+}
+
+// Recover both signers, cross-checking against the chain unless offline
+async function verifySignatures(flags, tradeData, quiet = false) {
+  const offline = booleanFlag(flags.offline);
+  const report = await verifyTradeSignatures(tradeData, offline ? {} : {
+    provider: getProvider(flags),
+    exchangeAddress: exchangeAddressFor(flags, tradeData)
+  });
+
+  if (!quiet) {
+    printVerification(report);
+  }
+  return report;
+}
+
+async function orderVerify(flags) {
+  const tradeData = readTradeFile(requireFlag(flags, "in"));
+  const report = await verifySignatures(flags, tradeData);
+
+  if (!report.ok) {
+    throw new Error("Signature verification failed");
+  }
+  console.log(report.onChain
+    ? "✅ Both signatures are valid for this exchange"
+    : "✅ Both signatures recover to the order's maker and taker (not checked on chain)");
+}
+
+async function orderFees(flags) {
+  const tradeData = readTradeFile(requireFlag(flags, "in"));
+  const provider = getProvider(flags);
+  const { order } = tradeData;
+
+  const [quote, makerToken, takerToken] = await Promise.all([
+    quoteOrderFees(order, exchangeAddressFor(flags, tradeData), provider),
+    getTokenInfo(order.makerToken, provider),
+    getTokenInfo(order.takerToken, provider)
+  ]);
+
+  console.log(`Fees contract: ${quote.feesContract}`);
+  describeFeeQuote(quote, { maker: makerToken, taker: takerToken }).forEach((line) => console.log(line));
+  if (!quote.maker.covered || !quote.taker.covered) {
+    process.exitCode = 1;
+  }
+}
+
+async function orderCheck(flags) {
+  const format = resolveFormat(flags.format);
+  const tradeData = readTradeFile(requireFlag(flags, "in"), { quiet: format !== "text" });
+
+  const readiness = await checkTradeReadiness(tradeData, getProvider(flags), {
+    exchangeAddress: exchangeAddressFor(flags, tradeData),
+    requireSignatures: booleanFlag(flags.requireSignatures),
+    minLifetime: flags.minLifetime
+  });
+
+  const reporter = createReporter("readiness", { format, renderers: TRADE_RENDERERS });
+  recordReadiness(reporter, readiness);
+  const report = reporter.finish(readiness.ready ? "ready" : "not-ready");
+  if (!report.ok) {
+    process.exitCode = 1;
+  }
+}
+
+// Every compliance rule for the trade, with the first failing one and a remedy for each failure
+async function orderExplain(flags) {
+  const format = resolveFormat(flags.format);
+  const tradeData = readTradeFile(requireFlag(flags, "in"), { quiet: format !== "text" });
+
+  const explanation = await explainCompliance(tradeData.order, getProvider(flags), {
+    exchangeAddress: exchangeAddressFor(flags, tradeData),
+    identityRegistry: flags.identityRegistry || process.env.IDENTITY_REGISTRY_ADDRESS,
+    policies: loadTokenPolicies(flags.policies)
+  });
+
+  const reporter = createReporter("compliance-explain", { format, renderers: TRADE_RENDERERS });
+  reporter.section("explanation", explanation);
+  explanation.failures.forEach((failure) => reporter.finding("error", failure.code, failure.message,
+    { rule: failure.rule, party: failure.party, token: failure.token, remedy: failure.remedy }));
+  explanation.rules
+    .filter(({ status }) => status === "warn")
+    .forEach((rule) => reporter.finding("warning", rule.code, rule.message, { rule: rule.rule, party: rule.party, token: rule.token }));
+  const report = reporter.finish(explanation.compliant ? "compliant" : "not-compliant");
+  if (!report.ok) {
+    process.exitCode = 1;
+  }
+}
+
+// Settings for lib/gas.js; anything not given falls back to the GAS_* variables
+function gasSettingsFrom(flags) {
+  return {
+    bufferPercent: flags.gasBuffer,
+    gasLimit: flags.gasLimit,
+    priorityPercentile: flags.priorityPercentile,
+    maxFeeGwei: flags.maxFeeGwei,
+    legacy: flags.legacyGas !== undefined ? booleanFlag(flags.legacyGas) : undefined
+  };
+}
+
+async function orderExecute(flags) {
+  // Keep stdout to the report itself in the machine-readable formats
+  const format = resolveFormat(flags.format);
+  const quiet = format !== "text";
+  const tradeFile = flags.in || './test/signed_trade.json';
+  const tradeData = readTradeFile(tradeFile, { requireSignatures: true, quiet });
+
+  // Catch bad signatures before paying for gas
+  if (!booleanFlag(flags.skipVerify)) {
+    const report = await verifySignatures(flags, tradeData, quiet);
+    if (!report.ok && !booleanFlag(flags.force)) {
+      throw new Error("Signature verification failed; pass --skip-verify or --force to submit anyway");
+    }
+  }
+
+  const options = {
+    tradeFile: tradeFile,
+    rpcUrl: flags.rpcUrl,
+    exchangeAddress: flags.exchange,
+    privateKey: process.env[flags.keyEnv || "PRIVATE_KEY"],
+    format: format,
+    gas: gasSettingsFrom(flags),
+    tracking: {
+      txLog: flags.txLog,
+      timeout: flags.timeout,
+      speedUps: flags.speedUps,
+      bumpPercent: flags.bump
+    }
+  };
+
+  // Executors load the Foundry ABI on require, so only pull them in when needed
+  let report;
+  if (tradeData.permits && !booleanFlag(flags.legacy)) {
+    const { executeMetaTransaction } = require('./execute_mt');
+    report = await executeMetaTransaction({ ...options, forceExecution: booleanFlag(flags.force) });
+  } else if (booleanFlag(flags.legacy)) {
+    const { executeTrade } = require('./execute_trade');
+    report = await executeTrade(options);
+  } else {
+    const { executeMetaTransactionTrade } = require('./execute_trade');
+    report = await executeMetaTransactionTrade({ ...options, forcePermit: booleanFlag(flags.forcePermit) });
+  }
+
+  if (!report.ok) {
+    process.exitCode = 1;
+  }
+}
+
+async function orderCancel(flags) {
+  const tradeData = readTradeFile(requireFlag(flags, "in"));
+  const provider = getProvider(flags);
+  const wallet = loadWallet(flags.keyEnv || "PRIVATE_KEY", provider);
+
+  const plan = await prepareCancellation(tradeData, provider, {
+    exchangeAddress: exchangeAddressFor(flags, tradeData),
+    mode: booleanFlag(flags.both) ? "both" : flags.mode,
+    canceller: wallet.address
+  });
+
+  console.log(`Cancelling order via ${plan.exchangeAddress} (${plan.method}) as ${wallet.address}`);
+  Object.entries(plan.state).forEach(([party, state]) => {
+    const mark = state.status === "current" ? "✅" : state.status === "future" ? "⏭️" : "❌";
+    console.log(`${mark} ${party} ${state.address}: order nonce ${state.nonce}, current nonce ${state.current} (${state.status})`);
+  });
+  Object.entries(plan.expected).forEach(([party, range]) => {
+    console.log(`Will use ${party} ${describeNonceRange(range)}`);
+  });
+  plan.warnings.forEach((warning) => console.warn(`⚠️ WARNING: ${warning}`));
+
+  const result = await submitCancellation(plan, wallet, { confirmations: flags.confirmations });
+  console.log(`Transaction ${result.txHash} mined in block ${result.blockNumber}`);
+  console.log(`✅ SignedOrderCancelled ${result.orderHash} (canceller ${result.canceller})`);
+  Object.entries(result.consumed).forEach(([party, range]) => {
+    console.log(`Consumed ${party} ${describeNonceRange(range)}; next ${party} nonce is ${result.after[party].current}`);
+  });
+}
+
+// Trade files named by --in (comma-separated), positional arguments and the JSON files in --dir
+// Files found by --dir that are not trade files are skipped
+function collectTradeFiles(flags, positional) {
+  const trades = [];
+
+  const named = [...(flags.in ? String(flags.in).split(",") : []), ...positional].filter(Boolean);
+  named.forEach((file) => trades.push({ file, tradeData: readTradeFile(file, { quiet: true }) }));
+
+  if (flags.dir) {
+    fs.readdirSync(flags.dir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => path.join(flags.dir, name))
+      .filter((file) => !named.includes(file))
+      .forEach((file) => {
+        try {
+          trades.push({ file, tradeData: readTradeFile(file, { quiet: true }) });
+        } catch (error) {
+          console.log(`ℹ️ Skipping ${file}: ${error.message}`);
+        }
+      });
+  }
+  return trades;
+}
+
+async function orderCancelAll(flags, positional) {
+  const provider = getProvider(flags);
+  const wallet = loadWallet(flags.keyEnv || "PRIVATE_KEY", provider);
+  const trades = collectTradeFiles(flags, positional);
+  const dryRun = booleanFlag(flags.dryRun);
+
+  const plan = await planNonceInvalidation(wallet.address, trades, provider, {
+    exchangeAddress: flags.exchange || process.env.EXCHANGE_ADDRESS,
+    nextNonce: flags.nextNonce
+  });
+
+  console.log(`Account ${plan.account} on ${plan.exchangeAddress}: current nonce ${plan.current}`);
+  const marks = { invalidated: "🚫", open: "⚠️", used: "✔️", unrelated: "➖", "other-exchange": "➖" };
+  plan.trades.forEach((trade) => {
+    const detail = trade.status === "unrelated"
+      ? "account is not the maker or taker"
+      : trade.status === "other-exchange"
+        ? "for a different exchange or signatures contract"
+        : `${trade.roles.join(" and ")} nonce ${trade.nonce}: ${trade.status === "used" ? "already invalid" : trade.after === "invalidated" ? "will be invalidated" : "stays open"}`;
+    console.log(`${marks[trade.after]} ${trade.file} (${detail})`);
+  });
+  console.log(`Next nonce ${plan.current} -> ${plan.next} (${plan.count} nonce${plan.count === "1" ? "" : "s"} used up)`);
+  plan.warnings.forEach((warning) => console.warn(`⚠️ WARNING: ${warning}`));
+
+  // Sign for the domain the trade files were signed for, which matches the signatures contract,
+  // or else for the signatures contract itself
+  const signed = plan.trades.find(({ status }) => status !== "other-exchange" && status !== "unrelated");
+  const domain = signed
+    ? trades.find(({ file }) => file === signed.file).tradeData.domain
+    : buildDomain(flags.chainId || process.env.CHAIN_ID || (await provider.getNetwork()).chainId, plan.signaturesAddress);
+
+  const result = await invalidateNonces(plan, wallet, domain, { dryRun, confirmations: flags.confirmations });
+  if (result.dryRun) {
+    console.log("✅ Dry run: the cancellation simulates successfully; nothing was sent");
+    return;
+  }
+  console.log(`Transaction ${result.txHash} mined in block ${result.blockNumber}`);
+  console.log(`✅ SignedOrderCancelled ${result.orderHash}; next nonce is now ${result.next}`);
+}
+
+async function orderValidate(flags) {
+  const inFile = requireFlag(flags, "in");
+  const { tradeData, changes } = loadTradeFile(inFile, { requireSignatures: booleanFlag(flags.requireSignatures) });
+
+  if (changes.length > 0) {
+    console.log(`ℹ️ ${inFile} uses the legacy trade layout; migrating it to schema version ${TRADE_SCHEMA_VERSION}:`);
+    changes.forEach((change) => console.log(`  - ${change}`));
+  }
+  console.log(`✅ ${inFile} is a valid schema version ${TRADE_SCHEMA_VERSION} trade file`);
+
+  if (flags.out) {
+    saveTradeFile(flags.out, tradeData);
+  }
+}
+
+function storeFor(flags) {
+  return openOrderStore(flags.store);
+}
+
+// One line per order for store list and store sync
+function describeStoredOrder(record) {
+  const marks = { open: "🟢", filled: "✅", cancelled: "🚫", expired: "⌛" };
+  return `${marks[record.status]} ${record.orderHash} ${record.status.padEnd(9)} maker ${record.maker} sells ${record.makerAmount} ${record.makerToken} to taker ${record.taker} for ${record.takerAmount} ${record.takerToken}`;
+}
+
+async function storeAdd(flags, positional) {
+  const store = storeFor(flags);
+  const trades = collectTradeFiles(flags, positional);
+  if (trades.length === 0) {
+    throw new Error("No trade files given: pass --in, --dir or file arguments");
+  }
+
+  trades.forEach(({ file, tradeData }) => {
+    const { record, added } = store.add(tradeData, file, flags.exchange || process.env.EXCHANGE_ADDRESS);
+    console.log(`${added ? "Added" : "Updated"} ${record.orderHash} from ${file} (${record.status})`);
+  });
+  store.save();
+  console.log(`Order store written to ${store.file}`);
+}
+
+async function storeList(flags) {
+  const store = storeFor(flags);
+  const format = resolveFormat(flags.format);
+  const query = {
+    maker: flags.maker,
+    taker: flags.taker,
+    account: flags.account,
+    pair: flags.pair ? String(flags.pair).split(",") : undefined,
+    status: flags.status,
+    exchange: flags.exchange
+  };
+  if (query.status && !ORDER_STATUSES.includes(query.status)) {
+    throw new Error(`Unknown --status ${query.status}: expected ${ORDER_STATUSES.join(", ")}`);
+  }
+  if (query.pair && query.pair.length !== 2) {
+    throw new Error("--pair takes two token addresses separated by a comma");
+  }
+
+  const records = store.find(query).map(({ tradeData, ...record }) => (booleanFlag(flags.full) ? { ...record, tradeData } : record));
+  if (format === "json") {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (format === "ndjson") {
+    records.forEach((record) => console.log(JSON.stringify(record)));
+  } else {
+    records.forEach((record) => console.log(describeStoredOrder(record)));
+    console.log(`${records.length} order${records.length === 1 ? "" : "s"}`);
+  }
+}
+
+async function storeShow(flags, positional) {
+  const orderHash = positional[0] || requireFlag(flags, "hash");
+  const record = storeFor(flags).get(orderHash);
+  if (!record) {
+    throw new Error(`No order ${orderHash} in the store`);
+  }
+  console.log(JSON.stringify(record, null, 2));
+}
+
+async function storeSync(flags) {
+  const store = storeFor(flags);
+  const summary = await syncOrderStore(store, getProvider(flags), {
+    exchangeAddress: flags.exchange,
+    fromBlock: flags.fromBlock,
+    blockRange: flags.blockRange
+  });
+  store.save();
+
+  summary.exchanges.forEach(({ exchange, fromBlock, toBlock, events }) => {
+    console.log(`Scanned ${exchange} blocks ${fromBlock}-${toBlock}: ${events} event${events === 1 ? "" : "s"}`);
+  });
+  summary.updated.forEach(({ orderHash, status, reason }) => console.log(`${orderHash} -> ${status} (${reason})`));
+  console.log(`✅ ${summary.updated.length} order${summary.updated.length === 1 ? "" : "s"} updated; synced to block ${summary.toBlock}`);
+}
+
+async function eventsIndex(flags) {
+  const provider = getProvider(flags);
+  const options = {
+    exchangeAddress: flags.exchange,
+    dir: flags.dir,
+    confirmations: flags.confirmations !== undefined ? flags.confirmations : process.env.INDEX_CONFIRMATIONS,
+    blockRange: flags.blockRange,
+    startBlock: flags.startBlock,
+    toBlock: flags.toBlock
+  };
+
+  // --follow keeps indexing new blocks every --interval seconds until interrupted
+  for (;;) {
+    const result = await indexExchangeEvents(provider, options);
+    if (result.reorg) {
+      console.warn(`⚠️ WARNING: reorg detected; rolled back from block ${result.reorg.from} to ${result.reorg.to} and dropped ${result.reorg.removed} event${result.reorg.removed === 1 ? "" : "s"}`);
+    }
+    console.log(result.fromBlock > result.toBlock
+      ? `Up to date at block ${result.checkpoint.lastBlock} (head ${result.head})`
+      : `Indexed blocks ${result.fromBlock}-${result.toBlock} (head ${result.head}): ${result.added} event${result.added === 1 ? "" : "s"}`);
+
+    if (!booleanFlag(flags.follow)) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, Number(flags.interval || 15) * 1000));
+  }
+}
+
+async function eventsList(flags) {
+  const format = resolveFormat(flags.format);
+  const records = readIndexedEvents(flags.dir)
+    .filter((record) => !flags.event || record.event === flags.event)
+    .filter((record) => !flags.orderHash || (record.args.orderHash || "").toLowerCase() === String(flags.orderHash).toLowerCase())
+    .filter((record) => flags.fromBlock === undefined || record.blockNumber >= Number(flags.fromBlock))
+    .filter((record) => flags.toBlock === undefined || record.blockNumber <= Number(flags.toBlock));
+
+  if (format === "json") {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (format === "ndjson") {
+    records.forEach((record) => console.log(JSON.stringify(record)));
+  } else {
+    records.forEach((record) => {
+      const args = Object.entries(record.args).map(([name, value]) => `${name}=${value}`).join(" ");
+      console.log(`#${record.blockNumber} ${new Date(record.timestamp * 1000).toISOString()} ${record.event} ${args}`);
+    });
+    console.log(`${records.length} event${records.length === 1 ? "" : "s"}`);
+  }
+}
+
+async function historyExport(flags) {
+  const format = flags.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown --format ${format}: expected ${EXPORT_FORMATS.join(", ")}`);
+  }
+  const provider = getProvider(flags);
+
+  // Bring the index up to date first unless asked not to
+  if (booleanFlag(flags.refresh, true)) {
+    await indexExchangeEvents(provider, {
+      exchangeAddress: flags.exchange,
+      dir: flags.dir,
+      confirmations: flags.confirmations !== undefined ? flags.confirmations : process.env.INDEX_CONFIRMATIONS
+    });
+  }
+
+  const { rows } = await buildTradeBlotter(readIndexedEvents(flags.dir), provider, {
+    exchangeAddress: flags.exchange,
+    account: flags.account,
+    token: flags.token,
+    from: flags.from,
+    to: flags.to
+  });
+  const output = formatBlotter(rows, format);
+
+  if (flags.out) {
+    fs.writeFileSync(flags.out, output);
+    console.log(`${rows.length} trade${rows.length === 1 ? "" : "s"} written to ${flags.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// One line per tracked transaction for tx list and the tx commands
+function describeTrackedTx(record) {
+  const marks = { pending: "⏳", mined: "✅", reverted: "❌", cancelled: "🚫", replaced: "🔁" };
+  const replacements = record.hashes.length - 1;
+  const latest = record.minedHash || record.hashes[record.hashes.length - 1].hash;
+  return `${marks[record.status]} nonce ${record.nonce} ${record.status.padEnd(9)} ${record.label || "transaction"} from ${record.from} ${latest}` +
+    (replacements > 0 ? ` (${replacements} replacement${replacements === 1 ? "" : "s"})` : "");
+}
+
+// The tracked transaction named by a hash argument, --hash, or --nonce for the --key-env account
+async function trackedTransaction(flags, positional, txLog, provider) {
+  const hash = positional[0] || flags.hash;
+  if (hash) {
+    const record = txLog.get(hash);
+    if (!record) {
+      throw new Error(`No transaction ${hash} in ${txLog.file}`);
+    }
+    return record;
+  }
+  const nonce = Number(requireFlag(flags, "nonce"));
+  const from = walletAddress(flags.keyEnv || "PRIVATE_KEY");
+  const { chainId } = await provider.getNetwork();
+  const record = from && txLog.get(chainId, from, nonce);
+  if (!record) {
+    throw new Error(`No transaction with nonce ${nonce} from ${from} on chain ${chainId} in ${txLog.file}`);
+  }
+  return record;
+}
+
+async function waitAndReport(provider, record, txLog, flags) {
+  console.log(`Waiting up to ${flags.timeout || process.env.TX_TIMEOUT || 180} seconds for nonce ${record.nonce}...`);
+  const result = await waitForTracked(provider, record, txLog, { timeout: flags.timeout });
+  console.log(describeTrackedTx(record));
+  if (result.status === "timeout") {
+    console.log("⚠️ Still pending; wait again, or replace it with tx speed-up or tx cancel");
+    process.exitCode = 1;
+  } else if (result.status !== "mined" && result.status !== "cancelled") {
+    process.exitCode = 1;
+  }
+}
+
+async function txList(flags) {
+  const txLog = openTxLog(flags.txLog);
+  const format = resolveFormat(flags.format);
+  const statuses = booleanFlag(flags.all) ? TX_STATUSES : [flags.status || "pending"];
+  if (!statuses.every((status) => TX_STATUSES.includes(status))) {
+    throw new Error(`Unknown --status ${flags.status}: expected ${TX_STATUSES.join(", ")}`);
+  }
+
+  const records = txLog.list(statuses);
+  if (format === "json") {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (format === "ndjson") {
+    records.forEach((record) => console.log(JSON.stringify(record)));
+  } else {
+    records.forEach((record) => console.log(describeTrackedTx(record)));
+    console.log(`${records.length} transaction${records.length === 1 ? "" : "s"}`);
+  }
+}
+
+async function txWait(flags, positional) {
+  const provider = getProvider(flags);
+  const txLog = openTxLog(flags.txLog);
+  const record = await trackedTransaction(flags, positional, txLog, provider);
+  if (record.status !== "pending") {
+    console.log(describeTrackedTx(record));
+    return;
+  }
+  await waitAndReport(provider, record, txLog, flags);
+}
+
+// tx speed-up and tx cancel
+function txReplace(mode) {
+  return async (flags, positional) => {
+    const provider = getProvider(flags);
+    const txLog = openTxLog(flags.txLog);
+    const record = await trackedTransaction(flags, positional, txLog, provider);
+    const wallet = loadWallet(flags.keyEnv || "PRIVATE_KEY", provider);
+
+    const tx = await replaceTransaction(wallet, record, txLog, mode, { bumpPercent: flags.bump, gas: gasSettingsFrom(flags) });
+    const fees = tx.maxFeePerGas
+      ? `max fee ${ethers.utils.formatUnits(tx.maxFeePerGas, "gwei")} gwei, priority fee ${ethers.utils.formatUnits(tx.maxPriorityFeePerGas, "gwei")} gwei`
+      : `gas price ${ethers.utils.formatUnits(tx.gasPrice, "gwei")} gwei`;
+    console.log(`${mode === "cancel" ? "🚫 Cancelling" : "🚀 Speeding up"} nonce ${record.nonce} with ${tx.hash} (${fees})`);
+
+    if (flags.wait !== false) {
+      await waitAndReport(provider, record, txLog, flags);
+    }
+  };
+}
+
+async function networkList(flags) {
+  const format = resolveFormat(flags.format);
+  const profiles = Object.keys(NETWORK_PROFILES).map((name) => getNetworkProfile(name));
+  if (format !== "text") {
+    console.log(JSON.stringify(profiles, null, format === "json" ? 2 : undefined));
+    return;
+  }
+  profiles.forEach((profile) => {
+    const selected = profile.name === process.env.NETWORK ? " (selected)" : "";
+    console.log(`${profile.name}${selected}: ${profile.description}, chain ${profile.chainId}, ${profile.rpcUrl}`);
+    Object.entries({ ...profile.contracts, ...profile.tokens }).forEach(([name, address]) => console.log(`  ${name.padEnd(22)} ${address}`));
+  });
+}
+
+async function networkDeployment(flags) {
+  const chainId = flags.chainId || process.env.CHAIN_ID;
+  if (!chainId) {
+    throw new Error("Missing --chain-id (or CHAIN_ID, or --network)");
+  }
+  const deployment = loadDeployment(chainId, {
+    script: flags.script || flags.deployment || process.env.DEPLOYMENT || "latest",
+    dir: flags.broadcastDir
+  });
+
+  if (flags.format === "env") {
+    console.log(`# ${deployment.script} on chain ${deployment.chainId}, block ${deployment.block}`);
+    console.log(`CHAIN_ID=${deployment.chainId}`);
+    console.log(`EXCHANGE_ADDRESS=${deployment.contracts.exchange}`);
+    ["registry", "compliance"]
+      .filter((name) => deployment.contracts[name])
+      .forEach((name) => console.log(`${name.toUpperCase()}_ADDRESS=${deployment.contracts[name]}`));
+    return;
+  }
+  const format = resolveFormat(flags.format);
+  if (format !== "text") {
+    console.log(JSON.stringify(deployment, null, format === "json" ? 2 : undefined));
+    return;
+  }
+  const deployedAt = new Date(deployment.timestamp * 1000).toISOString();
+  console.log(`📦 ${deployment.script} on chain ${deployment.chainId}: block ${deployment.block}, ${deployedAt}${deployment.commit ? `, commit ${deployment.commit}` : ""}`);
+  Object.entries(deployment.contracts).forEach(([name, address]) => console.log(`  ${name.padEnd(22)} ${address}`));
+  Object.entries(deployment.tokens).forEach(([symbol, token]) => {
+    console.log(`  ${symbol.padEnd(22)} ${token.address} (${token.decimals} decimals${token.isSecurityToken ? ", security token" : ""})`);
+  });
+  console.log(`  from ${deployment.file}`);
+}
+
+async function kycCheck(flags) {
+  const { checkKyc } = require('./check_kyc');
+  const report = await checkKyc({
+    rpcUrl: flags.rpcUrl,
+    buyer: flags.buyer,
+    seller: flags.seller,
+    compliance: flags.compliance,
+    identityRegistry: flags.identityRegistry,
+    makerToken: flags.makerToken,
+    takerToken: flags.takerToken,
+    attributes: flags.attributes,
+    policies: flags.policies,
+    format: flags.format
+  });
+
+  if (!report.ok) {
+    process.exitCode = 1;
+  }
+}
+
+async function kycAudit(flags) {
+  const { auditKyc } = require('./check_kyc');
+  const report = await auditKyc({
+    input: flags.in,
+    rpcUrl: flags.rpcUrl,
+    exchange: flags.exchange,
+    compliance: flags.compliance,
+    identityRegistry: flags.identityRegistry,
+    requireAccredited: flags.requireAccredited === undefined ? undefined : booleanFlag(flags.requireAccredited),
+    multicall: {
+      address: typeof flags.multicall === "string" ? flags.multicall : undefined,
+      disabled: flags.multicall === false
+    },
+    format: flags.format
+  });
+
+  if (!report.ok) {
+    process.exitCode = 1;
+  }
+}
+
+const listFlag = (value) => (value === undefined || value === true ? [] : String(value).split(",").map((item) => item.trim()).filter(Boolean));
+const attributeMark = (value) => (value === null ? "❔" : value ? "✅" : "❌");
+
+// The compliance contract from --compliance, COMPLIANCE_ADDRESS or the exchange
+async function complianceAddressFor(flags, provider) {
+  const address = flags.compliance || process.env.COMPLIANCE_ADDRESS;
+  if (address) {
+    return address;
+  }
+  const exchangeAddress = flags.exchange || process.env.EXCHANGE_ADDRESS;
+  if (!exchangeAddress) {
+    throw new Error("Missing --compliance (or COMPLIANCE_ADDRESS, or an exchange to read it from)");
+  }
+  return new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider).getComplianceContract();
+}
+
+async function readAttributesFor(flags, provider, accounts, attributes) {
+  const tokens = listFlag(flags.token || process.env.SECURITY_TOKEN_ADDRESS).map((token) => ethers.utils.getAddress(token));
+  if (tokens.length === 0) {
+    throw new Error("Missing --token (or SECURITY_TOKEN_ADDRESS)");
+  }
+  return readAttributes(provider, {
+    accounts: accounts.map((account) => ethers.utils.getAddress(account)),
+    tokens,
+    attributes,
+    compliance: await complianceAddressFor(flags, provider),
+    identityRegistry: flags.identityRegistry || process.env.IDENTITY_REGISTRY_ADDRESS
+  });
+}
+
+async function kycAttributes(flags) {
+  const format = resolveFormat(flags.format);
+  const catalogue = loadAttributeCatalogue();
+  const names = listFlag(flags.attributes);
+  const attributes = names.length > 0 ? names.map((name) => resolveAttribute(name, catalogue)) : Object.values(catalogue);
+  const accounts = listFlag(flags.account);
+
+  if (accounts.length === 0) {
+    if (format !== "text") {
+      console.log(JSON.stringify(attributes, null, format === "json" ? 2 : undefined));
+      return;
+    }
+    attributes.forEach((attribute) => {
+      const values = attribute.values ? `: ${attribute.values.map((value, index) => `${index}=${value}`).join(", ")}` : "";
+      console.log(`${attribute.name.padEnd(20)} ${attribute.type.padEnd(7)} ${attribute.id}`);
+      console.log(`${"".padEnd(20)} ${attribute.description}${values}`);
+    });
+    return;
+  }
+
+  const { tokens } = await readAttributesFor(flags, getProvider(flags), accounts, attributes);
+  if (format !== "text") {
+    console.log(JSON.stringify(tokens, null, format === "json" ? 2 : undefined));
+    return;
+  }
+  tokens.forEach((token) => {
+    const kind = token.isSecurityToken === null ? "type unknown" : token.isSecurityToken ? "security token" : "not a security token";
+    console.log(`🏷️ ${token.symbol} ${token.address} (${kind}${token.identityRegistry ? `, registry ${token.identityRegistry}` : ", no registry for values"})`);
+    Object.entries(token.accounts).forEach(([account, found]) => {
+      console.log(`  ${account}`);
+      Object.entries(found).forEach(([name, { has, value }]) => {
+        const shown = !has || value === null || typeof value === "boolean" ? "" : ` ${value}`;
+        console.log(`    ${attributeMark(has)} ${name}${shown}`);
+      });
+    });
+  });
+}
+
+async function kycPolicy(flags) {
+  const format = resolveFormat(flags.format);
+  const catalogue = loadAttributeCatalogue();
+  const policies = loadTokenPolicies(flags.policies);
+  const accounts = listFlag(flags.account);
+  // Read every attribute the policies mention, and nothing else
+  const mentioned = new Set(Object.values(policies).flatMap(({ requires }) => (requires || []).map(({ attribute }) => attribute)));
+  mentioned.add("KYC_VERIFIED");
+  const attributes = [...mentioned].map((name) => resolveAttribute(name, catalogue));
+
+  const { tokens } = await readAttributesFor(flags, getProvider(flags), accounts, attributes);
+  const results = tokens.map((token) => {
+    const policy = tokenPolicy(token, policies, catalogue);
+    const checks = accounts.flatMap((account) => ["sender", "receiver"].map((role) => ({
+      account: ethers.utils.getAddress(account),
+      role,
+      ...evaluatePolicy(policy, token.accounts[ethers.utils.getAddress(account)], role)
+    })));
+    return { token: token.address, symbol: token.symbol, isSecurityToken: token.isSecurityToken, source: policy.source, description: policy.description, rules: describePolicy(policy), checks };
+  });
+
+  if (format !== "text") {
+    console.log(JSON.stringify(results, null, format === "json" ? 2 : undefined));
+  } else {
+    results.forEach((result) => {
+      console.log(`📜 ${result.symbol} ${result.token} (${result.source} policy): ${result.description || "no description"}`);
+      result.rules.forEach((rule) => console.log(`  • ${rule}`));
+      if (result.rules.length === 0) {
+        console.log("  • nothing required");
+      }
+      result.checks.forEach((check) => {
+        const verdict = check.satisfied ? "✅ meets it" : check.unknown ? "❔ could not be checked" : `❌ ${check.failures.join(", ")}`;
+        console.log(`  ${check.account} as ${check.role}: ${verdict}`);
+      });
+    });
+  }
+  if (results.some(({ checks }) => checks.some(({ failures }) => failures.length > 0))) {
+    process.exitCode = 1;
+  }
+}
+
+function registryFor(flags, provider) {
+  return getRegistry(provider, { registryAddress: flags.registry, exchangeAddress: flags.exchange });
+}
+
+// Print the transactions a registry command sent, or the simulations of a dry run
+function printRegistrySteps(steps) {
+  steps.forEach((step) => {
+    console.log(step.dryRun
+      ? `✅ Dry run: ${step.method} simulates successfully; nothing was sent`
+      : `✅ ${step.method} mined in block ${step.blockNumber}: ${step.txHash}`);
+  });
+}
+
+const describeAsset = (asset) => `${asset.symbol} (${asset.decimals} decimals${asset.isSecurityToken ? ", security token" : ""})`;
+
+async function registryRegister(flags) {
+  const provider = getProvider(flags);
+  const registry = await registryFor(flags, provider);
+  const plan = await planRegistration(registry, requireFlag(flags, "token"), {
+    symbol: flags.symbol,
+    decimals: flags.decimals,
+    isSecurityToken: flags.securityToken !== undefined ? booleanFlag(flags.securityToken) : undefined
+  }, { allowSymbolMismatch: booleanFlag(flags.allowSymbolMismatch) });
+
+  console.log(`Registry ${plan.registry}: ${plan.token} is ${plan.asset.status}`);
+  console.log(`Token reports symbol ${plan.onChain.symbol || "(unreadable)"}, ${plan.onChain.decimals === null ? "unreadable" : plan.onChain.decimals} decimals` +
+    `${plan.onChain.attributeRegistry ? `, attribute registry ${plan.onChain.attributeRegistry}` : ""}`);
+  if (plan.requested.symbol && plan.requested.decimals !== null) {
+    console.log(`Registering as ${describeAsset(plan.requested)}`);
+  }
+  plan.warnings.forEach((warning) => console.warn(`⚠️ WARNING: ${warning}`));
+
+  const wallet = loadWallet(flags.keyEnv || "PRIVATE_KEY", provider);
+  const result = await registerToken(plan, wallet, { confirm: booleanFlag(flags.confirm), dryRun: booleanFlag(flags.dryRun), confirmations: flags.confirmations });
+  printRegistrySteps(result.steps);
+  if (result.asset.status === "pending" && !booleanFlag(flags.dryRun)) {
+    console.log(`ℹ️ ${plan.token} is pending; run \`node test/cli.js registry confirm --token ${plan.token}\` to finalise it`);
+  }
+}
+
+async function registryConfirm(flags) {
+  const provider = getProvider(flags);
+  const registry = await registryFor(flags, provider);
+  const wallet = loadWallet(flags.keyEnv || "PRIVATE_KEY", provider);
+  const result = await confirmToken(registry, requireFlag(flags, "token"), wallet, {
+    allowSymbolMismatch: booleanFlag(flags.allowSymbolMismatch),
+    dryRun: booleanFlag(flags.dryRun),
+    confirmations: flags.confirmations
+  });
+  printRegistrySteps(result.steps);
+  if (result.asset.status === "confirmed") {
+    console.log(`✅ ${flags.token} is confirmed as ${describeAsset(result.asset)}`);
+  }
+}
+
+async function registryAddSymbol(flags) {
+  const provider = getProvider(flags);
+  const registry = await registryFor(flags, provider);
+  const wallet = loadWallet(flags.keyEnv || "PRIVATE_KEY", provider);
+  const symbol = requireFlag(flags, "symbol");
+  const result = await addTokenSymbol(registry, requireFlag(flags, "token"), symbol, wallet, { dryRun: booleanFlag(flags.dryRun), confirmations: flags.confirmations });
+  if (result.previous) {
+    console.warn(`⚠️ WARNING: ${symbol} resolves to ${result.previous}; this moves it to ${flags.token}`);
+  }
+  printRegistrySteps(result.steps);
+}
+
+// registry list and registry pending
+function registryList(pendingOnly) {
+  return async (flags) => {
+    const format = resolveFormat(flags.format);
+    const status = pendingOnly ? "pending" : flags.status;
+    if (status && !ASSET_STATUSES.includes(status)) {
+      throw new Error(`Unknown --status ${status}: expected ${ASSET_STATUSES.join(", ")}`);
+    }
+    const provider = getProvider(flags);
+    const listing = await listRegisteredAssets(await registryFor(flags, provider), {
+      fromBlock: flags.fromBlock,
+      toBlock: flags.toBlock,
+      blockRange: flags.blockRange
+    });
+    const assets = listing.assets.filter((asset) => !status || asset.status === status);
+
+    if (format === "json") {
+      console.log(JSON.stringify({ ...listing, assets }, null, 2));
+    } else if (format === "ndjson") {
+      assets.forEach((asset) => console.log(JSON.stringify(asset)));
+    } else {
+      console.log(`Registry ${listing.registry}, blocks ${listing.fromBlock}-${listing.toBlock}${listing.nativeSymbol ? `, native asset ${listing.nativeSymbol}` : ""}`);
+      const marks = { confirmed: "✅", pending: "⏳", unregistered: "➖" };
+      assets.forEach((asset) => {
+        const aliases = asset.symbols.filter((symbol) => symbol !== asset.symbol);
+        const when = asset.status === "confirmed" ? `confirmed in block ${asset.confirmedBlock}` : `registered in block ${asset.registeredBlock}`;
+        console.log(`${marks[asset.status] || "❔"} ${asset.address} ${describeAsset(asset)} ${asset.status}, ${when}${aliases.length > 0 ? `; also ${aliases.join(", ")}` : ""}`);
+        asset.mismatches.forEach((mismatch) => console.log(`   ⚠️ ${mismatch}`));
+      });
+      console.log(`${assets.length} ${pendingOnly ? "pending " : ""}asset${assets.length === 1 ? "" : "s"}`);
+    }
+    if (assets.some(({ mismatches }) => mismatches.length > 0)) {
+      process.exitCode = 1;
+    }
+  };
+}
+
+const COMMANDS = {
+  "order create": orderCreate,
+  "order sign": orderSign,
+  "order fees": orderFees,
+  "order check": orderCheck,
+  "order execute": orderExecute,
+  "order cancel": orderCancel,
+  "order cancel-all": orderCancelAll,
+  "order validate": orderValidate,
+  "order verify": orderVerify,
+  "order explain": orderExplain,
+  "store add": storeAdd,
+  "store list": storeList,
+  "store show": storeShow,
+  "store sync": storeSync,
+  "events index": eventsIndex,
+  "events list": eventsList,
+  "history export": historyExport,
+  "tx list": txList,
+  "tx wait": txWait,
+  "tx speed-up": txReplace("speed-up"),
+  "tx cancel": txReplace("cancel"),
+  "kyc check": kycCheck,
+  "kyc audit": kycAudit,
+  "kyc attributes": kycAttributes,
+  "kyc policy": kycPolicy,
+  "network list": networkList,
+  "network deployment": networkDeployment,
+  "registry register": registryRegister,
+  "registry confirm": registryConfirm,
+  "registry add-symbol": registryAddSymbol,
+  "registry list": registryList(false),
+  "registry pending": registryList(true)
+};
+
+async function main(argv) {
+  const { _: positional, flags } = parseArgs(argv);
+  const command = COMMANDS[positional.slice(0, 2).join(" ")];
+
+  if (flags.help || !command) {
+    console.log(USAGE);
+    if (!flags.help) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  // Fill in RPC_URL, CHAIN_ID and the addresses from the network profile, where .env leaves them unset
+  applyNetworkProfile({ network: flags.network, deployment: flags.deployment });
+  await command(flags, positional.slice(2));
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  const revert = decodeRevert(error);
+  console.error(`❌ ${revert.kind === "unknown" ? error.message : formatRevert(revert)}`);
+  process.exit(1);
+});
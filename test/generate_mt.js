@@ -1,232 +1,158 @@
 // Script to generate a trade with EIP-712 signatures and ERC20 permit signatures
+// Tokens, amounts, expiry and nonces can be set through options or .env; RPC_URL is required so
+// amounts, order nonces and permit domains and nonces can all be read from the chain
 const fs = require('fs');
 const ethers = require('ethers');
 require('dotenv').config();
+// Fill in RPC_URL, CHAIN_ID and the addresses from the NETWORK profile, where .env leaves them unset
+require('./lib/networks').applyNetworkProfile();
 
-// Import EIP-712 domain and types
-const DOMAIN_TYPE = [
-  { name: "name", type: "string" },
-  { name: "version", type: "string" },
-  { name: "chainId", type: "uint256" },
-  { name: "verifyingContract", type: "address" }
-];
-
-// Must exactly match the OrderInfo struct in the Exchange contract
-const ORDER_TYPE = [
-  { name: "maker", type: "address" },
-  { name: "makerToken", type: "address" },
-  { name: "makerAmount", type: "uint256" },
-  { name: "taker", type: "address" },
-  { name: "takerToken", type: "address" },
-  { name: "takerAmount", type: "uint256" },
-  { name: "makerNonce", type: "uint256" },
-  { name: "takerNonce", type: "uint256" },
-  { name: "expiry", type: "uint256" }
-];
-
-// EIP-2612 Permit type definition
-const PERMIT_TYPE = [
-  { name: "owner", type: "address" },
-  { name: "spender", type: "address" },
-  { name: "value", type: "uint256" },
-  { name: "nonce", type: "uint256" },
-  { name: "deadline", type: "uint256" }
-];
-
-// These values should be set in your .env file
-const EXCHANGE_ADDRESS = process.env.EXCHANGE_ADDRESS;
-const SECURITY_TOKEN_ADDRESS = process.env.SECURITY_TOKEN_ADDRESS;
-const CASH_TOKEN_ADDRESS = process.env.CASH_TOKEN_ADDRESS;
-const CHAIN_ID = parseInt(process.env.CHAIN_ID || "1337");  // Use your chain ID
-
-// Wallet setup - deployer is selling, buyer is buying
-const deployerPrivateKey = process.env.PRIVATE_KEY;  // Seller
-const buyerPrivateKey = process.env.BUYER_PRIVATE_KEY;  // Buyer
-
-// Create wallet instances
-const deployerWallet = new ethers.Wallet(deployerPrivateKey);
-const buyerWallet = new ethers.Wallet(buyerPrivateKey);
-
-console.log(`Seller (deployer) address: ${deployerWallet.address}`);
-console.log(`Buyer address: ${buyerWallet.address}`);
-
-// EIP-712 Domain for the Exchange
-const exchangeDomain = {
-  name: "Numena Exchange",
-  version: "1.0.0",
-  chainId: CHAIN_ID,
-  verifyingContract: EXCHANGE_ADDRESS
-};
+// EIP-712 types, domain and signing helpers shared with the other trade scripts
+const { signOrder: signTypedOrder } = require('./lib/orders');
+const { buildOrder, getOrderDomain, orderParamsFromEnv } = require('./lib/order_builder');
+const { describeFeeQuote } = require('./lib/fees');
+const { signTokenPermit } = require('./lib/permits');
+const { createTradeData, writeTradeFile } = require('./lib/trade_file');
+
+// Permit deadline default (60 days), longer than the default order expiry
+const DEFAULT_PERMIT_LIFETIME = 60 * 24 * 60 * 60;
 
 // Function to sign an order using EIP-712
-async function signOrder(order, wallet, role) {
-  // Sign the order with EIP-712
-  const signature = await wallet._signTypedData(
-    exchangeDomain,
-    { OrderInfo: ORDER_TYPE },
-    order
-  );
-  
+async function signOrder(order, wallet, role, domain) {
+  const signature = await signTypedOrder(order, wallet, domain);
+
   console.log(`Signed order as ${role} (${wallet.address}): ${signature}`);
   return signature;
 }
 
 // Function to create and sign a token permit
-async function signPermit(tokenAddress, ownerWallet, tokenName, spender, value, nonce, deadline) {
-  // EIP-712 Domain for the token
-  const tokenDomain = {
-    name: tokenName,
-    version: "1",
-    chainId: CHAIN_ID,
-    verifyingContract: tokenAddress
-  };
-
-  // Permit data
-  const permitData = {
-    owner: ownerWallet.address,
-    spender: spender,
-    value: value,
-    nonce: nonce,
-    deadline: deadline
-  };
+// The token's name, version, domain separator and the owner's permit nonce are all read from
+// the token itself, and signing fails if the computed domain does not match DOMAIN_SEPARATOR()
+async function signPermit(tokenAddress, ownerWallet, spender, value, deadline, provider) {
+  const permit = await signTokenPermit(ownerWallet, tokenAddress, spender, value, deadline, provider);
 
-  // Sign the permit
-  const signature = await ownerWallet._signTypedData(
-    tokenDomain,
-    { Permit: PERMIT_TYPE },
-    permitData
-  );
+  console.log(`Signed permit for ${permit.domain.name} (${tokenAddress}) with nonce ${permit.nonce}: v=${permit.v}, r=${permit.r}, s=${permit.s}`);
 
-  // Split signature to get v, r, s
-  const sig = ethers.utils.splitSignature(signature);
-  
-  console.log(`Signed permit for ${tokenName} (${tokenAddress}): v=${sig.v}, r=${sig.r}, s=${sig.s}`);
-  
-  return {
-    v: sig.v,
-    r: sig.r,
-    s: sig.s
-  };
+  return permit;
 }
 
 // Create and sign a trade with permits
-async function generateMetaTransaction() {
-  // Set expiry to 30 days from now
-  const expiry = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
-  
-  // Permit deadline can be longer (60 days)
-  const permitDeadline = Math.floor(Date.now() / 1000) + 60 * 24 * 60 * 60;
-
-  // Define the order: deployer sells security tokens, buyer purchases with cash tokens
-  const order = {
-    maker: deployerWallet.address,          // Seller
-    makerToken: SECURITY_TOKEN_ADDRESS,     // Security token being sold
-    makerAmount: ethers.utils.parseEther("100").toString(), // 100 security tokens
-    taker: buyerWallet.address,             // Buyer
-    takerToken: CASH_TOKEN_ADDRESS,         // Cash token used to buy
-    takerAmount: ethers.utils.parseEther("1000").toString(), // 1000 cash tokens
-    makerNonce: 0,                          // First transaction for maker
-    takerNonce: 0,                          // First transaction for taker
-    expiry: expiry                          // 30 days expiry
-  };
+// Accepts the same options as generateTrade() in generate_trade.js, plus
+//   permitDeadline (PERMIT_DEADLINE), default: 60 days from now
+async function generateMetaTransaction(options = {}) {
+  // Wallet setup - deployer is selling, buyer is buying
+  const deployerWallet = new ethers.Wallet(options.makerPrivateKey || process.env.PRIVATE_KEY);  // Seller
+  const buyerWallet = new ethers.Wallet(options.takerPrivateKey || process.env.BUYER_PRIVATE_KEY);  // Buyer
+
+  console.log(`Seller (deployer) address: ${deployerWallet.address}`);
+  console.log(`Buyer address: ${buyerWallet.address}`);
+
+  // Permits need the token's live domain and nonce, so a provider is required here
+  const rpcUrl = options.rpcUrl || process.env.RPC_URL;
+  if (!rpcUrl) {
+    throw new Error("RPC_URL is required to read permit nonces and token domains");
+  }
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+
+  const params = orderParamsFromEnv(process.env, {
+    ...options,
+    maker: deployerWallet.address,
+    taker: buyerWallet.address
+  });
+
+  // Use the connected chain unless one is given explicitly
+  const chainId = Number(options.chainId || process.env.CHAIN_ID || (await provider.getNetwork()).chainId);
+
+  // EIP-712 Domain of the Signatures contract behind the exchange
+  const exchangeDomain = await getOrderDomain(params.exchangeAddress, provider, { chainId, signaturesAddress: params.signaturesAddress });
+
+  const permitDeadline = Number(options.permitDeadline || process.env.PERMIT_DEADLINE ||
+                                Math.floor(Date.now() / 1000) + DEFAULT_PERMIT_LIFETIME);
+
+  // Define the order: deployer sells maker tokens, buyer pays with taker tokens
+  const { order, fees, makerToken, takerToken, symbols, warnings } = await buildOrder(params, provider);
+  warnings.forEach((warning) => console.warn(`⚠️ WARNING: ${warning}`));
 
   console.log("Generated order:", order);
+  if (fees) {
+    console.log("\n💸 FEE QUOTE:");
+    describeFeeQuote(fees, { maker: makerToken, taker: takerToken }).forEach((line) => console.log(line));
+  }
 
   // Sign the order
-  const makerSignature = await signOrder(order, deployerWallet, "seller");
-  const takerSignature = await signOrder(order, buyerWallet, "buyer");
-
-  // Sign permits for both tokens (assuming both support EIP-2612)
-  // You would need to get the actual nonces from the token contracts in production
-  const makerTokenNonce = 0;  // Should get from token contract in production
-  const takerTokenNonce = 0;  // Should get from token contract in production
-  
-  // Sign permit for maker's token
+  const makerSignature = await signOrder(order, deployerWallet, "seller", exchangeDomain);
+  const takerSignature = await signOrder(order, buyerWallet, "buyer", exchangeDomain);
+
+  // Sign permits for both tokens (both must support EIP-2612)
   const makerPermit = await signPermit(
-    SECURITY_TOKEN_ADDRESS,
+    order.makerToken,
     deployerWallet,
-    "Security Token",  // Replace with actual token name
-    EXCHANGE_ADDRESS,
+    params.exchangeAddress,
     order.makerAmount,
-    makerTokenNonce,
-    permitDeadline
+    permitDeadline,
+    provider
   );
-  
-  // Sign permit for taker's token
+
   const takerPermit = await signPermit(
-    CASH_TOKEN_ADDRESS,
+    order.takerToken,
     buyerWallet,
-    "Cash Token",  // Replace with actual token name
-    EXCHANGE_ADDRESS,
+    params.exchangeAddress,
     order.takerAmount,
-    takerTokenNonce,
-    permitDeadline
+    permitDeadline,
+    provider
   );
 
   // Prepare the final trade data with permits
-  const tradeData = {
+  const tradeData = createTradeData({
     description: "Security token purchase with cash token using meta-transactions",
-    domain: {
-      name: exchangeDomain.name,
-      version: exchangeDomain.version,
-      chainId: exchangeDomain.chainId,
-      verifyingContract: exchangeDomain.verifyingContract
-    },
+    exchange: params.exchangeAddress,
+    domain: exchangeDomain,
     order: order,
     signatures: {
       maker: makerSignature,
       taker: takerSignature
     },
     permits: {
-      maker: {
-        token: SECURITY_TOKEN_ADDRESS,
-        owner: deployerWallet.address,
-        value: order.makerAmount,
-        deadline: permitDeadline,
-        v: makerPermit.v,
-        r: makerPermit.r,
-        s: makerPermit.s
-      },
-      taker: {
-        token: CASH_TOKEN_ADDRESS,
-        owner: buyerWallet.address,
-        value: order.takerAmount,
-        deadline: permitDeadline,
-        v: takerPermit.v,
-        r: takerPermit.r,
-        s: takerPermit.s
-      }
-    }
-  };
+      maker: makerPermit,
+      taker: takerPermit
+    },
+    metadata: { generator: "generate_mt.js", ...(symbols ? { symbols } : {}) }
+  });
 
   // Write to JSON file
-  fs.writeFileSync(
-    './test/signed_meta_trade.json', 
-    JSON.stringify(tradeData, null, 2)
-  );
-  
-  console.log("Signed meta-transaction trade written to test/signed_meta_trade.json");
-  
+  const outFile = options.outFile || './test/signed_meta_trade.json';
+  writeTradeFile(outFile, tradeData);
+
+  console.log(`Signed meta-transaction trade written to ${outFile}`);
+
   // Also write a validation file for use with test scripts
   const validationData = {
     sellerAddress: deployerWallet.address,
     buyerAddress: buyerWallet.address,
-    securityTokenAddress: SECURITY_TOKEN_ADDRESS,
-    cashTokenAddress: CASH_TOKEN_ADDRESS,
+    securityTokenAddress: order.makerToken,
+    cashTokenAddress: order.takerToken,
     securityTokenAmount: order.makerAmount,
     cashTokenAmount: order.takerAmount,
     permitDeadline: permitDeadline
   };
-  
+
+  const validationFile = options.validationFile || './test/meta_trade_validation.json';
   fs.writeFileSync(
-    './test/meta_trade_validation.json',
+    validationFile,
     JSON.stringify(validationData, null, 2)
   );
-  
-  console.log("Validation data written to test/meta_trade_validation.json");
+
+  console.log(`Validation data written to ${validationFile}`);
+
+  return tradeData;
 }
 
-// Run the script
-generateMetaTransaction().catch((error) => {
-  console.error("Error generating meta-transaction trade:", error);
-});
\ No newline at end of file
+module.exports = { generateMetaTransaction };
+
+// Run the script when invoked directly
+if (require.main === module) {
+  generateMetaTransaction().catch((error) => {
+    console.error("Error generating meta-transaction trade:", error);
+    process.exit(1);
+  });
+}
@@ -1,134 +1,123 @@
 // Script to generate a single valid trade with real EIP-712 signatures
+// Tokens, amounts, expiry and nonces can be set through options or .env; when RPC_URL is set,
+// amounts are scaled by each token's decimals() and nonces are read from the cancellation contract
 const fs = require('fs');
 const ethers = require('ethers');
 require('dotenv').config();
+const { applyNetworkProfile, getNetworkProfile } = require('./lib/networks');
+// Fill in RPC_URL, CHAIN_ID and the addresses from the NETWORK profile, where .env leaves them unset
+applyNetworkProfile();
 
-// Import EIP-712 domain and types that must match the Exchange contract
-const DOMAIN_TYPE = [
-  { name: "name", type: "string" },
-  { name: "version", type: "string" },
-  { name: "chainId", type: "uint256" },
-  { name: "verifyingContract", type: "address" }
-];
-
-// Must exactly match the OrderInfo struct in the Exchange contract
-const ORDER_TYPE = [
-  { name: "maker", type: "address" },
-  { name: "makerToken", type: "address" },
-  { name: "makerAmount", type: "uint256" },
-  { name: "taker", type: "address" },
-  { name: "takerToken", type: "address" },
-  { name: "takerAmount", type: "uint256" },
-  { name: "makerNonce", type: "uint256" },
-  { name: "takerNonce", type: "uint256" },
-  { name: "expiry", type: "uint256" }
-];
-
-// These values should be set in your .env file
-const EXCHANGE_ADDRESS = process.env.EXCHANGE_ADDRESS;
-const SECURITY_TOKEN_ADDRESS = process.env.SECURITY_TOKEN_ADDRESS;
-const CASH_TOKEN_ADDRESS = process.env.CASH_TOKEN_ADDRESS;
-const CHAIN_ID = parseInt(process.env.CHAIN_ID || "1337");  // Use your chain ID
-
-// Wallet setup - deployer is selling, buyer is buying
-const deployerPrivateKey = process.env.PRIVATE_KEY;  // Seller
-const buyerPrivateKey = process.env.BUYER_PRIVATE_KEY;  // Buyer
-
-// Create wallet instances
-const deployerWallet = new ethers.Wallet(deployerPrivateKey);
-const buyerWallet = new ethers.Wallet(buyerPrivateKey);
-
-console.log(`Seller (deployer) address: ${deployerWallet.address}`);
-console.log(`Buyer address: ${buyerWallet.address}`);
-
-// EIP-712 Domain - must match what's in the Signatures contract
-const domain = {
-  name: "Numena Exchange",
-  version: "1.0.0",
-  chainId: CHAIN_ID,
-  verifyingContract: EXCHANGE_ADDRESS
-};
+// EIP-712 types, domain and signing helpers shared with the other trade scripts
+const { signOrder: signTypedOrder } = require('./lib/orders');
+const { buildOrder, getOrderDomain, orderParamsFromEnv } = require('./lib/order_builder');
+const { describeFeeQuote } = require('./lib/fees');
+const { createTradeData, writeTradeFile } = require('./lib/trade_file');
 
 // Function to sign an order using EIP-712
-async function signOrder(order, wallet, role) {
-  // Sign the order with EIP-712
-  const signature = await wallet._signTypedData(
-    domain,
-    { OrderInfo: ORDER_TYPE },
-    order
-  );
-  
+async function signOrder(order, wallet, role, domain) {
+  const signature = await signTypedOrder(order, wallet, domain);
+
   console.log(`Signed order as ${role} (${wallet.address}): ${signature}`);
   return signature;
 }
 
 // Create and sign a single trade
-async function generateTrade() {
-  // Set expiry to 30 days from now
-  const expiry = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
-  
-  // Define the order: deployer sells security tokens, buyer purchases with cash tokens
-  const order = {
-    maker: deployerWallet.address,          // Seller
-    makerToken: SECURITY_TOKEN_ADDRESS,     // Security token being sold
-    makerAmount: ethers.utils.parseEther("100").toString(), // 100 security tokens
-    taker: buyerWallet.address,             // Buyer
-    takerToken: CASH_TOKEN_ADDRESS,         // Cash token used to buy
-    takerAmount: ethers.utils.parseEther("1000").toString(), // 1000 cash tokens
-    makerNonce: 0,                          // First transaction for maker
-    takerNonce: 0,                          // First transaction for taker
-    expiry: expiry                          // 30 days expiry
-  };
+// Options override the corresponding environment variables:
+//   makerToken, takerToken (SECURITY_TOKEN_ADDRESS, CASH_TOKEN_ADDRESS), addresses or registry symbols
+//   pair (ORDER_PAIR), both tokens as registry symbols, e.g. ACME/USDC
+//   asOf (SYMBOL_AS_OF), resolve symbols as the registry had them at this time
+//   registryAddress (REGISTRY_ADDRESS), default: the exchange's registry
+//   makerAmount, takerAmount (MAKER_AMOUNT, TAKER_AMOUNT), human-readable, default 100 / 1000
+//   netAmounts (NET_AMOUNTS), treat the amounts as received after fees and solve for the gross amounts
+//   makerNonce, takerNonce (MAKER_NONCE, TAKER_NONCE), default: current on-chain nonces
+//   expiry, expiresIn (ORDER_EXPIRY, ORDER_EXPIRES_IN), default: 30 days from now
+//   rpcUrl (RPC_URL), exchangeAddress (EXCHANGE_ADDRESS), chainId (CHAIN_ID)
+//   signaturesAddress (SIGNATURES_ADDRESS), needed without RPC_URL; default: the exchange's
+//   outFile, validationFile
+async function generateTrade(options = {}) {
+  // Wallet setup - deployer is selling, buyer is buying
+  const deployerWallet = new ethers.Wallet(options.makerPrivateKey || process.env.PRIVATE_KEY);  // Seller
+  const buyerWallet = new ethers.Wallet(options.takerPrivateKey || process.env.BUYER_PRIVATE_KEY);  // Buyer
+
+  console.log(`Seller (deployer) address: ${deployerWallet.address}`);
+  console.log(`Buyer address: ${buyerWallet.address}`);
+
+  const rpcUrl = options.rpcUrl || process.env.RPC_URL;
+  const provider = rpcUrl ? new ethers.providers.JsonRpcProvider(rpcUrl) : null;
+
+  const params = orderParamsFromEnv(process.env, {
+    ...options,
+    maker: deployerWallet.address,
+    taker: buyerWallet.address
+  });
+
+  // Use the connected chain unless one is given explicitly; offline, assume a local anvil node
+  const chainId = options.chainId || process.env.CHAIN_ID || (provider ? (await provider.getNetwork()).chainId : getNetworkProfile("local").chainId);
+
+  // EIP-712 Domain - the Signatures contract behind the exchange is the verifying contract
+  const domain = await getOrderDomain(params.exchangeAddress, provider, { chainId, signaturesAddress: params.signaturesAddress });
+
+  // Define the order: deployer sells maker tokens, buyer pays with taker tokens
+  const { order, fees, makerToken, takerToken, symbols, warnings } = await buildOrder(params, provider);
+  warnings.forEach((warning) => console.warn(`⚠️ WARNING: ${warning}`));
 
   console.log("Generated order:", order);
+  if (fees) {
+    console.log("\n💸 FEE QUOTE:");
+    describeFeeQuote(fees, { maker: makerToken, taker: takerToken }).forEach((line) => console.log(line));
+  }
 
   // Sign the order
-  const makerSignature = await signOrder(order, deployerWallet, "seller");
-  const takerSignature = await signOrder(order, buyerWallet, "buyer");
+  const makerSignature = await signOrder(order, deployerWallet, "seller", domain);
+  const takerSignature = await signOrder(order, buyerWallet, "buyer", domain);
 
   // Prepare the final trade data
-  const tradeData = {
+  const tradeData = createTradeData({
     description: "Security token purchase with cash token",
-    domain: {
-      name: domain.name,
-      version: domain.version,
-      chainId: domain.chainId,
-      verifyingContract: domain.verifyingContract
-    },
+    exchange: params.exchangeAddress,
+    domain: domain,
     order: order,
     signatures: {
       maker: makerSignature,
       taker: takerSignature
-    }
-  };
+    },
+    metadata: { generator: "generate_trade.js", ...(symbols ? { symbols } : {}) }
+  });
 
   // Write to JSON file
-  fs.writeFileSync(
-    './test/signed_trade.json', 
-    JSON.stringify(tradeData, null, 2)
-  );
-  
-  console.log("Signed trade written to test/signed_trade.json");
-  
+  const outFile = options.outFile || './test/signed_trade.json';
+  writeTradeFile(outFile, tradeData);
+
+  console.log(`Signed trade written to ${outFile}`);
+
   // Also write a validation file for use with test scripts
   const validationData = {
     sellerAddress: deployerWallet.address,
     buyerAddress: buyerWallet.address,
-    securityTokenAddress: SECURITY_TOKEN_ADDRESS,
-    cashTokenAddress: CASH_TOKEN_ADDRESS,
+    securityTokenAddress: order.makerToken,
+    cashTokenAddress: order.takerToken,
     securityTokenAmount: order.makerAmount,
     cashTokenAmount: order.takerAmount
   };
-  
+
+  const validationFile = options.validationFile || './test/trade_validation.json';
   fs.writeFileSync(
-    './test/trade_validation.json',
+    validationFile,
     JSON.stringify(validationData, null, 2)
   );
-  
-  console.log("Validation data written to test/trade_validation.json");
+
+  console.log(`Validation data written to ${validationFile}`);
+
+  return tradeData;
 }
 
-// Run the script
-generateTrade().catch((error) => {
-  console.error("Error generating trade:", error);
-});
\ No newline at end of file
+module.exports = { generateTrade };
+
+// Run the script when invoked directly
+if (require.main === module) {
+  generateTrade().catch((error) => {
+    console.error("Error generating trade:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,114 @@
+// Human-readable ABI fragments for the contracts the trade tooling talks to
+// These avoid a dependency on Foundry's out/ directory for the calls we make most often
+
+// Must exactly match Order.OrderInfo and PermitData.TokenPermit
+const ORDER_TUPLE = "tuple(address maker, address makerToken, uint256 makerAmount, address taker, address takerToken, uint256 takerAmount, uint256 makerNonce, uint256 takerNonce, uint256 expiry)";
+const PERMIT_TUPLE = "tuple(address token, address owner, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)";
+// Must exactly match IRegistry.Asset
+const ASSET_TUPLE = "tuple(bool exists, address assetAddress, string symbol, uint8 decimals, bool isConfirmed, uint64 confirmedTimestamp, bool isSecurityToken)";
+
+const EXCHANGE_ABI = [
+  `function executeSignedOrder(${ORDER_TUPLE} _order, bytes _makerSignature, bytes _takerSignature)`,
+  `function executeSignedOrderWithPermits(${ORDER_TUPLE} _order, bytes _makerSignature, bytes _takerSignature, ${PERMIT_TUPLE} _makerPermit, ${PERMIT_TUPLE} _takerPermit)`,
+  `function cancelOrder(${ORDER_TUPLE} _order, bytes _signature)`,
+  `function cancelOrderByBoth(${ORDER_TUPLE} _order, bytes _makerSignature, bytes _takerSignature)`,
+  "function owner() view returns (address)",
+  "function getFeesContract() view returns (address)",
+  "function getCancellationContract() view returns (address)",
+  "function getComplianceContract() view returns (address)",
+  "function getSignaturesContract() view returns (address)",
+  "function getRegistryContract() view returns (address)",
+  "function isKYCVerified(address token, address user) view returns (bool)",
+  "function isAccreditedInvestor(address token, address user) view returns (bool)",
+  "event SignedOrderExecuted(bytes32 indexed orderHash, address maker, address indexed makerToken, uint256 makerAmount, address taker, address indexed takerToken, uint256 takerAmount, uint256 makerFee, uint256 takerFee)"
+];
+
+const SIGNATURES_ABI = [
+  "function getDomainSeparator() view returns (bytes32)",
+  "function getOrderTypeHash() pure returns (bytes32)",
+  `function hashOrder(${ORDER_TUPLE} order) view returns (bytes32)`,
+  "function recoverSigner(bytes32 hash, bytes signature) pure returns (address)",
+  `function isValidSignature(${ORDER_TUPLE} order, bytes signature, address expectedSigner) view returns (bool)`
+];
+
+const FEES_ABI = [
+  "function calculateOrderFees(address _makerToken, address _takerToken, uint256 _makerAmount, uint256 _takerAmount) view returns (uint256 makerFee, uint256 takerFee, address feeWallet)"
+];
+
+const REGISTRY_ABI = [
+  "function isRegisteredAsset(address assetAddress) view returns (bool)",
+  `function getAssetByAddress(address assetAddress) view returns (${ASSET_TUPLE})`,
+  `function getAssetBySymbol(string symbol) view returns (${ASSET_TUPLE})`,
+  `function getAssetBySymbolAtTimestamp(string symbol, uint64 timestamp) view returns (${ASSET_TUPLE})`,
+  // The public mapping's getter returns the fields rather than a tuple, and also has unconfirmed assets
+  "function assetsByAddress(address assetAddress) view returns (bool exists, address assetAddress, string symbol, uint8 decimals, bool isConfirmed, uint64 confirmedTimestamp, bool isSecurityToken)",
+  "function nativeAssetSymbol() view returns (string)",
+  "function owner() view returns (address)",
+  "function registerToken(address tokenAddress, string symbol, uint8 decimals, bool isSecurityToken)",
+  "function confirmTokenRegistration(address tokenAddress, string symbol, uint8 decimals, bool isSecurityToken)",
+  "function addTokenSymbol(address tokenAddress, string symbol)",
+  "event AssetRegistered(address indexed assetAddress, string symbol, uint8 decimals, bool isSecurityToken)",
+  "event AssetConfirmed(address indexed assetAddress, string symbol, uint8 decimals, bool isSecurityToken)",
+  "event SymbolAdded(address indexed assetAddress, string symbol)"
+];
+
+const COMPLIANCE_ABI = [
+  "function isSecurityToken(address token) view returns (bool)",
+  "function hasAttribute(address token, address user, bytes32 attribute) view returns (bool)"
+];
+
+// The attribute registry behind a security token holds each holder's identity attributes
+const SECURITY_TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function attributeRegistry() view returns (address)"
+];
+
+const IDENTITY_REGISTRY_ABI = [
+  "function isVerified(address user) view returns (bool)",
+  "function hasAttribute(address user, bytes32 attribute) view returns (bool)",
+  "function getAttribute(address user, bytes32 attribute) view returns (bytes32)"
+];
+
+// OrderCancellation: nonce bookkeeping and the event emitted when an order is cancelled
+const CANCELLATION_ABI = [
+  "function nonces(address owner) view returns (uint256)",
+  "function verifyNonce(address owner, uint256 nonce) view returns (bool)",
+  "event SignedOrderCancelled(bytes32 indexed orderHash, address canceller)"
+];
+
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function name() view returns (string)"
+];
+
+const ERC20_PERMIT_ABI = [
+  ...ERC20_ABI,
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  // EIP-5267, plus the version() getter some tokens expose instead
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function version() view returns (string)"
+];
+
+module.exports = {
+  ORDER_TUPLE,
+  PERMIT_TUPLE,
+  ASSET_TUPLE,
+  EXCHANGE_ABI,
+  SIGNATURES_ABI,
+  FEES_ABI,
+  REGISTRY_ABI,
+  COMPLIANCE_ABI,
+  SECURITY_TOKEN_ABI,
+  IDENTITY_REGISTRY_ABI,
+  CANCELLATION_ABI,
+  ERC20_ABI,
+  ERC20_PERMIT_ABI
+};
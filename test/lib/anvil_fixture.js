@@ -0,0 +1,142 @@
+// A fresh exchange on a local anvil node, deployed from Foundry's out/ directory (forge build)
+// Deploys the component contracts and an unproxied Exchange the way ProxyDeploy.s.sol wires them,
+// plus two MockERC20 tokens (from test/Exchange.t.sol) registered and confirmed in the registry.
+// MockERC20 has no attribute registry, so both are registered as plain ERC20 tokens.
+// Everything is sent from anvil's first default account, which owns every contract.
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, ERC20_ABI, REGISTRY_ABI } = require('./abis');
+const { EXCHANGE_NAME, EXCHANGE_VERSION, createOrder, signTrade } = require('./orders');
+const { getOrderDomain, getOrderNonces } = require('./order_builder');
+const { planRegistration, registerToken } = require('./token_registry');
+const { createTradeData } = require('./trade_file');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', '..', 'out');
+// anvil's default mnemonic; its accounts are funded with 10000 ETH each
+const ANVIL_MNEMONIC = "test test test test test test test test test test test junk";
+const ANVIL_ACCOUNTS = 10;
+const TOKEN_SUPPLY = ethers.utils.parseEther("1000000");
+
+// anvil's default accounts, connected to the provider
+function anvilAccounts(provider, count = ANVIL_ACCOUNTS) {
+  return Array.from({ length: count }, (_, index) =>
+    ethers.Wallet.fromMnemonic(ANVIL_MNEMONIC, `m/44'/60'/0'/0/${index}`).connect(provider));
+}
+
+// Contract factory from a Foundry artifact (out/<file>/<contract>.json)
+function loadFactory(outDir, file, contract, signer) {
+  const artifactPath = path.join(outDir, file, `${contract}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`No artifact ${artifactPath}; run forge build first`);
+  }
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  return new ethers.ContractFactory(artifact.abi, artifact.bytecode.object || artifact.bytecode, signer);
+}
+
+async function deploy(outDir, file, contract, signer, args = []) {
+  const deployed = await loadFactory(outDir, file, contract, signer).deploy(...args);
+  await deployed.deployed();
+  return deployed;
+}
+
+async function sendAndWait(promise) {
+  return (await promise).wait();
+}
+
+// Deploy the exchange and its tokens
+// Options: outDir (default: out/)
+// Returns { provider, chainId, owner, accounts, startBlock, exchangeAddress, contracts, tokens },
+// where contracts has exchange, signatures, fees, registry, compliance and cancellation, tokens has
+// security and cash, and accounts are the other default accounts
+async function deployExchangeFixture(provider, options = {}) {
+  const outDir = options.outDir || DEFAULT_OUT_DIR;
+  const [owner, ...accounts] = anvilAccounts(provider);
+  const { chainId } = await provider.getNetwork();
+  const startBlock = await provider.getBlockNumber();
+
+  const signatures = await deploy(outDir, "Signatures.sol", "Signatures", owner, [EXCHANGE_NAME, EXCHANGE_VERSION]);
+  const fees = await deploy(outDir, "Fees.sol", "Fees", owner, [owner.address]);
+  const registry = await deploy(outDir, "Registry.sol", "Registry", owner, ["ETH"]);
+  const compliance = await deploy(outDir, "Compliance.sol", "Compliance", owner, [owner.address]);
+  const cancellation = await deploy(outDir, "OrderCancellation.sol", "OrderCancellation", owner, [owner.address, signatures.address]);
+  const exchange = await deploy(outDir, "Exchange.sol", "Exchange", owner);
+
+  await sendAndWait(exchange.initialize(owner.address, fees.address, cancellation.address, compliance.address, signatures.address, registry.address));
+  await sendAndWait(cancellation.setExchangeContract(exchange.address));
+
+  const tokens = {};
+  for (const [key, name, symbol] of [["security", "Security Token", "SEC"], ["cash", "Cash Token", "CASH"]]) {
+    const token = await deploy(outDir, "Exchange.t.sol", "MockERC20", owner, [name, symbol, TOKEN_SUPPLY]);
+    const plan = await planRegistration(new ethers.Contract(registry.address, REGISTRY_ABI, provider), token.address);
+    await registerToken(plan, owner, { confirm: true });
+    tokens[key] = new ethers.Contract(token.address, ERC20_ABI, provider);
+  }
+
+  return {
+    provider,
+    chainId,
+    owner,
+    accounts,
+    startBlock,
+    exchangeAddress: exchange.address,
+    contracts: {
+      exchange: new ethers.Contract(exchange.address, EXCHANGE_ABI, provider),
+      signatures,
+      fees,
+      registry,
+      compliance,
+      cancellation
+    },
+    tokens
+  };
+}
+
+// Give a trader tokens from the owner and approve the exchange to spend them
+async function fundTrader(fixture, trader, tokenKey, amount) {
+  const token = fixture.tokens[tokenKey];
+  await sendAndWait(token.connect(fixture.owner).transfer(trader.address, amount));
+  await sendAndWait(token.connect(trader).approve(fixture.exchangeAddress, ethers.constants.MaxUint256));
+}
+
+// A trade signed by both wallets, in the trade file format: the maker sells makerAmount of the
+// security token for takerAmount of the cash token
+// Options: makerAmount, takerAmount (default 10 and 100 whole tokens), nonces (default: the next
+// unused ones), lifetime in seconds from the latest block (default one hour), domain (default:
+// the exchange's signatures contract)
+async function signedTrade(fixture, makerWallet, takerWallet, options = {}) {
+  const { provider, exchangeAddress, tokens } = fixture;
+  const [nonces, latest, domain] = await Promise.all([
+    options.nonces || getOrderNonces(exchangeAddress, makerWallet.address, takerWallet.address, provider),
+    provider.getBlock("latest"),
+    options.domain || getOrderDomain(exchangeAddress, provider)
+  ]);
+  const order = createOrder({
+    maker: makerWallet.address,
+    makerToken: tokens.security.address,
+    makerAmount: options.makerAmount || ethers.utils.parseEther("10"),
+    taker: takerWallet.address,
+    takerToken: tokens.cash.address,
+    takerAmount: options.takerAmount || ethers.utils.parseEther("100"),
+    makerNonce: nonces.makerNonce,
+    takerNonce: nonces.takerNonce,
+    expiry: latest.timestamp + (options.lifetime || 3600)
+  });
+
+  return createTradeData({
+    exchange: exchangeAddress,
+    domain,
+    order,
+    signatures: await signTrade(order, makerWallet, takerWallet, domain),
+    metadata: { generator: "anvil_fixture.js" }
+  });
+}
+
+module.exports = {
+  ANVIL_MNEMONIC,
+  anvilAccounts,
+  deployExchangeFixture,
+  fundTrader,
+  signedTrade
+};
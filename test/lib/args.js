@@ -0,0 +1,78 @@
+// Minimal command-line argument parsing for the trade tooling
+// Supports positional arguments, --flag value, --flag=value and bare boolean --flag
+
+// The CLI's on/off flags; they never take the next argument as their value, so `--dry-run a.json`
+// leaves a.json positional. Use --flag=false or --no-flag to turn one off.
+const BOOLEAN_FLAGS = [
+  "help", "net", "legacy", "legacy-gas", "force", "force-permit", "skip-verify", "both", "dry-run", "follow",
+  "require-signatures", "offline", "full", "refresh", "all", "wait", "allow-symbol-mismatch", "confirm",
+  "require-accredited"
+];
+
+// booleans: kebab-case flag names that never take a value (default: BOOLEAN_FLAGS)
+function parseArgs(argv, booleans = BOOLEAN_FLAGS) {
+  const result = { _: [], flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      result._.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg === "-h") {
+      result.flags.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith("--")) {
+      result._.push(arg);
+      continue;
+    }
+
+    const body = arg.slice(2);
+    const eqIndex = body.indexOf("=");
+
+    if (eqIndex !== -1) {
+      result.flags[toCamelCase(body.slice(0, eqIndex))] = body.slice(eqIndex + 1);
+    } else if (body.startsWith("no-")) {
+      result.flags[toCamelCase(body.slice(3))] = false;
+    } else if (!booleans.includes(body) && i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      result.flags[toCamelCase(body)] = argv[++i];
+    } else {
+      result.flags[toCamelCase(body)] = true;
+    }
+  }
+
+  return result;
+}
+
+// Convert kebab-case flag names to camelCase option names (--maker-token -> makerToken)
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+// Fetch a flag that must be present, with a helpful error naming the flag
+function requireFlag(flags, name) {
+  const value = flags[name];
+  if (value === undefined || value === true || value === "") {
+    const flagName = name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    throw new Error(`Missing required option --${flagName}`);
+  }
+  return value;
+}
+
+// Interpret a flag as a boolean, accepting "true"/"false" strings from env-style input
+function booleanFlag(value, defaultValue = false) {
+  if (value === undefined) return defaultValue;
+  if (typeof value === "boolean") return value;
+  return String(value).toLowerCase() === "true";
+}
+
+module.exports = {
+  BOOLEAN_FLAGS,
+  parseArgs,
+  requireFlag,
+  booleanFlag
+};
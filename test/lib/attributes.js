@@ -0,0 +1,292 @@
+// Identity attributes: a named catalogue, reading and decoding them, and per-token policies
+// An attribute is a bytes32 identifier, keccak256 of its name as in the identity registry's
+// Attributes library, stored per user in the attribute registry behind each security token.
+// hasAttribute() says whether a user has it and getAttribute() returns its bytes32 value, which
+// the catalogue's type decodes: a flag, a code such as a country, a number, a date or one of a
+// list of values. ATTRIBUTES_FILE adds or overrides entries for a registry that uses others.
+//
+// A token policy lists the attributes a security token requires of the accounts that send or
+// receive it. Policies come from TOKEN_POLICIES (a JSON file keyed by token address or symbol);
+// a security token without one is assumed to require KYC_VERIFIED. The tokens enforce their own
+// transfer rules; the exchange only reports each transfer to Compliance.logTransferAttempt().
+const fs = require('fs');
+const ethers = require('ethers');
+
+const { COMPLIANCE_ABI, SECURITY_TOKEN_ABI, IDENTITY_REGISTRY_ABI } = require('./abis');
+const { createMulticall } = require('./multicall');
+
+const ATTRIBUTE_TYPES = ["flag", "code", "number", "date", "enum", "bytes32"];
+const POLICY_ROLES = ["sender", "receiver", "both"];
+const DEFAULT_TOKEN_POLICIES_PATH = './test/token_policies.json';
+
+// Largest timestamp, in seconds, a Date can represent
+const MAX_DATE_SECONDS = 8640000000000;
+
+const attributeId = (name) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(name));
+
+// Only KYC_VERIFIED and ACCREDITED_INVESTOR are read by the exchange contracts; the rest are
+// the usual names for what identity providers record
+const ATTRIBUTE_CATALOGUE = {
+  KYC_VERIFIED: { type: "flag", description: "Identity checked by a KYC provider" },
+  ACCREDITED_INVESTOR: { type: "flag", description: "Accredited investor, e.g. under SEC Rule 501" },
+  QUALIFIED_PURCHASER: { type: "flag", description: "Qualified purchaser under the Investment Company Act" },
+  JURISDICTION: { type: "code", description: "Country of residence, as an ISO 3166-1 code" },
+  INVESTOR_TYPE: { type: "enum", values: ["none", "retail", "professional", "institutional"], description: "Investor classification" },
+  KYC_EXPIRY: { type: "date", description: "When the KYC check has to be renewed" }
+};
+
+// The catalogue with identifiers, merged with entries from ATTRIBUTES_FILE (or file)
+// File entries look like { "NAME": { "type": "flag", "description": "...", "id": "0x..." } };
+// id defaults to keccak256(NAME)
+function loadAttributeCatalogue(file = process.env.ATTRIBUTES_FILE) {
+  const entries = { ...ATTRIBUTE_CATALOGUE };
+  if (file) {
+    Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))).forEach(([name, entry]) => {
+      entries[name] = { ...entries[name], ...entry };
+    });
+  }
+
+  const catalogue = {};
+  Object.entries(entries).forEach(([name, entry]) => {
+    const type = entry.type || "bytes32";
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      throw new Error(`Attribute ${name} has unknown type ${type}: expected ${ATTRIBUTE_TYPES.join(", ")}`);
+    }
+    catalogue[name] = { name, id: entry.id || attributeId(name), type, values: entry.values || null, description: entry.description || "" };
+  });
+  return catalogue;
+}
+
+// Look up an attribute by catalogue name or bytes32 identifier; unknown identifiers are kept raw
+function resolveAttribute(nameOrId, catalogue = loadAttributeCatalogue()) {
+  if (catalogue[nameOrId]) {
+    return catalogue[nameOrId];
+  }
+  if (ethers.utils.isHexString(nameOrId, 32)) {
+    const known = Object.values(catalogue).find(({ id }) => id.toLowerCase() === nameOrId.toLowerCase());
+    return known || { name: nameOrId, id: nameOrId, type: "bytes32", values: null, description: "Not in the catalogue" };
+  }
+  throw new Error(`Unknown attribute ${nameOrId}: expected one of ${Object.keys(catalogue).join(", ")} or a bytes32 identifier`);
+}
+
+// Decode a getAttribute() value by the attribute's type
+// A date or enum value out of range, e.g. a string stored under the wrong attribute or an index past
+// the attribute's values, is returned as the raw bytes32 hex
+function decodeAttributeValue(attribute, raw) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  const value = ethers.BigNumber.from(raw);
+  const hex = () => ethers.utils.hexZeroPad(value.toHexString(), 32);
+  switch (attribute.type) {
+    case "flag":
+      return !value.isZero();
+    case "number":
+      return value.toString();
+    case "date":
+      if (value.isZero()) {
+        return null;
+      }
+      return value.lte(MAX_DATE_SECONDS) ? new Date(value.toNumber() * 1000).toISOString() : hex();
+    case "enum":
+      return value.lt(attribute.values.length) ? attribute.values[value.toNumber()] : hex();
+    case "code": {
+      // Either a short string such as "US" or a numeric code such as 840
+      if (value.isZero()) {
+        return null;
+      }
+      try {
+        const text = ethers.utils.parseBytes32String(raw);
+        if (/^[\x20-\x7e]+$/.test(text)) {
+          return text;
+        }
+      } catch (error) {
+        // Not a string, so a number
+      }
+      return value.toString();
+    }
+    default:
+      return raw;
+  }
+}
+
+// Read attributes for every account on every token
+// Options: compliance (address, for hasAttribute and isSecurityToken), identityRegistry (used
+// for values instead of each token's attributeRegistry()), multicall (createMulticall() options)
+// Returns { tokens: [{ address, symbol, isSecurityToken, identityRegistry, accounts: { [account]:
+// { [name]: { has, raw, value } } } }], multicall } where has or value is null if unreadable
+async function readAttributes(provider, { accounts, tokens, attributes, ...options }) {
+  const { call, stats } = createMulticall(provider, options.multicall);
+  const compliance = new ethers.Contract(options.compliance, COMPLIANCE_ABI, provider);
+
+  const first = await call(tokens.flatMap((address) => {
+    const token = new ethers.Contract(address, SECURITY_TOKEN_ABI, provider);
+    return [
+      { contract: token, method: "symbol" },
+      { contract: token, method: "attributeRegistry" },
+      { contract: compliance, method: "isSecurityToken", args: [address] }
+    ];
+  }));
+  const details = tokens.map((address, index) => {
+    const [symbol, registry, security] = first.slice(index * 3, index * 3 + 3);
+    const identityRegistry = options.identityRegistry || (registry.ok ? registry.value : null);
+    return {
+      address,
+      symbol: symbol.ok ? symbol.value : address.slice(0, 10),
+      isSecurityToken: security.ok ? security.value : null,
+      identityRegistry: identityRegistry && identityRegistry !== ethers.constants.AddressZero ? ethers.utils.getAddress(identityRegistry) : null,
+      accounts: {}
+    };
+  });
+
+  const calls = [];
+  details.forEach((token) => {
+    const registry = token.identityRegistry ? new ethers.Contract(token.identityRegistry, IDENTITY_REGISTRY_ABI, provider) : null;
+    accounts.forEach((account) => attributes.forEach((attribute) => {
+      calls.push({ contract: compliance, method: "hasAttribute", args: [token.address, account, attribute.id] });
+      if (registry) {
+        calls.push({ contract: registry, method: "getAttribute", args: [account, attribute.id] });
+      }
+    }));
+  });
+  const results = await call(calls);
+
+  let next = 0;
+  details.forEach((token) => {
+    accounts.forEach((account) => {
+      token.accounts[account] = {};
+      attributes.forEach((attribute) => {
+        const has = results[next++];
+        const raw = token.identityRegistry ? results[next++] : null;
+        token.accounts[account][attribute.name] = {
+          has: has.ok ? has.value : null,
+          raw: raw && raw.ok ? raw.value : null,
+          value: raw && raw.ok ? decodeAttributeValue(attribute, raw.value) : null
+        };
+      });
+    });
+  });
+
+  return { tokens: details, multicall: stats };
+}
+
+// Policies from TOKEN_POLICIES (or file), or an empty set if there is no such file
+// The file looks like { "<address or symbol>": { "description": "...", "requires": [rule, ...] } }
+// where a rule is { "attribute": "NAME", "role": "sender" | "receiver" | "both",
+// "oneOf": [values], "minimum": number, "note": "..." }; role defaults to both
+function loadTokenPolicies(file = process.env.TOKEN_POLICIES || DEFAULT_TOKEN_POLICIES_PATH) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  const policies = {};
+  Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))).forEach(([key, policy]) => {
+    (policy.requires || []).forEach((rule) => {
+      if (!rule.attribute) {
+        throw new Error(`${file}: a rule for ${key} has no attribute`);
+      }
+      if (rule.role && !POLICY_ROLES.includes(rule.role)) {
+        throw new Error(`${file}: rule ${rule.attribute} for ${key} has unknown role ${rule.role}: expected ${POLICY_ROLES.join(", ")}`);
+      }
+    });
+    policies[ethers.utils.isAddress(key) ? ethers.utils.getAddress(key) : key] = policy;
+  });
+  return policies;
+}
+
+// The policy for a token ({ address, symbol, isSecurityToken }): from the policies by address,
+// then by symbol, else KYC_VERIFIED for security tokens and nothing for other tokens
+// Returns { source, description, requires } with each rule's attribute resolved
+function tokenPolicy(token, policies = loadTokenPolicies(), catalogue = loadAttributeCatalogue()) {
+  const configured = policies[ethers.utils.getAddress(token.address)] || (token.symbol && policies[token.symbol]);
+  let policy;
+  if (configured) {
+    policy = { source: "configured", description: configured.description || null, requires: configured.requires || [] };
+  } else if (token.isSecurityToken) {
+    policy = {
+      source: "default",
+      description: "Security token: assumed to require KYC_VERIFIED of both parties, as the token enforces its own transfer rules",
+      requires: [{ attribute: "KYC_VERIFIED" }]
+    };
+  } else {
+    policy = {
+      source: "default",
+      description: token.isSecurityToken === null ? "Could not tell whether this is a security token" : "Not a security token: no attributes required",
+      requires: []
+    };
+  }
+  policy.requires = policy.requires.map((rule) => ({ role: "both", ...rule, attribute: resolveAttribute(rule.attribute, catalogue) }));
+  return policy;
+}
+
+// One sentence per rule, e.g. "receiver must have JURISDICTION (Country of residence...) one of US, GB"
+function describePolicy(policy) {
+  return policy.requires.map((rule) => {
+    const who = rule.role === "both" ? "sender and receiver" : rule.role;
+    const condition = rule.oneOf ? ` one of ${rule.oneOf.join(", ")}` : rule.minimum !== undefined ? ` of at least ${rule.minimum}` : "";
+    const about = rule.attribute.description ? ` (${rule.attribute.description})` : "";
+    return `${who} must have ${rule.attribute.name}${about}${condition}${rule.note ? `: ${rule.note}` : ""}`;
+  });
+}
+
+// Dates compare as Unix timestamps and list values by their position in the list
+function numeric(attribute, value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (attribute.type === "date") {
+    return Date.parse(value) / 1000;
+  }
+  if (attribute.type === "enum" && attribute.values.includes(value)) {
+    return attribute.values.indexOf(value);
+  }
+  return Number(value);
+}
+
+// Check one account's attributes (as read by readAttributes) against a policy, for a role
+// Returns { satisfied, unknown, failures: [message] }
+function evaluatePolicy(policy, attributes, role) {
+  const failures = [];
+  let unknown = false;
+  policy.requires
+    .filter((rule) => rule.role === "both" || rule.role === role)
+    .forEach((rule) => {
+      const found = attributes[rule.attribute.name];
+      if (!found || found.has === null) {
+        unknown = true;
+        return;
+      }
+      if (!found.has) {
+        failures.push(`does not have ${rule.attribute.name}`);
+        return;
+      }
+      if (rule.oneOf || rule.minimum !== undefined) {
+        if (found.value === null) {
+          unknown = true;
+        } else if (rule.oneOf && !rule.oneOf.map(String).includes(String(found.value))) {
+          failures.push(`${rule.attribute.name} is ${found.value}, not one of ${rule.oneOf.join(", ")}`);
+        } else if (rule.minimum !== undefined && Number.isNaN(numeric(rule.attribute, found.value))) {
+          // e.g. a raw value that did not decode as the attribute's type
+          unknown = true;
+        } else if (rule.minimum !== undefined && numeric(rule.attribute, found.value) < numeric(rule.attribute, rule.minimum)) {
+          failures.push(`${rule.attribute.name} is ${found.value}, below ${rule.minimum}`);
+        }
+      }
+    });
+  return { satisfied: failures.length === 0 && !unknown, unknown: unknown && failures.length === 0, failures };
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  ATTRIBUTE_CATALOGUE,
+  POLICY_ROLES,
+  DEFAULT_TOKEN_POLICIES_PATH,
+  attributeId,
+  loadAttributeCatalogue,
+  resolveAttribute,
+  decodeAttributeValue,
+  readAttributes,
+  loadTokenPolicies,
+  tokenPolicy,
+  describePolicy,
+  evaluatePolicy
+};
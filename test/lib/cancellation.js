@@ -0,0 +1,340 @@
+// Order cancellation through the exchange
+// OrderCancellation.cancelOrder() uses up the maker nonce (every nonce up to it if it is ahead of
+// the current one) and reverts with "Order nonce already used" if it is behind; cancelOrderByBoth()
+// does the same for both parties but skips a nonce that is already used. Either way the order can
+// no longer execute, because _executeSignedOrderCore() requires both nonces to be current.
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, CANCELLATION_ABI } = require('./abis');
+const { createOrder, signOrder } = require('./orders');
+
+const PARTIES = ["maker", "taker"];
+const CANCEL_MODES = ["auto", "maker", "both"];
+
+async function getCancellationContract(exchangeAddress, provider) {
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  return new ethers.Contract(await exchange.getCancellationContract(), CANCELLATION_ABI, provider);
+}
+
+// Compare each party's order nonce with its current on-chain nonce
+// status is "current" (the order can use it), "future" (ahead of the current nonce) or "used"
+async function readOrderNonceState(order, cancellation) {
+  const state = {};
+  for (const party of PARTIES) {
+    const nonce = ethers.BigNumber.from(order[`${party}Nonce`]);
+    const [current, valid] = await Promise.all([
+      cancellation.nonces(order[party]),
+      cancellation.verifyNonce(order[party], nonce)
+    ]);
+    state[party] = {
+      address: order[party],
+      nonce: nonce.toString(),
+      current: current.toString(),
+      valid,
+      status: valid ? "current" : nonce.gt(current) ? "future" : "used"
+    };
+  }
+  return state;
+}
+
+// Nonces a cancellation uses for one party: { from, to, count } or null if it uses none
+function noncesToConsume(partyState) {
+  if (partyState.status === "used") {
+    return null;
+  }
+  const from = ethers.BigNumber.from(partyState.current);
+  const to = ethers.BigNumber.from(partyState.nonce);
+  return { from: from.toString(), to: to.toString(), count: to.sub(from).add(1).toString() };
+}
+
+// Work out which cancellation to submit for a trade
+// Options: exchangeAddress (default: the trade's exchange), mode (auto, maker or both;
+// auto cancels with both signatures when the canceller is the taker), canceller (submitting address)
+// Returns { exchangeAddress, cancellationAddress, mode, method, args, state, expected, errors, warnings }
+async function prepareCancellation(tradeData, provider, options = {}) {
+  const { order } = tradeData;
+  const signatures = tradeData.signatures || {};
+  const exchangeAddress = options.exchangeAddress || tradeData.exchange;
+  if (!exchangeAddress) {
+    throw new Error("No exchange address: pass one or include exchange in the trade file");
+  }
+  const requested = options.mode || "auto";
+  if (!CANCEL_MODES.includes(requested)) {
+    throw new Error(`Unknown cancellation mode ${requested}: expected ${CANCEL_MODES.join(", ")}`);
+  }
+
+  const canceller = options.canceller && ethers.utils.getAddress(options.canceller);
+  const isParty = (party) => canceller !== undefined && canceller === ethers.utils.getAddress(order[party]);
+  const mode = requested !== "auto" ? requested : isParty("taker") && !isParty("maker") ? "both" : "maker";
+
+  const cancellation = await getCancellationContract(exchangeAddress, provider);
+  const state = await readOrderNonceState(order, cancellation);
+  const errors = [];
+  const warnings = [];
+
+  const parties = mode === "both" ? PARTIES : ["maker"];
+  parties.forEach((party) => {
+    if (!signatures[party]) {
+      errors.push(`Trade file has no ${party} signature to cancel with`);
+    }
+  });
+
+  if (mode === "maker" && state.maker.status === "used") {
+    errors.push(`Maker nonce ${state.maker.nonce} is already used (current nonce ${state.maker.current}); the order can no longer execute`);
+  } else if (mode === "both" && parties.every((party) => state[party].status === "used")) {
+    errors.push(`Maker nonce ${state.maker.nonce} and taker nonce ${state.taker.nonce} are already used; the order can no longer execute`);
+  }
+  PARTIES.forEach((party) => {
+    if (state[party].status === "used" && (mode === "both" || party === "taker")) {
+      warnings.push(`${party} nonce ${state[party].nonce} is already used (current nonce ${state[party].current}), so the order cannot execute anyway`);
+    }
+  });
+
+  // OrderCancellation only lets the maker (or the maker and taker together) cancel, but the exchange
+  // forwards the call as itself, so flag a canceller who is not a signing party
+  if (canceller && !parties.some(isParty)) {
+    warnings.push(`${canceller} is not the order ${mode === "both" ? "maker or taker" : "maker"}`);
+  }
+
+  const expected = {};
+  parties.forEach((party) => {
+    expected[party] = noncesToConsume(state[party]);
+    if (expected[party] && ethers.BigNumber.from(expected[party].count).gt(1)) {
+      warnings.push(`${party} nonce ${state[party].nonce} is ahead of the current nonce ${state[party].current}; cancelling uses up all ${expected[party].count} nonces in between`);
+    }
+  });
+
+  const method = mode === "both" ? "cancelOrderByBoth" : "cancelOrder";
+  const args = mode === "both" ? [order, signatures.maker, signatures.taker] : [order, signatures.maker];
+
+  return {
+    exchangeAddress,
+    cancellationAddress: cancellation.address,
+    mode,
+    method,
+    args,
+    state,
+    expected,
+    errors,
+    warnings
+  };
+}
+
+// SignedOrderCancelled from a receipt; the event is emitted by the cancellation contract, not the exchange
+function findCancellationEvent(receipt, cancellation) {
+  const event = receipt.logs
+    .filter((log) => log.address.toLowerCase() === cancellation.address.toLowerCase())
+    .map((log) => {
+      try {
+        return cancellation.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === "SignedOrderCancelled");
+  if (!event) {
+    throw new Error(`Transaction ${receipt.transactionHash} was mined without a SignedOrderCancelled event`);
+  }
+  return event;
+}
+
+// Submit a prepared cancellation and wait for SignedOrderCancelled
+// Options: confirmations (default 1), overrides (gas settings passed to the transaction)
+// Returns { txHash, blockNumber, orderHash, canceller, after, consumed }
+async function submitCancellation(plan, signer, options = {}) {
+  if (plan.errors.length > 0) {
+    throw new Error(plan.errors.join("; "));
+  }
+
+  const exchange = new ethers.Contract(plan.exchangeAddress, EXCHANGE_ABI, signer);
+  const cancellation = new ethers.Contract(plan.cancellationAddress, CANCELLATION_ABI, signer.provider);
+
+  // Surface the revert reason before paying for gas
+  await exchange.callStatic[plan.method](...plan.args);
+  const tx = await exchange[plan.method](...plan.args, options.overrides || {});
+  const receipt = await tx.wait(options.confirmations !== undefined ? Number(options.confirmations) : 1);
+
+  const event = findCancellationEvent(receipt, cancellation);
+
+  // Report what the chain actually advanced rather than what was expected
+  const after = await readOrderNonceState(plan.args[0], cancellation);
+  const consumed = {};
+  PARTIES.forEach((party) => {
+    const before = ethers.BigNumber.from(plan.state[party].current);
+    const now = ethers.BigNumber.from(after[party].current);
+    consumed[party] = now.gt(before)
+      ? { from: before.toString(), to: now.sub(1).toString(), count: now.sub(before).toString() }
+      : null;
+  });
+
+  return {
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    orderHash: event.args.orderHash,
+    canceller: event.args.canceller,
+    after,
+    consumed
+  };
+}
+
+// Human-readable description of a nonce range returned by noncesToConsume() or submitCancellation()
+function describeNonceRange(range) {
+  if (!range) {
+    return "none";
+  }
+  return range.count === "1" ? `nonce ${range.from}` : `nonces ${range.from}-${range.to} (${range.count})`;
+}
+
+// Nonce invalidation ("cancel all my open orders")
+// Nonces are shared between an account's maker and taker sides and only ever move forward, so every
+// order signed with a nonce below the account's next nonce is dead. The exchange does not forward
+// advanceNonce(), but cancelOrder() uses up every nonce up to the order's maker nonce, so signing a
+// throwaway order at the highest outstanding nonce and cancelling it invalidates them all in one
+// transaction.
+
+// Classify signed trades ({ file, tradeData }) for an account and work out the next nonce needed
+// to invalidate the open ones
+// Options: exchangeAddress (default: the first trade's exchange), nextNonce (invalidate
+// every nonce below this instead of just the open trades)
+// Returns { account, exchangeAddress, signaturesAddress, cancellationAddress, current, next, count,
+// trades, errors, warnings } where each trade is { file, roles, nonce, status, after } and status is
+// open, used, unrelated or other-exchange (the file names another exchange, or was signed for a
+// domain other than the exchange's signatures contract)
+async function planNonceInvalidation(account, trades, provider, options = {}) {
+  const owner = ethers.utils.getAddress(account);
+  const exchangeAddress = options.exchangeAddress || (trades.find((trade) => trade.tradeData && trade.tradeData.exchange) || { tradeData: {} }).tradeData.exchange;
+  if (!exchangeAddress) {
+    throw new Error("No exchange address: pass one or include a trade file with an exchange");
+  }
+
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  const [cancellation, signaturesAddress] = await Promise.all([
+    getCancellationContract(exchangeAddress, provider),
+    exchange.getSignaturesContract()
+  ]);
+  const current = await cancellation.nonces(owner);
+
+  const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const classified = trades.map(({ file, tradeData }) => {
+    const { order, domain } = tradeData;
+    const roles = PARTIES.filter((party) => ethers.utils.getAddress(order[party]) === owner);
+    if (roles.length === 0) {
+      return { file, roles, nonce: null, status: "unrelated" };
+    }
+    if ((tradeData.exchange && !sameAddress(tradeData.exchange, exchangeAddress)) ||
+        (domain.verifyingContract && !sameAddress(domain.verifyingContract, signaturesAddress))) {
+      return { file, roles, nonce: null, status: "other-exchange" };
+    }
+
+    // An order the account both makes and takes needs both nonces to be current
+    const nonce = roles
+      .map((party) => ethers.BigNumber.from(order[`${party}Nonce`]))
+      .reduce((lowest, value) => (value.lt(lowest) ? value : lowest));
+    return { file, roles, nonce: nonce.toString(), status: nonce.lt(current) ? "used" : "open" };
+  });
+
+  const open = classified.filter((trade) => trade.status === "open").map((trade) => ethers.BigNumber.from(trade.nonce));
+  const highest = open.reduce((max, value) => (value.gt(max) ? value : max), current);
+  const next = options.nextNonce !== undefined && options.nextNonce !== null
+    ? ethers.BigNumber.from(options.nextNonce)
+    : open.length > 0 ? highest.add(1) : current.add(1);
+
+  const errors = [];
+  const warnings = [];
+  if (next.lte(current)) {
+    errors.push(`Next nonce ${next} is not ahead of the current nonce ${current}; nonces cannot move backwards`);
+  }
+
+  classified.forEach((trade) => {
+    if (trade.status === "open") {
+      trade.after = ethers.BigNumber.from(trade.nonce).lt(next) ? "invalidated" : "open";
+    } else {
+      trade.after = trade.status;
+    }
+    if (trade.after === "open") {
+      warnings.push(`${trade.file} uses nonce ${trade.nonce}, which stays open below next nonce ${next}`);
+    }
+  });
+
+  const count = next.gt(current) ? next.sub(current) : ethers.constants.Zero;
+  if (count.gt(50)) {
+    warnings.push(`Using up ${count} nonces loops once per nonce inside cancelOrder(); expect high gas`);
+  }
+
+  return {
+    account: owner,
+    exchangeAddress,
+    signaturesAddress,
+    cancellationAddress: cancellation.address,
+    current: current.toString(),
+    next: next.toString(),
+    count: count.toString(),
+    trades: classified,
+    errors,
+    warnings
+  };
+}
+
+// Sign the throwaway order that moves the account's nonce to plan.next and cancel it through the exchange
+// The signer must be the account; domain's verifyingContract must be plan.signaturesAddress
+// Options: dryRun (simulate only), confirmations (default 1), overrides (gas settings)
+// Returns { dryRun, order, signature } plus { txHash, blockNumber, orderHash, next } once sent
+async function invalidateNonces(plan, signer, domain, options = {}) {
+  if (plan.errors.length > 0) {
+    throw new Error(plan.errors.join("; "));
+  }
+  const signerAddress = await signer.getAddress();
+  if (signerAddress !== plan.account) {
+    throw new Error(`Signer ${signerAddress} is not the account ${plan.account}`);
+  }
+
+  const order = createOrder({
+    maker: plan.account,
+    makerToken: ethers.constants.AddressZero,
+    makerAmount: 0,
+    taker: ethers.constants.AddressZero,
+    takerToken: ethers.constants.AddressZero,
+    takerAmount: 0,
+    makerNonce: ethers.BigNumber.from(plan.next).sub(1),
+    takerNonce: 0,
+    expiry: Math.floor(Date.now() / 1000)
+  });
+  const signature = await signOrder(order, signer, domain);
+
+  const exchange = new ethers.Contract(plan.exchangeAddress, EXCHANGE_ABI, signer);
+  const cancellation = new ethers.Contract(plan.cancellationAddress, CANCELLATION_ABI, signer.provider);
+
+  // Also catches a domain that does not match the exchange ("Invalid maker signature")
+  await exchange.callStatic.cancelOrder(order, signature);
+  if (options.dryRun) {
+    return { dryRun: true, order, signature };
+  }
+
+  const tx = await exchange.cancelOrder(order, signature, options.overrides || {});
+  const receipt = await tx.wait(options.confirmations !== undefined ? Number(options.confirmations) : 1);
+  const event = findCancellationEvent(receipt, cancellation);
+  const next = await cancellation.nonces(plan.account);
+
+  return {
+    dryRun: false,
+    order,
+    signature,
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    orderHash: event.args.orderHash,
+    next: next.toString()
+  };
+}
+
+module.exports = {
+  CANCEL_MODES,
+  getCancellationContract,
+  readOrderNonceState,
+  noncesToConsume,
+  prepareCancellation,
+  findCancellationEvent,
+  submitCancellation,
+  describeNonceRange,
+  planNonceInvalidation,
+  invalidateNonces
+};
@@ -0,0 +1,378 @@
+// Explain why a trade would be blocked by compliance
+// Security tokens enforce their transfer rules themselves, so a rejected swap surfaces as a
+// generic revert. This walks the preconditions in the order they matter: the exchange's
+// compliance contract and registry, which tokens are security tokens and which carry a fee, then
+// for each security token the KYC, identity registry membership, accreditation and any other
+// attribute the token's policy requires of everyone it moves between, and finally checkCompliance()
+// for every transfer where the compliance contract has it. The exchange sends the counterparty the
+// amount less the fee and the fee to the fee wallet, so where a fee is charged in a security token
+// the fee wallet is a third receiver of it. Every rule is reported, so ops can tell an investor
+// exactly what is missing.
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, REGISTRY_ABI, COMPLIANCE_ABI, FEES_ABI, SECURITY_TOKEN_ABI, IDENTITY_REGISTRY_ABI } = require('./abis');
+const { PASS, WARN, FAIL } = require('./readiness');
+const { feeBreakdown } = require('./fees');
+const { loadAttributeCatalogue, loadTokenPolicies, tokenPolicy, readAttributes, evaluatePolicy } = require('./attributes');
+const { createMulticall } = require('./multicall');
+
+const SKIP = "skip";
+const PARTIES = ["maker", "taker"];
+// The fee wallet's key alongside the parties in rule results
+const FEE_WALLET = "feeWallet";
+// Rules in the order they are evaluated
+const COMPLIANCE_RULES = ["contracts", "registration", "security-token", "fees", "kyc", "identity-registry", "accreditation", "policy", "check-compliance"];
+// Reverts that a compliance problem can cause
+const COMPLIANCE_REVERT_CODES = ["SWAP_NOT_COMPLIANT", "MAKER_TRANSFER_FAILED", "TAKER_TRANSFER_FAILED", "MAKER_FEE_TRANSFER_FAILED", "TAKER_FEE_TRANSFER_FAILED"];
+
+const CHECK_COMPLIANCE_ABI = [
+  "function checkCompliance(address from, address to, address token, uint256 amount) view returns (bool)"
+];
+// Attributes with a rule of their own; a policy's other attributes go through the policy rule
+const OWN_RULES = ["KYC_VERIFIED", "ACCREDITED_INVESTOR"];
+
+const LABELS = { maker: "Maker", taker: "Taker", feeWallet: "Fee wallet" };
+const label = (party) => LABELS[party];
+const other = (party) => (party === "maker" ? "taker" : "maker");
+
+// Evaluate every compliance precondition for an order ({ maker, makerToken, makerAmount, taker, ... })
+// Options:
+//   exchangeAddress   Exchange the order is for (required)
+//   identityRegistry  Registry to check membership in instead of each token's attributeRegistry()
+//   policies          Token policies (default: loadTokenPolicies())
+//   multicall         createMulticall() options
+// Returns { compliant, complete, firstFailure, failures, rules, fees } where each rule is
+// { rule, status: pass|warn|fail|skip, party, token, code, message, remedy }, party being maker,
+// taker or feeWallet; complete is false when a check could not be read. fees is
+// { feeWallet, maker, taker } as in feeBreakdown(), or null if they could not be read.
+async function explainCompliance(order, provider, options = {}) {
+  if (!options.exchangeAddress) {
+    throw new Error("No exchange address: pass options.exchangeAddress");
+  }
+  const { call } = createMulticall(provider, options.multicall);
+  const catalogue = loadAttributeCatalogue();
+  const policies = options.policies || loadTokenPolicies();
+  const exchange = new ethers.Contract(options.exchangeAddress, EXCHANGE_ABI, provider);
+  const rules = [];
+  const add = (rule, status, fields) => rules.push({ rule, status, party: null, token: null, code: null, remedy: null, ...fields });
+  let fees = null;
+  const finish = () => {
+    const failures = rules.filter(({ status }) => status === FAIL);
+    return { compliant: failures.length === 0, complete: !rules.some(({ status }) => status === WARN), firstFailure: failures[0] || null, failures, rules, fees };
+  };
+
+  // The exchange's contracts
+  const [complianceResult, registryResult, feesResult] = await call([
+    { contract: exchange, method: "getComplianceContract" },
+    { contract: exchange, method: "getRegistryContract" },
+    { contract: exchange, method: "getFeesContract" }
+  ]);
+  if (!complianceResult.ok || complianceResult.value === ethers.constants.AddressZero) {
+    add("contracts", FAIL, {
+      code: "NO_COMPLIANCE_CONTRACT",
+      message: `The exchange has no readable compliance contract${complianceResult.ok ? "" : `: ${complianceResult.error}`}`,
+      remedy: "Check EXCHANGE_ADDRESS points at the exchange proxy on this chain"
+    });
+    return finish();
+  }
+  add("contracts", PASS, { message: `Compliance contract ${complianceResult.value}` });
+  const compliance = new ethers.Contract(complianceResult.value, [...COMPLIANCE_ABI, ...CHECK_COMPLIANCE_ABI], provider);
+  const registry = registryResult.ok && registryResult.value !== ethers.constants.AddressZero
+    ? new ethers.Contract(registryResult.value, REGISTRY_ABI, provider)
+    : null;
+
+  // The fees decide the amounts each leg moves and whether the fee wallet receives a token
+  let feesError = null;
+  if (!feesResult.ok) {
+    feesError = feesResult.error;
+  } else if (feesResult.value !== ethers.constants.AddressZero) {
+    const feesContract = new ethers.Contract(feesResult.value, FEES_ABI, provider);
+    const [calculated] = await call([{ contract: feesContract, method: "calculateOrderFees", args: [order.makerToken, order.takerToken, order.makerAmount, order.takerAmount] }]);
+    if (calculated.ok) {
+      const { makerFee, takerFee, feeWallet } = calculated.value;
+      fees = {
+        feeWallet,
+        maker: feeBreakdown(order.makerAmount, makerFee, feeWallet),
+        taker: feeBreakdown(order.takerAmount, takerFee, feeWallet)
+      };
+    } else {
+      feesError = calculated.error;
+    }
+  }
+  const accounts = { maker: order.maker, taker: order.taker, feeWallet: fees ? fees.feeWallet : null };
+  const feeCharged = (side) => fees !== null && fees[side].fee !== "0";
+  // Everyone a side's token moves between: its sender, the counterparty and any fee wallet
+  const partiesFor = (side) => (feeCharged(side) ? [...PARTIES, FEE_WALLET] : PARTIES);
+  const legAmount = (side) => (fees ? fees[side].net : order[`${side}Amount`].toString());
+
+  // Token details, registration, KYC, accreditation and checkCompliance in one batch
+  const tokens = { maker: { side: "maker", address: order.makerToken }, taker: { side: "taker", address: order.takerToken } };
+  const keyed = [];
+  PARTIES.forEach((side) => {
+    const address = tokens[side].address;
+    const token = new ethers.Contract(address, SECURITY_TOKEN_ABI, provider);
+    keyed.push([`${side}.symbol`, { contract: token, method: "symbol" }]);
+    keyed.push([`${side}.attributeRegistry`, { contract: token, method: "attributeRegistry" }]);
+    keyed.push([`${side}.security`, { contract: compliance, method: "isSecurityToken", args: [address] }]);
+    if (registry) {
+      keyed.push([`${side}.registered`, { contract: registry, method: "isRegisteredAsset", args: [address] }]);
+    }
+    partiesFor(side).forEach((party) => {
+      keyed.push([`${side}.kyc.${party}`, { contract: exchange, method: "isKYCVerified", args: [address, accounts[party]] }]);
+      keyed.push([`${side}.accredited.${party}`, { contract: exchange, method: "isAccreditedInvestor", args: [address, accounts[party]] }]);
+    });
+    keyed.push([`${side}.leg`, { contract: compliance, method: "checkCompliance", args: [accounts[side], accounts[other(side)], address, legAmount(side)] }]);
+    if (feeCharged(side)) {
+      keyed.push([`${side}.feeLeg`, { contract: compliance, method: "checkCompliance", args: [accounts[side], fees.feeWallet, address, fees[side].fee] }]);
+    }
+  });
+  const results = {};
+  (await call(keyed.map(([, item]) => item))).forEach((result, index) => { results[keyed[index][0]] = result; });
+
+  PARTIES.forEach((side) => {
+    const get = (key) => results[`${side}.${key}`];
+    const identityRegistry = options.identityRegistry || (get("attributeRegistry").ok ? get("attributeRegistry").value : null);
+    Object.assign(tokens[side], {
+      symbol: get("symbol").ok ? get("symbol").value : tokens[side].address,
+      isSecurityToken: get("security").ok ? get("security").value : null,
+      securityError: get("security").ok ? null : get("security").error,
+      registered: get("registered") || null,
+      identityRegistry: identityRegistry && identityRegistry !== ethers.constants.AddressZero ? identityRegistry : null,
+      kyc: Object.fromEntries(partiesFor(side).map((party) => [party, get(`kyc.${party}`)])),
+      accredited: Object.fromEntries(partiesFor(side).map((party) => [party, get(`accredited.${party}`)])),
+      leg: get("leg"),
+      feeLeg: get("feeLeg") || null
+    });
+  });
+
+  // Registration: the exchange refuses tokens its registry does not know
+  PARTIES.forEach((side) => {
+    const token = tokens[side];
+    if (!registry) {
+      add("registration", WARN, { token: token.address, code: "CHECK_UNAVAILABLE", message: "The exchange has no readable registry" });
+    } else if (!token.registered.ok) {
+      add("registration", WARN, { token: token.address, code: "CHECK_UNAVAILABLE", message: `Could not read ${token.symbol} registration: ${token.registered.error}` });
+    } else if (!token.registered.value) {
+      add("registration", FAIL, {
+        token: token.address,
+        code: "TOKEN_NOT_REGISTERED",
+        message: `${token.symbol} is not registered with the exchange`,
+        remedy: `Register and confirm ${token.address} in registry ${registry.address}`
+      });
+    } else {
+      add("registration", PASS, { token: token.address, message: `${token.symbol} is registered` });
+    }
+  });
+
+  // Which tokens carry transfer restrictions at all
+  PARTIES.forEach((side) => {
+    const token = tokens[side];
+    if (token.isSecurityToken === null) {
+      add("security-token", WARN, { token: token.address, code: "CHECK_UNAVAILABLE", message: `Could not tell whether ${token.symbol} is a security token: ${token.securityError}` });
+    } else {
+      add("security-token", PASS, {
+        token: token.address,
+        message: token.isSecurityToken
+          ? `${token.symbol} is a security token, so everyone it moves between needs its attributes`
+          : `${token.symbol} is not a security token and has no attribute requirements`
+      });
+    }
+  });
+  const securityTokens = PARTIES.map((side) => tokens[side]).filter(({ isSecurityToken }) => isSecurityToken);
+
+  // Which token, if any, the fee wallet receives
+  if (feesError) {
+    add("fees", WARN, { code: "CHECK_UNAVAILABLE", message: `Could not read the order's fees, so the fee wallet is not checked and the legs use the gross amounts: ${feesError}` });
+  } else if (!PARTIES.some(feeCharged)) {
+    add("fees", PASS, { message: "No fee is charged, so only the maker and taker receive tokens" });
+  } else {
+    PARTIES.filter(feeCharged).forEach((side) => {
+      const token = tokens[side];
+      add("fees", PASS, {
+        party: side,
+        token: token.address,
+        message: `${label(side)} pays a fee of ${fees[side].fee} ${token.symbol} to fee wallet ${fees.feeWallet}${token.isSecurityToken ? ", which must meet the token's rules as a receiver" : ""}`
+      });
+    });
+  }
+
+  // KYC for everyone each security token moves between, as the exchange reads it
+  securityTokens.forEach((token) => partiesFor(token.side).forEach((party) => {
+    const result = token.kyc[party];
+    if (!result.ok) {
+      add("kyc", WARN, { party, token: token.address, code: "CHECK_UNAVAILABLE", message: `Could not read ${party} KYC for ${token.symbol}: ${result.error}` });
+    } else if (!result.value) {
+      add("kyc", FAIL, {
+        party,
+        token: token.address,
+        code: "KYC_MISSING",
+        message: `${label(party)} ${accounts[party]} is not KYC verified for ${token.symbol}`,
+        remedy: `Have the KYC provider add KYC_VERIFIED for ${accounts[party]} in ${token.symbol}'s attribute registry${token.identityRegistry ? ` (${token.identityRegistry})` : ""}`
+      });
+    } else {
+      add("kyc", PASS, { party, token: token.address, message: `${label(party)} is KYC verified for ${token.symbol}` });
+    }
+  }));
+
+  // Membership of each security token's identity registry
+  const memberships = securityTokens
+    .filter(({ identityRegistry }) => identityRegistry)
+    .flatMap((token) => partiesFor(token.side).map((party) => ({ token, party })));
+  const membership = await call(memberships.map(({ token, party }) => ({
+    contract: new ethers.Contract(token.identityRegistry, IDENTITY_REGISTRY_ABI, provider),
+    method: "isVerified",
+    args: [accounts[party]]
+  })));
+  securityTokens.forEach((token) => {
+    if (!token.identityRegistry) {
+      add("identity-registry", SKIP, { token: token.address, message: `${token.symbol} has no readable identity registry` });
+      return;
+    }
+    memberships.forEach(({ token: checked, party }, index) => {
+      if (checked !== token) {
+        return;
+      }
+      const result = membership[index];
+      if (!result.ok) {
+        add("identity-registry", SKIP, { party, token: token.address, message: `${token.symbol}'s registry ${token.identityRegistry} has no isVerified()` });
+      } else if (!result.value) {
+        add("identity-registry", FAIL, {
+          party,
+          token: token.address,
+          code: "IDENTITY_NOT_VERIFIED",
+          message: `${label(party)} ${accounts[party]} is not verified in ${token.symbol}'s identity registry ${token.identityRegistry}`,
+          remedy: `Have the registry's agent add ${accounts[party]} to ${token.identityRegistry}`
+        });
+      } else {
+        add("identity-registry", PASS, { party, token: token.address, message: `${label(party)} is verified in ${token.symbol}'s identity registry` });
+      }
+    });
+  });
+
+  // Accreditation only blocks where the token's policy asks for it; otherwise it is reported
+  const tokenPolicies = new Map(securityTokens.map((token) => [token, tokenPolicy(token, policies, catalogue)]));
+  securityTokens.forEach((token) => {
+    const policy = tokenPolicies.get(token);
+    const sides = new Set();
+    policy.requires
+      .filter(({ attribute }) => attribute.name === "ACCREDITED_INVESTOR")
+      .forEach(({ role }) => {
+        // The maker sends the maker token and the taker sends the taker token
+        partiesFor(token.side).forEach((party) => {
+          if (role === "both" || role === (party === token.side ? "sender" : "receiver")) sides.add(party);
+        });
+      });
+    partiesFor(token.side).forEach((party) => {
+      const result = token.accredited[party];
+      const required = sides.has(party);
+      if (!result.ok) {
+        add("accreditation", required ? WARN : SKIP, { party, token: token.address, code: required ? "CHECK_UNAVAILABLE" : null, message: `Could not read ${party} accreditation for ${token.symbol}: ${result.error}` });
+      } else if (!result.value && required) {
+        add("accreditation", FAIL, {
+          party,
+          token: token.address,
+          code: "NOT_ACCREDITED",
+          message: `${label(party)} ${accounts[party]} is not an accredited investor for ${token.symbol}, which its policy requires`,
+          remedy: `Have the KYC provider add ACCREDITED_INVESTOR for ${accounts[party]} once accreditation is confirmed`
+        });
+      } else {
+        add("accreditation", PASS, {
+          party,
+          token: token.address,
+          message: `${label(party)} is ${result.value ? "" : "not "}an accredited investor for ${token.symbol}${required ? "" : " (not required)"}`
+        });
+      }
+    });
+  });
+
+  // Any further attributes a configured policy requires
+  const policyTokens = securityTokens.filter((token) => tokenPolicies.get(token).requires.some(({ attribute }) => !OWN_RULES.includes(attribute.name)));
+  if (policyTokens.length > 0) {
+    const attributes = [...new Map(policyTokens
+      .flatMap((token) => tokenPolicies.get(token).requires.map(({ attribute }) => attribute))
+      .filter(({ name }) => !OWN_RULES.includes(name))
+      .map((attribute) => [attribute.name, attribute])).values()];
+    const read = await readAttributes(provider, {
+      accounts: [...new Set(policyTokens.flatMap((token) => partiesFor(token.side).map((party) => accounts[party])))],
+      tokens: policyTokens.map(({ address }) => address),
+      attributes,
+      compliance: compliance.address,
+      identityRegistry: options.identityRegistry,
+      multicall: options.multicall
+    });
+    policyTokens.forEach((token, index) => {
+      const policy = tokenPolicies.get(token);
+      const extra = { ...policy, requires: policy.requires.filter(({ attribute }) => !OWN_RULES.includes(attribute.name)) };
+      partiesFor(token.side).forEach((party) => {
+        const role = party === token.side ? "sender" : "receiver";
+        const result = evaluatePolicy(extra, read.tokens[index].accounts[accounts[party]], role);
+        if (result.failures.length > 0) {
+          add("policy", FAIL, {
+            party,
+            token: token.address,
+            code: "TOKEN_POLICY_NOT_MET",
+            message: `${label(party)} ${accounts[party]} does not meet the ${token.symbol} policy as ${role}: ${result.failures.join(", ")}`,
+            remedy: `Run \`node test/cli.js kyc policy --token ${token.address} --account ${accounts[party]}\` for the full policy`
+          });
+        } else if (result.unknown) {
+          add("policy", WARN, { party, token: token.address, code: "CHECK_UNAVAILABLE", message: `Could not read every attribute the ${token.symbol} policy needs for ${party}` });
+        } else {
+          add("policy", PASS, { party, token: token.address, message: `${label(party)} meets the ${token.symbol} policy as ${role}` });
+        }
+      });
+    });
+  }
+
+  // checkCompliance() for every transfer the exchange makes: each leg's net amount to the
+  // counterparty and, where a fee is charged, the fee to the fee wallet
+  PARTIES.flatMap((party) => [
+    { party, receiver: other(party), amount: legAmount(party), result: tokens[party].leg },
+    ...(feeCharged(party) ? [{ party, receiver: `the fee wallet ${fees.feeWallet}`, amount: fees[party].fee, result: tokens[party].feeLeg }] : [])
+  ]).forEach(({ party, receiver, amount, result }) => {
+    const token = tokens[party];
+    const direction = `${amount} of ${token.symbol} from ${party} to ${receiver}`;
+    if (!result.ok) {
+      add("check-compliance", SKIP, { party, token: token.address, message: `The compliance contract has no checkCompliance() for ${direction}` });
+    } else if (!result.value) {
+      add("check-compliance", FAIL, {
+        party,
+        token: token.address,
+        code: "SWAP_NOT_COMPLIANT",
+        message: `checkCompliance rejects ${direction}`,
+        remedy: "The compliance contract's own rules refuse this transfer; ask its operator which limit applies"
+      });
+    } else {
+      add("check-compliance", PASS, { party, token: token.address, message: `checkCompliance allows ${direction}` });
+    }
+  });
+
+  return finish();
+}
+
+const STATUS_MARKS = { pass: "✅", warn: "⚠️ ", fail: "❌", skip: "➖" };
+
+// Human-readable lines for an explainCompliance() result
+function describeExplanation(explanation) {
+  const lines = explanation.rules.flatMap((rule) => [
+    `${STATUS_MARKS[rule.status]} [${rule.rule}] ${rule.message}`,
+    ...(rule.status === "fail" && rule.remedy ? [`   → ${rule.remedy}`] : [])
+  ]);
+  if (explanation.firstFailure) {
+    lines.push("", `First failing rule: [${explanation.firstFailure.rule}] ${explanation.firstFailure.message}`);
+    lines.push(`${explanation.failures.length} rule${explanation.failures.length === 1 ? "" : "s"} failed in all`);
+  } else {
+    lines.push("", explanation.complete
+      ? "Every compliance rule passes"
+      : "No rule fails, but some could not be checked");
+  }
+  return lines;
+}
+
+module.exports = {
+  SKIP,
+  FEE_WALLET,
+  COMPLIANCE_RULES,
+  COMPLIANCE_REVERT_CODES,
+  explainCompliance,
+  describeExplanation
+};
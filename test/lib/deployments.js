@@ -0,0 +1,162 @@
+// Deployment addresses from Foundry's broadcast records (broadcast/<script>/<chainId>/run-latest.json)
+// Contracts are identified by the contract name of each successful CREATE. When the Exchange sits
+// behind a TransparentUpgradeableProxy, the proxy is the exchange and the Exchange contract is its
+// implementation; the proxy creates its own ProxyAdmin, owned by the ProxyAdmin the script deploys.
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+// Scripts that deploy an exchange, and scripts that only register tokens with an existing registry
+const DEPLOY_SCRIPTS = ["ProxyDeploy.s.sol", "ProxyDeployMT.s.sol", "Exchange.s.sol"];
+const TOKEN_SCRIPTS = ["RegisterTokens.s.sol"];
+
+const CONTRACT_ROLES = {
+  Signatures: "signatures",
+  Fees: "fees",
+  Registry: "registry",
+  Compliance: "compliance",
+  OrderCancellation: "cancellation"
+};
+const PROXY_CONTRACTS = ["TransparentUpgradeableProxy", "ERC1967Proxy"];
+const CONTRACT_KEYS = [
+  "exchange", "exchangeImplementation", "proxyAdmin", "proxyAdminOwner",
+  "signatures", "fees", "cancellation", "registry", "compliance"
+];
+
+function broadcastDir(dir) {
+  return dir || process.env.BROADCAST_DIR || path.join(__dirname, "..", "..", "broadcast");
+}
+
+// "ProxyDeploy" and "ProxyDeploy.s.sol" name the same script
+function scriptName(script) {
+  return script.endsWith(".s.sol") ? script : `${script}.s.sol`;
+}
+
+// The latest run of a script on a chain, or null if it was never broadcast there
+function readBroadcastRun(script, chainId, dir) {
+  const file = path.join(broadcastDir(dir), scriptName(script), String(chainId), "run-latest.json");
+  return fs.existsSync(file) ? { file, run: JSON.parse(fs.readFileSync(file, 'utf8')) } : null;
+}
+
+// Transactions of a run that were mined and succeeded, each with its receipt
+function succeeded(run) {
+  const receipts = new Map((run.receipts || []).map((receipt) => [receipt.transactionHash.toLowerCase(), receipt]));
+  return (run.transactions || [])
+    .map((tx) => ({ tx, receipt: tx.hash ? receipts.get(tx.hash.toLowerCase()) : undefined }))
+    .filter(({ receipt }) => receipt && Number(receipt.status) === 1);
+}
+
+// Tokens confirmed in a registry by the run: { [symbol]: { address, decimals, isSecurityToken } }
+function registeredTokens(run, registry) {
+  const tokens = {};
+  succeeded(run)
+    .filter(({ tx }) => tx.transactionType === "CALL" && tx.contractAddress && tx.contractAddress.toLowerCase() === registry.toLowerCase())
+    .filter(({ tx }) => tx.function && tx.function.startsWith("confirmTokenRegistration("))
+    .forEach(({ tx }) => {
+      const [address, symbol, decimals, isSecurityToken] = tx.arguments;
+      tokens[symbol] = { address: ethers.utils.getAddress(address), decimals: Number(decimals), isSecurityToken: isSecurityToken === "true" };
+    });
+  return tokens;
+}
+
+// Identify the contracts deployed by one run
+// Returns { script, file, chainId, timestamp, commit, block, contracts, tokens }, where contracts has
+// exchange, exchangeImplementation, proxyAdmin and proxyAdminOwner (proxied deployments only),
+// signatures, fees, cancellation, registry and compliance
+function parseDeployment(script, { file, run }) {
+  const contracts = {};
+  let block = null;
+  let implementation = null;
+
+  succeeded(run)
+    .filter(({ tx }) => tx.transactionType === "CREATE" || tx.transactionType === "CREATE2")
+    .forEach(({ tx, receipt }) => {
+      const address = ethers.utils.getAddress(tx.contractAddress);
+      if (PROXY_CONTRACTS.includes(tx.contractName)) {
+        contracts.exchange = address;
+        block = Number(receipt.blockNumber);
+        const admin = (tx.additionalContracts || []).find(({ transactionType }) => transactionType === "CREATE");
+        if (admin) {
+          contracts.proxyAdmin = ethers.utils.getAddress(admin.address);
+        }
+      } else if (tx.contractName === "Exchange") {
+        implementation = { address, block: Number(receipt.blockNumber) };
+      } else if (tx.contractName === "ProxyAdmin") {
+        contracts.proxyAdminOwner = address;
+      } else if (CONTRACT_ROLES[tx.contractName]) {
+        contracts[CONTRACT_ROLES[tx.contractName]] = address;
+      }
+    });
+
+  if (contracts.exchange && implementation) {
+    contracts.exchangeImplementation = implementation.address;
+  } else if (implementation) {
+    contracts.exchange = implementation.address;
+    block = implementation.block;
+  }
+
+  return {
+    script: scriptName(script),
+    file,
+    chainId: Number(run.chain),
+    timestamp: Number(run.timestamp),
+    commit: run.commit || null,
+    block,
+    contracts: Object.fromEntries(CONTRACT_KEYS.filter((key) => contracts[key]).map((key) => [key, contracts[key]])),
+    tokens: contracts.registry ? registeredTokens(run, contracts.registry) : {}
+  };
+}
+
+// Every exchange deployment broadcast on a chain, newest first
+function listDeployments(chainId, options = {}) {
+  return DEPLOY_SCRIPTS
+    .map((script) => {
+      const broadcast = readBroadcastRun(script, chainId, options.dir);
+      return broadcast ? parseDeployment(script, broadcast) : null;
+    })
+    .filter((deployment) => deployment && deployment.contracts.exchange)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// The deployment from one script (default: the most recent deployment on the chain), with the
+// tokens later runs of the token scripts registered in its registry
+// Throws if the chain has no such broadcast record
+function loadDeployment(chainId, options = {}) {
+  const candidates = options.script && options.script !== "latest"
+    ? listDeployments(chainId, options).filter(({ script }) => script === scriptName(options.script))
+    : listDeployments(chainId, options);
+  if (candidates.length === 0) {
+    const which = options.script && options.script !== "latest" ? scriptName(options.script) : DEPLOY_SCRIPTS.join(", ");
+    throw new Error(`No broadcast record of ${which} on chain ${chainId} in ${broadcastDir(options.dir)}`);
+  }
+
+  const deployment = candidates[0];
+  if (deployment.contracts.registry) {
+    TOKEN_SCRIPTS.forEach((script) => {
+      const broadcast = readBroadcastRun(script, chainId, options.dir);
+      if (broadcast && Number(broadcast.run.timestamp) >= deployment.timestamp) {
+        Object.assign(deployment.tokens, registeredTokens(broadcast.run, deployment.contracts.registry));
+      }
+    });
+  }
+  return deployment;
+}
+
+// The block of the broadcast deployment that includes a contract, for scanning its events from
+// there; role is a key of a deployment's contracts, such as "exchange" or "registry"
+// Returns 0 if no broadcast record on the chain has the contract
+function deploymentBlock(chainId, role, address, options = {}) {
+  const deployment = listDeployments(chainId, options)
+    .find(({ contracts }) => contracts[role] && contracts[role].toLowerCase() === address.toLowerCase());
+  return deployment && deployment.block !== null ? deployment.block : 0;
+}
+
+module.exports = {
+  DEPLOY_SCRIPTS,
+  TOKEN_SCRIPTS,
+  readBroadcastRun,
+  parseDeployment,
+  listDeployments,
+  loadDeployment,
+  deploymentBlock
+};
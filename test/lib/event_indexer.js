@@ -0,0 +1,278 @@
+// Indexes the exchange's events (Events.sol) into normalised JSON lines
+// Only blocks at least `confirmations` deep are indexed. The checkpoint keeps the hashes of
+// recently indexed blocks so a reorg below that depth is detected on the next run and the
+// affected records are dropped and indexed again.
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI } = require('./abis');
+const { deploymentBlock } = require('./deployments');
+
+const INDEXER_VERSION = 1;
+const DEFAULT_INDEX_DIR = './test/indexer';
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_BLOCK_RANGE = 2000;
+const RECENT_BLOCKS_KEPT = 128;
+
+// Events by the contract that emits them. FeeModified is declared twice: Fees emits the
+// FeeStorage version (one fee wallet, only the parity indexed), Events.sol declares another.
+// Proxies deployed by script/ProxyDeploy.s.sol are OpenZeppelin's, which emit the ERC-1967
+// Upgraded and AdminChanged events rather than ProxyImplementationUpdated and ProxyAdminUpdated.
+const INDEXED_EVENTS = {
+  exchange: [
+    "event SignedOrderExecuted(bytes32 indexed orderHash, address maker, address indexed makerToken, uint256 makerAmount, address taker, address indexed takerToken, uint256 takerAmount, uint256 makerFee, uint256 takerFee)",
+    "event FeesContractUpdated(address indexed feesContract)",
+    "event CancellationContractUpdated(address indexed cancellationContract)",
+    "event ComplianceContractUpdated(address indexed complianceContract)",
+    "event SignaturesContractUpdated(address indexed signaturesContract)",
+    "event RegistryContractUpdated(address indexed registryContract)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+    "event ProxyImplementationUpdated(address indexed previousImplementation, address indexed newImplementation)",
+    "event ProxyAdminUpdated(address indexed previousAdmin, address indexed newAdmin)",
+    "event Upgraded(address indexed implementation)",
+    "event AdminChanged(address previousAdmin, address newAdmin)"
+  ],
+  cancellation: [
+    "event SignedOrderCancelled(bytes32 indexed orderHash, address canceller)"
+  ],
+  fees: [
+    "event FeeModified(bytes32 indexed parity, address token1, address token2, uint256 fee1, uint256 fee2, uint256 feeBase, address feeWallet)",
+    "event FeeModified(bytes32 indexed parity, address indexed token1, address indexed token2, uint256 fee1, uint256 fee2, uint256 feeBase, address fee1Wallet, address fee2Wallet)"
+  ]
+};
+
+// Contract updates that change where the cancellation and fees events come from
+const SOURCE_UPDATES = {
+  CancellationContractUpdated: ["cancellation", "cancellationContract"],
+  FeesContractUpdated: ["fees", "feesContract"]
+};
+
+const interfaces = Object.fromEntries(
+  Object.entries(INDEXED_EVENTS).map(([source, events]) => [source, new ethers.utils.Interface(events)])
+);
+
+function indexPaths(dir) {
+  const base = dir || process.env.INDEX_DIR || DEFAULT_INDEX_DIR;
+  return {
+    dir: base,
+    events: path.join(base, "events.jsonl"),
+    checkpoint: path.join(base, "checkpoint.json")
+  };
+}
+
+// Read the indexed records, oldest first
+function readIndexedEvents(dir) {
+  const file = indexPaths(dir).events;
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line));
+}
+
+function readCheckpoint(dir) {
+  const file = indexPaths(dir).checkpoint;
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Write through a temporary file so an interrupted run cannot leave a half-written file
+function writeAtomically(file, contents) {
+  fs.writeFileSync(`${file}.tmp`, contents);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Event arguments as JSON: checksummed addresses, decimal strings for integers
+function normaliseArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    if (input.type === "address") {
+      result[input.name] = ethers.utils.getAddress(value);
+    } else if (ethers.BigNumber.isBigNumber(value)) {
+      result[input.name] = value.toString();
+    } else {
+      result[input.name] = value;
+    }
+  });
+  return result;
+}
+
+// One record per log: { id, chainId, exchange, source, contract, event, signature, blockNumber,
+// blockHash, timestamp, txHash, logIndex, args }
+function normaliseLog(log, source, parsed, context) {
+  return {
+    id: `${log.transactionHash}:${log.logIndex}`,
+    chainId: context.chainId,
+    exchange: context.exchange,
+    source,
+    contract: ethers.utils.getAddress(log.address),
+    event: parsed.name,
+    signature: parsed.signature,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    timestamp: context.timestamps[log.blockNumber],
+    txHash: log.transactionHash,
+    logIndex: log.logIndex,
+    args: normaliseArgs(parsed.eventFragment, parsed.args)
+  };
+}
+
+// Find the newest recorded block that is still on the chain
+async function findCommonAncestor(provider, recentBlocks) {
+  for (const { number, hash } of [...recentBlocks].sort((a, b) => b.number - a.number)) {
+    const block = await provider.getBlock(number);
+    if (block && block.hash === hash) {
+      return number;
+    }
+  }
+  return null;
+}
+
+// Index events from the block after the checkpoint (or startBlock) up to latest - confirmations
+// Options: exchangeAddress (default: EXCHANGE_ADDRESS), dir (default: INDEX_DIR or ./test/indexer),
+// confirmations (default 12), blockRange (default 2000), startBlock (default: the exchange's
+// deployment block from the broadcast records, or 0 without one), toBlock (upper bound)
+// Returns { fromBlock, toBlock, added, reorg, checkpoint } where reorg is { from, to, removed } or null
+async function indexExchangeEvents(provider, options = {}) {
+  const paths = indexPaths(options.dir);
+  const confirmations = Number(options.confirmations !== undefined ? options.confirmations : DEFAULT_CONFIRMATIONS);
+  const blockRange = Number(options.blockRange || DEFAULT_BLOCK_RANGE);
+  const { chainId } = await provider.getNetwork();
+
+  let checkpoint = readCheckpoint(paths.dir);
+  if (checkpoint && checkpoint.version !== INDEXER_VERSION) {
+    throw new Error(`${paths.checkpoint} is indexer version ${checkpoint.version}; expected ${INDEXER_VERSION}; index into another --dir`);
+  }
+  const configured = options.exchangeAddress || process.env.EXCHANGE_ADDRESS || (checkpoint && checkpoint.exchange);
+  if (!configured) {
+    throw new Error("No exchange address: pass --exchange or set EXCHANGE_ADDRESS");
+  }
+  const exchangeAddress = ethers.utils.getAddress(configured);
+  if (checkpoint && (checkpoint.chainId !== chainId || checkpoint.exchange !== exchangeAddress)) {
+    throw new Error(`${paths.checkpoint} indexes ${checkpoint.exchange} on chain ${checkpoint.chainId}, not ${exchangeAddress} on chain ${chainId}; use another --dir`);
+  }
+  const startBlock = options.startBlock !== undefined ? Number(options.startBlock) : deploymentBlock(chainId, "exchange", exchangeAddress);
+
+  if (!checkpoint) {
+    const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+    const [cancellation, fees] = await Promise.all([exchange.getCancellationContract(), exchange.getFeesContract()]);
+    checkpoint = {
+      version: INDEXER_VERSION,
+      chainId,
+      exchange: exchangeAddress,
+      sources: { exchange: [exchangeAddress], cancellation: [cancellation], fees: [fees] },
+      lastBlock: startBlock - 1,
+      recentBlocks: []
+    };
+  }
+
+  // Roll back to the newest block whose hash still matches
+  let reorg = null;
+  if (checkpoint.recentBlocks.length > 0) {
+    const newest = checkpoint.recentBlocks[checkpoint.recentBlocks.length - 1];
+    const block = await provider.getBlock(newest.number);
+    if (!block || block.hash !== newest.hash) {
+      const ancestor = await findCommonAncestor(provider, checkpoint.recentBlocks);
+      const rollbackTo = ancestor !== null ? ancestor : startBlock - 1;
+      reorg = { from: checkpoint.lastBlock, to: rollbackTo, removed: 0 };
+      checkpoint.lastBlock = rollbackTo;
+      checkpoint.recentBlocks = checkpoint.recentBlocks.filter(({ number }) => number <= rollbackTo);
+    }
+  }
+
+  // Drop records past the checkpoint: rolled back, or written by a run that stopped before checkpointing
+  const records = readIndexedEvents(paths.dir);
+  const kept = records.filter((record) => record.blockNumber <= checkpoint.lastBlock);
+  fs.mkdirSync(paths.dir, { recursive: true });
+  if (kept.length !== records.length) {
+    writeAtomically(paths.events, kept.map((record) => `${JSON.stringify(record)}\n`).join(""));
+    if (reorg) {
+      reorg.removed = records.length - kept.length;
+    }
+  }
+  if (reorg) {
+    writeAtomically(paths.checkpoint, JSON.stringify(checkpoint, null, 2));
+  }
+
+  const head = await provider.getBlockNumber();
+  const safeHead = head - confirmations;
+  const toBlock = options.toBlock !== undefined ? Math.min(Number(options.toBlock), safeHead) : safeHead;
+  const fromBlock = checkpoint.lastBlock + 1;
+  const context = { chainId, exchange: exchangeAddress, timestamps: {} };
+  let added = 0;
+
+  // Parse the logs of [{ source, address }] in a block range into records, in chain order
+  const collect = async (sources, start, end) => {
+    const logs = [];
+    for (const { source, address } of sources) {
+      const found = await provider.getLogs({ address, fromBlock: start, toBlock: end });
+      found.forEach((log) => logs.push({ log, source }));
+    }
+    logs.sort((x, y) => x.log.blockNumber - y.log.blockNumber || x.log.logIndex - y.log.logIndex);
+
+    const collected = [];
+    for (const { log, source } of logs) {
+      let parsed;
+      try {
+        parsed = interfaces[source].parseLog(log);
+      } catch (error) {
+        continue;
+      }
+      if (context.timestamps[log.blockNumber] === undefined) {
+        context.timestamps[log.blockNumber] = (await provider.getBlock(log.blockNumber)).timestamp;
+      }
+      collected.push(normaliseLog(log, source, parsed, context));
+    }
+    return collected;
+  };
+
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    const sources = Object.entries(checkpoint.sources)
+      .flatMap(([source, addresses]) => addresses.map((address) => ({ source, address })));
+    const chunk = await collect(sources, start, end);
+
+    // Follow the exchange to a replaced cancellation or fees contract, picking up the new
+    // contract's events from the block it was set in
+    const replaced = [];
+    chunk.forEach((record) => {
+      const update = SOURCE_UPDATES[record.event];
+      if (update && !checkpoint.sources[update[0]].includes(record.args[update[1]])) {
+        checkpoint.sources[update[0]].push(record.args[update[1]]);
+        replaced.push({ source: update[0], address: record.args[update[1]], fromBlock: record.blockNumber });
+      }
+    });
+    for (const { source, address, fromBlock: setIn } of replaced) {
+      chunk.push(...await collect([{ source, address }], setIn, end));
+    }
+    chunk.sort((x, y) => x.blockNumber - y.blockNumber || x.logIndex - y.logIndex);
+    chunk.forEach(({ blockNumber, blockHash }) => checkpoint.recentBlocks.push({ number: blockNumber, hash: blockHash }));
+
+    const endBlock = await provider.getBlock(end);
+    checkpoint.lastBlock = end;
+    checkpoint.recentBlocks.push({ number: end, hash: endBlock.hash });
+    checkpoint.recentBlocks = checkpoint.recentBlocks
+      .filter((entry, i, all) => all.findIndex(({ number }) => number === entry.number) === i)
+      .slice(-RECENT_BLOCKS_KEPT);
+
+    // Checkpoint after every chunk so an interrupted run resumes where it stopped
+    fs.appendFileSync(paths.events, chunk.map((record) => `${JSON.stringify(record)}\n`).join(""));
+    writeAtomically(paths.checkpoint, JSON.stringify(checkpoint, null, 2));
+    added += chunk.length;
+  }
+
+  return { fromBlock, toBlock, head, added, reorg, checkpoint };
+}
+
+module.exports = {
+  INDEXER_VERSION,
+  DEFAULT_INDEX_DIR,
+  DEFAULT_CONFIRMATIONS,
+  INDEXED_EVENTS,
+  readIndexedEvents,
+  readCheckpoint,
+  indexExchangeEvents
+};
@@ -0,0 +1,131 @@
+// Fee quotes from the exchange's fees contract
+// Exchange._executeSwap() deducts each fee from the amount sent, so a party needs the gross
+// order amount and the counterparty receives gross - fee (the net amount)
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, FEES_ABI, ERC20_ABI } = require('./abis');
+
+const PARTIES = ["maker", "taker"];
+
+// Large enough that calculateOrderFees() returns the configured rate without rounding for any feeBase
+// below 40, small enough that amount * fee cannot overflow
+const FEE_PROBE_AMOUNT = ethers.BigNumber.from(10).pow(40);
+
+async function getFeesContract(exchangeAddress, provider) {
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  return new ethers.Contract(await exchange.getFeesContract(), FEES_ABI, provider);
+}
+
+// A fee only applies when a fee wallet is set; returns amounts as decimal strings
+function feeBreakdown(amount, fee, feeWallet) {
+  const gross = ethers.BigNumber.from(amount);
+  const charged = feeWallet && feeWallet !== ethers.constants.AddressZero ? ethers.BigNumber.from(fee) : ethers.constants.Zero;
+  return {
+    gross: gross.toString(),
+    fee: charged.toString(),
+    net: charged.gt(gross) ? "0" : gross.sub(charged).toString()
+  };
+}
+
+// Quote the fees for an order
+// Options: balances (default true) also reads each party's balance of the token it sends and sets
+// balance and covered (balance >= gross) on its side of the quote
+// Returns { feesContract, feeWallet, charged, maker: { gross, fee, net }, taker: { gross, fee, net } }
+async function quoteOrderFees(order, exchangeAddress, provider, options = {}) {
+  const feesContract = await getFeesContract(exchangeAddress, provider);
+  const { makerFee, takerFee, feeWallet } = await feesContract.calculateOrderFees(
+    order.makerToken,
+    order.takerToken,
+    order.makerAmount,
+    order.takerAmount
+  );
+
+  const quote = {
+    feesContract: feesContract.address,
+    feeWallet,
+    charged: feeWallet !== ethers.constants.AddressZero && (!makerFee.isZero() || !takerFee.isZero()),
+    maker: feeBreakdown(order.makerAmount, makerFee, feeWallet),
+    taker: feeBreakdown(order.takerAmount, takerFee, feeWallet)
+  };
+
+  if (options.balances !== false) {
+    for (const party of PARTIES) {
+      const token = new ethers.Contract(order[`${party}Token`], ERC20_ABI, provider);
+      const balance = await token.balanceOf(order[party]);
+      quote[party].balance = balance.toString();
+      quote[party].covered = balance.gte(quote[party].gross);
+    }
+  }
+
+  return quote;
+}
+
+// Smallest gross amount whose net (gross - floor(gross * rate)) reaches the target, where the fee
+// rate is feeAtProbe / FEE_PROBE_AMOUNT
+function grossForNet(net, feeAtProbe) {
+  const target = ethers.BigNumber.from(net);
+  const fee = ethers.BigNumber.from(feeAtProbe);
+  if (fee.isZero() || target.isZero()) {
+    return target;
+  }
+
+  const netOf = (gross) => gross.sub(gross.mul(fee).div(FEE_PROBE_AMOUNT));
+  const denominator = FEE_PROBE_AMOUNT.sub(fee);
+  let gross = target.mul(FEE_PROBE_AMOUNT).add(denominator).sub(1).div(denominator);
+
+  // The ceiling estimate can be off by one either way once the fee is floored
+  while (netOf(gross).lt(target)) {
+    gross = gross.add(1);
+  }
+  while (gross.gt(target) && netOf(gross.sub(1)).gte(target)) {
+    gross = gross.sub(1);
+  }
+  return gross;
+}
+
+// Solve for the gross order amounts that deliver the given net amounts to each counterparty
+// (makerNet is what the taker should receive, takerNet what the maker should receive)
+// Returns { makerAmount, takerAmount, quote } with the amounts as BigNumbers and the quote for them
+async function solveGrossAmounts({ makerToken, takerToken, makerNet, takerNet }, exchangeAddress, provider) {
+  const feesContract = await getFeesContract(exchangeAddress, provider);
+  const probe = await feesContract.calculateOrderFees(makerToken, takerToken, FEE_PROBE_AMOUNT, FEE_PROBE_AMOUNT);
+  const noWallet = probe.feeWallet === ethers.constants.AddressZero;
+
+  const makerAmount = noWallet ? ethers.BigNumber.from(makerNet) : grossForNet(makerNet, probe.makerFee);
+  const takerAmount = noWallet ? ethers.BigNumber.from(takerNet) : grossForNet(takerNet, probe.takerFee);
+
+  // Confirm against the contract, which is what the exchange will actually charge
+  const quote = await quoteOrderFees({ makerToken, takerToken, makerAmount, takerAmount }, exchangeAddress, provider, { balances: false });
+  if (ethers.BigNumber.from(quote.maker.net).lt(makerNet) || ethers.BigNumber.from(quote.taker.net).lt(takerNet)) {
+    throw new Error(`Could not solve gross amounts: ${makerAmount} / ${takerAmount} net ${quote.maker.net} / ${quote.taker.net}`);
+  }
+
+  return { makerAmount, takerAmount, quote };
+}
+
+// Human-readable lines describing a quote; tokens is { maker, taker } with symbol and decimals
+function describeFeeQuote(quote, tokens) {
+  const format = (party, value) => `${ethers.utils.formatUnits(value, tokens[party].decimals)} ${tokens[party].symbol || ""}`.trim();
+  const lines = [`Fee wallet: ${quote.feeWallet}${quote.feeWallet === ethers.constants.AddressZero ? " (no fees are charged)" : ""}`];
+
+  PARTIES.forEach((party) => {
+    const side = quote[party];
+    const receiver = party === "maker" ? "taker" : "maker";
+    lines.push(`${party === "maker" ? "Maker" : "Taker"} sends ${format(party, side.gross)}, fee ${format(party, side.fee)}, ${receiver} receives ${format(party, side.net)}`);
+    if (side.covered !== undefined) {
+      lines.push(`  balance ${format(party, side.balance)} ${side.covered ? "✅ covers the amount including fee" : "❌ does not cover the amount including fee"}`);
+    }
+  });
+
+  return lines;
+}
+
+module.exports = {
+  FEE_PROBE_AMOUNT,
+  getFeesContract,
+  feeBreakdown,
+  quoteOrderFees,
+  grossForNet,
+  solveGrossAmounts,
+  describeFeeQuote
+};
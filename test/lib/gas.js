@@ -0,0 +1,189 @@
+// Gas limits and fees for the transactions the scripts send
+// The limit is estimateGas() plus a buffer. On EIP-1559 chains the priority fee is a percentile of
+// recent priority fees from eth_feeHistory and the max fee allows the base fee to double; chains
+// without a base fee get a legacy gas price. Either is capped at a configurable max fee.
+const ethers = require('ethers');
+
+const { nativeSymbol } = require('./networks');
+
+const GAS_DEFAULTS = {
+  bufferPercent: 20,
+  priorityPercentile: 50,
+  feeHistoryBlocks: 10,
+  // Used when estimateGas() fails, e.g. when forcing a transaction that does not simulate
+  fallbackGasLimit: 2000000
+};
+
+const gwei = (value) => ethers.utils.parseUnits(String(value), "gwei");
+const formatGwei = (value) => ethers.utils.formatUnits(value, "gwei");
+
+// Options override the corresponding environment variables:
+// bufferPercent (GAS_BUFFER_PERCENT, default 20), priorityPercentile (GAS_PRIORITY_PERCENTILE, default 50),
+// maxFeeGwei (GAS_MAX_FEE_GWEI, no cap by default), gasLimit (GAS_LIMIT, skips estimation),
+// legacy (GAS_LEGACY=true, use gasPrice even on EIP-1559 chains)
+function resolveGasSettings(options = {}) {
+  const pick = (option, env) => (options[option] !== undefined && options[option] !== null ? options[option] : process.env[env]);
+  const bufferPercent = Number(pick("bufferPercent", "GAS_BUFFER_PERCENT") || GAS_DEFAULTS.bufferPercent);
+  const priorityPercentile = Number(pick("priorityPercentile", "GAS_PRIORITY_PERCENTILE") || GAS_DEFAULTS.priorityPercentile);
+  const maxFeeGwei = pick("maxFeeGwei", "GAS_MAX_FEE_GWEI");
+  const gasLimit = pick("gasLimit", "GAS_LIMIT");
+  const legacy = pick("legacy", "GAS_LEGACY");
+
+  if (!Number.isFinite(bufferPercent) || bufferPercent < 0) {
+    throw new Error(`Invalid gas buffer ${bufferPercent}: expected a percentage of at least 0`);
+  }
+  if (!Number.isFinite(priorityPercentile) || priorityPercentile < 0 || priorityPercentile > 100) {
+    throw new Error(`Invalid priority fee percentile ${priorityPercentile}: expected 0 to 100`);
+  }
+  return {
+    bufferPercent,
+    priorityPercentile,
+    maxFee: maxFeeGwei ? gwei(maxFeeGwei) : null,
+    gasLimit: gasLimit ? ethers.BigNumber.from(gasLimit) : null,
+    legacy: legacy === true || legacy === "true"
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+const min = (a, b) => (a.lt(b) ? a : b);
+const gasWarning = (code, message) => ({ code, message });
+
+// Suggest fees for the next block
+// Returns { type: 2, baseFee, maxFeePerGas, maxPriorityFeePerGas, source } or
+// { type: 0, gasPrice, source }, plus capped (the max fee cap lowered the fee) and warnings ([{ code, message }])
+async function suggestFees(provider, settings) {
+  const warnings = [];
+  const latest = await provider.getBlock("latest");
+
+  if (!latest.baseFeePerGas || settings.legacy) {
+    let gasPrice = await provider.getGasPrice();
+    const capped = Boolean(settings.maxFee && gasPrice.gt(settings.maxFee));
+    if (capped) {
+      warnings.push(gasWarning("GAS_PRICE_CAPPED", `Gas price ${formatGwei(gasPrice)} gwei is above the ${formatGwei(settings.maxFee)} gwei cap; the transaction may be slow to confirm`));
+      gasPrice = settings.maxFee;
+    }
+    return { type: 0, gasPrice, source: "eth_gasPrice", capped, warnings };
+  }
+
+  // Priority fees paid in recent blocks, and the base fee of the next block
+  let baseFee = latest.baseFeePerGas;
+  let priorityFee;
+  let source = "eth_feeHistory";
+  try {
+    const history = await provider.send("eth_feeHistory", [
+      ethers.utils.hexValue(GAS_DEFAULTS.feeHistoryBlocks),
+      "latest",
+      [settings.priorityPercentile]
+    ]);
+    const rewards = (history.reward || []).map(([reward]) => ethers.BigNumber.from(reward));
+    priorityFee = rewards.length > 0 ? median(rewards) : null;
+    baseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+  } catch (error) {
+    priorityFee = null;
+  }
+  // Providers without eth_feeHistory, or blocks without transactions to sample
+  if (!priorityFee || priorityFee.isZero()) {
+    const feeData = await provider.getFeeData();
+    priorityFee = feeData.maxPriorityFeePerGas || ethers.constants.Zero;
+    source = "eth_maxPriorityFeePerGas";
+  }
+
+  // Room for the base fee to double before the transaction stops being includable
+  let maxFeePerGas = baseFee.mul(2).add(priorityFee);
+  let maxPriorityFeePerGas = priorityFee;
+  let capped = false;
+  if (settings.maxFee && maxFeePerGas.gt(settings.maxFee)) {
+    capped = true;
+    maxFeePerGas = settings.maxFee;
+    maxPriorityFeePerGas = min(priorityFee, settings.maxFee);
+    if (settings.maxFee.lt(baseFee)) {
+      warnings.push(gasWarning("MAX_FEE_BELOW_BASE_FEE", `The ${formatGwei(settings.maxFee)} gwei cap is below the current base fee of ${formatGwei(baseFee)} gwei; the transaction will wait until the base fee drops`));
+    } else {
+      warnings.push(gasWarning("MAX_FEE_CAPPED", `Max fee capped at ${formatGwei(settings.maxFee)} gwei (suggested ${formatGwei(baseFee.mul(2).add(priorityFee))} gwei)`));
+    }
+  }
+
+  return { type: 2, baseFee, maxFeePerGas, maxPriorityFeePerGas, source, capped, warnings };
+}
+
+// Gas limit and fees for contract[method](...args), sent from the contract's signer
+// Returns { overrides, gasEstimate, gasLimit, bufferPercent, fees, cost, warnings } where overrides
+// are the transaction settings and cost has the expected and maximum cost in the native token
+async function planGas(contract, method, args, options = {}) {
+  const settings = resolveGasSettings(options);
+  const provider = contract.provider || contract.signer.provider;
+  const warnings = [];
+
+  let gasEstimate = null;
+  let gasLimit = settings.gasLimit;
+  if (!gasLimit) {
+    try {
+      gasEstimate = await contract.estimateGas[method](...args);
+      gasLimit = gasEstimate.mul(100 + Math.round(settings.bufferPercent)).div(100);
+    } catch (error) {
+      gasLimit = ethers.BigNumber.from(GAS_DEFAULTS.fallbackGasLimit);
+      warnings.push(gasWarning("GAS_ESTIMATE_FAILED", `Gas estimation failed (${error.reason || error.message}); using a gas limit of ${gasLimit.toString()}`));
+    }
+  }
+
+  const fees = await suggestFees(provider, settings);
+  warnings.push(...fees.warnings);
+  const { chainId } = await provider.getNetwork();
+
+  // Expected: the estimate at the base fee plus tip. Maximum: the whole limit at the max fee
+  const used = gasEstimate || gasLimit;
+  const expectedPrice = fees.type === 2 ? min(fees.baseFee.add(fees.maxPriorityFeePerGas), fees.maxFeePerGas) : fees.gasPrice;
+  const maxPrice = fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+  const overrides = fees.type === 2
+    ? { gasLimit, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+    : { gasLimit, gasPrice: fees.gasPrice, type: 0 };
+
+  return {
+    overrides,
+    gasEstimate,
+    gasLimit,
+    bufferPercent: settings.gasLimit ? null : settings.bufferPercent,
+    fees: {
+      type: fees.type,
+      source: fees.source,
+      capped: fees.capped,
+      baseFee: fees.baseFee || null,
+      maxFeePerGas: fees.maxFeePerGas || null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas || null,
+      gasPrice: fees.gasPrice || null
+    },
+    cost: {
+      symbol: nativeSymbol(chainId),
+      expected: ethers.utils.formatEther(used.mul(expectedPrice)),
+      maximum: ethers.utils.formatEther(gasLimit.mul(maxPrice))
+    },
+    warnings
+  };
+}
+
+// Human-readable lines for a gas plan
+function describeGasPlan(plan) {
+  const lines = [];
+  lines.push(plan.gasEstimate
+    ? `Gas limit: ${plan.gasLimit.toString()} (estimate ${plan.gasEstimate.toString()} + ${plan.bufferPercent}%)`
+    : `Gas limit: ${plan.gasLimit.toString()}`);
+  if (plan.fees.type === 2) {
+    lines.push(`Max fee: ${formatGwei(plan.fees.maxFeePerGas)} gwei, priority fee: ${formatGwei(plan.fees.maxPriorityFeePerGas)} gwei (base fee ${formatGwei(plan.fees.baseFee)} gwei, from ${plan.fees.source})`);
+  } else {
+    lines.push(`Gas price: ${formatGwei(plan.fees.gasPrice)} gwei (legacy, from ${plan.fees.source})`);
+  }
+  lines.push(`Estimated cost: ${plan.cost.expected} ${plan.cost.symbol} (at most ${plan.cost.maximum} ${plan.cost.symbol})`);
+  return lines;
+}
+
+module.exports = {
+  GAS_DEFAULTS,
+  resolveGasSettings,
+  suggestFees,
+  planGas,
+  describeGasPlan
+};
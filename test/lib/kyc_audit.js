@@ -0,0 +1,368 @@
+// Batch KYC and compliance audit: which of a list of accounts can trade which tokens with whom
+// The input lists the intended trades, either one per CSV row or as accounts crossed with token
+// pairs in JSON. Every account is checked against every token (isKYCVerified and
+// isAccreditedInvestor), against each security token's identity registry (isVerified and
+// hasAttribute(KYC_VERIFIED)), and each leg of each trade through checkCompliance with its real
+// amount. The calls go out through Multicall3 in a few batches rather than one request each.
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, COMPLIANCE_ABI, SECURITY_TOKEN_ABI, IDENTITY_REGISTRY_ABI } = require('./abis');
+const { attributeId } = require('./attributes');
+const { createMulticall } = require('./multicall');
+
+const KYC_VERIFIED = attributeId("KYC_VERIFIED");
+const ACCREDITED_INVESTOR = attributeId("ACCREDITED_INVESTOR");
+const TRADE_COLUMNS = ["maker", "taker", "makerToken", "makerAmount", "takerToken", "takerAmount"];
+const VERDICTS = ["allowed", "blocked", "unknown"];
+
+// The checkCompliance() hook some compliance contracts provide
+const CHECK_COMPLIANCE_ABI = [
+  "function checkCompliance(address from, address to, address token, uint256 amount) view returns (bool)"
+];
+
+// Split CSV text into rows of fields, honouring RFC 4180 quoting
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+function checkedAddress(value, where) {
+  try {
+    return ethers.utils.getAddress(String(value).trim());
+  } catch (error) {
+    throw new Error(`${where}: ${value === undefined || value === "" ? "missing address" : `invalid address ${value}`}`);
+  }
+}
+
+function checkedAmount(value, where) {
+  const text = String(value === undefined ? "" : value).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw new Error(`${where}: amount must be a number of tokens, not "${text}"`);
+  }
+  return text;
+}
+
+function normalizeTrade(trade, where) {
+  return {
+    maker: checkedAddress(trade.maker, `${where} maker`),
+    taker: checkedAddress(trade.taker, `${where} taker`),
+    makerToken: checkedAddress(trade.makerToken, `${where} makerToken`),
+    makerAmount: checkedAmount(trade.makerAmount, `${where} makerAmount`),
+    takerToken: checkedAddress(trade.takerToken, `${where} takerToken`),
+    takerAmount: checkedAmount(trade.takerAmount, `${where} takerAmount`)
+  };
+}
+
+// Parse audit input into a list of intended trades
+// CSV: a header row with maker, taker, makerToken, makerAmount, takerToken and takerAmount, then
+// one trade per row. JSON: an array of such trades, or { accounts, pairs, trades } where every
+// ordered pair of different accounts is tried as maker and taker for each pair's tokens and
+// amounts. Amounts are in token units, e.g. "100" or "2.5".
+function parseAuditInput(text, fileName = "input") {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    const listed = Array.isArray(data) ? data : data.trades || [];
+    const trades = listed.map((trade, index) => normalizeTrade(trade, `${fileName} trade ${index + 1}`));
+
+    if (!Array.isArray(data)) {
+      const accounts = (data.accounts || []).map((account, index) => checkedAddress(account, `${fileName} account ${index + 1}`));
+      (data.pairs || []).forEach((pair, index) => {
+        accounts.forEach((maker) => accounts
+          .filter((taker) => taker !== maker)
+          .forEach((taker) => trades.push(normalizeTrade({ ...pair, maker, taker }, `${fileName} pair ${index + 1}`))));
+      });
+    }
+    if (trades.length === 0) {
+      throw new Error(`${fileName} lists no trades`);
+    }
+    return trades;
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map((name) => name.trim());
+  const missing = TRADE_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`${fileName} is missing the column${missing.length > 1 ? "s" : ""} ${missing.join(", ")}`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`${fileName} lists no trades`);
+  }
+  return rows.map((fields, index) => {
+    const trade = {};
+    columns.forEach((column, position) => { trade[column] = fields[position]; });
+    return normalizeTrade(trade, `${fileName} row ${index + 2}`);
+  });
+}
+
+function readAuditInput(filePath) {
+  return parseAuditInput(fs.readFileSync(filePath, 'utf8'), path.basename(filePath));
+}
+
+const unique = (values) => [...new Set(values)];
+const valueOr = (result, fallback = null) => (result.ok ? result.value : fallback);
+
+// Run the audit for a list of trades from parseAuditInput()
+// Options:
+//   exchangeAddress    used for isKYCVerified/isAccreditedInvestor; without it the compliance
+//                      contract's hasAttribute() is asked for the same attributes
+//   complianceAddress  compliance contract (default: the exchange's getComplianceContract())
+//   identityRegistry   registry to use for every token instead of each token's attributeRegistry()
+//   requireAccredited  block trades whose security token goes to an account that is not accredited
+//   multicall          options for createMulticall()
+// Returns { contracts, tokens, accounts, trades, matrix, summary, multicall }
+async function runKycAudit(provider, trades, options = {}) {
+  const { call, stats } = createMulticall(provider, options.multicall);
+  const exchange = options.exchangeAddress ? new ethers.Contract(options.exchangeAddress, EXCHANGE_ABI, provider) : null;
+
+  let complianceAddress = options.complianceAddress || null;
+  if (!complianceAddress && exchange) {
+    [complianceAddress] = (await call([{ contract: exchange, method: "getComplianceContract" }])).map((result) => valueOr(result));
+  }
+  if (!complianceAddress) {
+    throw new Error("The audit needs a compliance contract or an exchange to find it from");
+  }
+  const compliance = new ethers.Contract(complianceAddress, [...COMPLIANCE_ABI, ...CHECK_COMPLIANCE_ABI], provider);
+
+  const accounts = unique(trades.flatMap(({ maker, taker }) => [maker, taker]));
+  const tokenAddresses = unique(trades.flatMap(({ makerToken, takerToken }) => [makerToken, takerToken]));
+
+  // First batch: token details and every account's attributes for every token
+  const attribute = (token, account, name) => (exchange
+    ? { contract: exchange, method: name === "kyc" ? "isKYCVerified" : "isAccreditedInvestor", args: [token, account] }
+    : { contract: compliance, method: "hasAttribute", args: [token, account, name === "kyc" ? KYC_VERIFIED : ACCREDITED_INVESTOR] });
+  const tokenCalls = tokenAddresses.flatMap((address) => {
+    const token = new ethers.Contract(address, SECURITY_TOKEN_ABI, provider);
+    return [
+      { contract: token, method: "symbol" },
+      { contract: token, method: "decimals" },
+      { contract: token, method: "attributeRegistry" },
+      { contract: compliance, method: "isSecurityToken", args: [address] }
+    ];
+  });
+  const attributeCalls = accounts.flatMap((account) => tokenAddresses.flatMap((token) => [
+    attribute(token, account, "kyc"),
+    attribute(token, account, "accredited")
+  ]));
+  const first = await call([...tokenCalls, ...attributeCalls]);
+
+  const tokens = {};
+  tokenAddresses.forEach((address, index) => {
+    const [symbol, decimals, registry, security] = first.slice(index * 4, index * 4 + 4);
+    const identityRegistry = options.identityRegistry || valueOr(registry);
+    tokens[address] = {
+      address,
+      symbol: valueOr(symbol, address.slice(0, 10)),
+      decimals: decimals.ok ? Number(decimals.value) : null,
+      isSecurityToken: valueOr(security),
+      identityRegistry: identityRegistry && identityRegistry !== ethers.constants.AddressZero ? ethers.utils.getAddress(identityRegistry) : null,
+      error: decimals.ok ? null : `Could not read decimals: ${decimals.error}`
+    };
+  });
+
+  const accountStatus = {};
+  accounts.forEach((account, accountIndex) => {
+    accountStatus[account] = { address: account, tokens: {} };
+    tokenAddresses.forEach((token, tokenIndex) => {
+      const offset = tokenCalls.length + (accountIndex * tokenAddresses.length + tokenIndex) * 2;
+      const [kyc, accredited] = first.slice(offset, offset + 2);
+      accountStatus[account].tokens[token] = {
+        symbol: tokens[token].symbol,
+        kycVerified: valueOr(kyc),
+        accredited: valueOr(accredited),
+        identityVerified: null,
+        identityKyc: null,
+        errors: [kyc, accredited].filter((result) => !result.ok).map((result) => result.error)
+      };
+    });
+  });
+
+  // Second batch: identity registries, and checkCompliance() for each leg with its real amount
+  const registries = unique(Object.values(tokens).map(({ identityRegistry }) => identityRegistry).filter(Boolean));
+  const registryCalls = registries.flatMap((address) => {
+    const registry = new ethers.Contract(address, IDENTITY_REGISTRY_ABI, provider);
+    return accounts.flatMap((account) => [
+      { contract: registry, method: "isVerified", args: [account] },
+      { contract: registry, method: "hasAttribute", args: [account, KYC_VERIFIED] }
+    ]);
+  });
+  const legs = trades.flatMap((trade) => [
+    { from: trade.maker, to: trade.taker, token: trade.makerToken, amount: trade.makerAmount },
+    { from: trade.taker, to: trade.maker, token: trade.takerToken, amount: trade.takerAmount }
+  ].map((leg) => {
+    const { decimals, symbol } = tokens[leg.token];
+    if (decimals === null) {
+      return { ...leg, raw: null, amountError: null };
+    }
+    try {
+      return { ...leg, raw: ethers.utils.parseUnits(leg.amount, decimals), amountError: null };
+    } catch (error) {
+      return { ...leg, raw: null, amountError: `${leg.amount} ${symbol} has more than ${decimals} decimals` };
+    }
+  }));
+  const legCalls = legs
+    .filter(({ raw }) => raw !== null)
+    .map(({ from, to, token, raw }) => ({ contract: compliance, method: "checkCompliance", args: [from, to, token, raw] }));
+  const second = await call([...registryCalls, ...legCalls]);
+
+  const identity = {};
+  registries.forEach((registry, registryIndex) => {
+    accounts.forEach((account, accountIndex) => {
+      const offset = (registryIndex * accounts.length + accountIndex) * 2;
+      identity[`${registry}:${account}`] = { verified: valueOr(second[offset]), kyc: valueOr(second[offset + 1]) };
+    });
+  });
+  accounts.forEach((account) => {
+    Object.entries(accountStatus[account].tokens).forEach(([token, status]) => {
+      const found = tokens[token].identityRegistry && identity[`${tokens[token].identityRegistry}:${account}`];
+      if (found) {
+        status.identityVerified = found.verified;
+        status.identityKyc = found.kyc;
+      }
+    });
+  });
+
+  let legResult = registryCalls.length;
+  legs.forEach((leg) => {
+    leg.compliance = leg.raw === null ? null : valueOr(second[legResult++]);
+  });
+  const checkComplianceSupported = legs.some(({ compliance: result }) => result !== null);
+
+  // A leg is blocked when a security token moves between accounts without KYC, when
+  // checkCompliance() rejects it, or (if required) when the receiver is not accredited
+  const judgeLeg = (leg) => {
+    const token = tokens[leg.token];
+    const reasons = [];
+    const unknown = [];
+    if (token.decimals === null) {
+      unknown.push(`${token.symbol}: ${token.error}`);
+    } else if (leg.amountError) {
+      unknown.push(leg.amountError);
+    }
+    if (token.isSecurityToken === null) {
+      unknown.push(`could not tell whether ${token.symbol} is a security token`);
+    } else if (token.isSecurityToken) {
+      [["sender", leg.from], ["receiver", leg.to]].forEach(([role, account]) => {
+        const status = accountStatus[account].tokens[leg.token];
+        if (status.kycVerified === null) {
+          unknown.push(`could not read ${role} ${account} KYC for ${token.symbol}`);
+        } else if (!status.kycVerified) {
+          reasons.push(`${role} ${account} is not KYC verified for ${token.symbol}`);
+        }
+      });
+      if (options.requireAccredited && accountStatus[leg.to].tokens[leg.token].accredited === false) {
+        reasons.push(`receiver ${leg.to} is not an accredited investor for ${token.symbol}`);
+      }
+    }
+    if (leg.compliance === false) {
+      reasons.push(`checkCompliance rejects ${leg.amount} ${token.symbol} from ${leg.from} to ${leg.to}`);
+    }
+    return { reasons, unknown };
+  };
+
+  const results = trades.map((trade, index) => {
+    const [makerLeg, takerLeg] = [legs[index * 2], legs[index * 2 + 1]].map((leg) => ({ ...leg, ...judgeLeg(leg) }));
+    const reasons = [...makerLeg.reasons, ...takerLeg.reasons];
+    const unknown = [...makerLeg.unknown, ...takerLeg.unknown];
+    return {
+      ...trade,
+      makerSymbol: tokens[trade.makerToken].symbol,
+      takerSymbol: tokens[trade.takerToken].symbol,
+      verdict: reasons.length > 0 ? "blocked" : unknown.length > 0 ? "unknown" : "allowed",
+      reasons,
+      unknown,
+      compliance: { makerToTaker: makerLeg.compliance, takerToMaker: takerLeg.compliance }
+    };
+  });
+
+  // Who can trade with whom: one grid per token pair and amounts, makers down and takers across
+  const matrix = [];
+  results.forEach((trade) => {
+    const key = [trade.makerToken, trade.makerAmount, trade.takerToken, trade.takerAmount].join(":");
+    let grid = matrix.find((entry) => entry.key === key);
+    if (!grid) {
+      grid = {
+        key,
+        makerToken: trade.makerToken,
+        makerSymbol: trade.makerSymbol,
+        makerAmount: trade.makerAmount,
+        takerToken: trade.takerToken,
+        takerSymbol: trade.takerSymbol,
+        takerAmount: trade.takerAmount,
+        makers: [],
+        takers: [],
+        cells: {}
+      };
+      matrix.push(grid);
+    }
+    if (!grid.makers.includes(trade.maker)) grid.makers.push(trade.maker);
+    if (!grid.takers.includes(trade.taker)) grid.takers.push(trade.taker);
+    grid.cells[`${trade.maker}:${trade.taker}`] = trade.verdict;
+  });
+
+  const byAccount = (a, b) => accounts.indexOf(a) - accounts.indexOf(b);
+  matrix.forEach((grid) => {
+    grid.makers.sort(byAccount);
+    grid.takers.sort(byAccount);
+  });
+
+  const summary = { trades: results.length, allowed: 0, blocked: 0, unknown: 0 };
+  results.forEach(({ verdict }) => { summary[verdict] += 1; });
+
+  return {
+    contracts: { exchange: options.exchangeAddress || null, compliance: complianceAddress, checkComplianceSupported },
+    tokens: Object.values(tokens),
+    accounts: Object.values(accountStatus),
+    trades: results,
+    matrix,
+    summary,
+    multicall: stats
+  };
+}
+
+module.exports = {
+  KYC_VERIFIED,
+  ACCREDITED_INVESTOR,
+  TRADE_COLUMNS,
+  VERDICTS,
+  parseAuditInput,
+  readAuditInput,
+  runKycAudit
+};
@@ -0,0 +1,85 @@
+// Batched read-only calls through Multicall3
+// Multicall3 sits at the same address on most chains (Polygon, Amoy, Ethereum, ...). On a chain
+// without it, such as a fresh anvil node, each call is sent on its own instead.
+const ethers = require('ethers');
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)"
+];
+const DEFAULT_BATCH_SIZE = 200;
+
+// Decode one call's return data; single return values are unwrapped
+function decodeResult(call, returnData) {
+  const decoded = call.contract.interface.decodeFunctionResult(call.method, returnData);
+  return decoded.length === 1 ? decoded[0] : decoded;
+}
+
+// Create a caller that batches through Multicall3 when the chain has it
+// Options: address (default: MULTICALL_ADDRESS or the canonical Multicall3 address),
+// batchSize calls per eth_call (default 200), disabled to always call one by one
+// The returned object's stats count the eth_calls made and the calls they carried
+function createMulticall(provider, options = {}) {
+  const address = options.address || process.env.MULTICALL_ADDRESS || MULTICALL3_ADDRESS;
+  const batchSize = Number(options.batchSize || DEFAULT_BATCH_SIZE);
+  const multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+  const stats = { address, available: null, requests: 0, calls: 0 };
+
+  const isAvailable = async () => {
+    if (stats.available === null) {
+      stats.available = !options.disabled && (await provider.getCode(address)) !== "0x";
+      stats.requests += 1;
+    }
+    return stats.available;
+  };
+
+  // Each call is { contract, method, args }; returns [{ ok, value, error }] in the same order.
+  // A call that reverts gives ok false rather than failing the whole batch.
+  async function call(calls) {
+    stats.calls += calls.length;
+    if (!(await isAvailable())) {
+      const results = [];
+      for (const item of calls) {
+        stats.requests += 1;
+        try {
+          results.push({ ok: true, value: await item.contract[item.method](...(item.args || [])), error: null });
+        } catch (error) {
+          results.push({ ok: false, value: null, error: error.reason || error.message });
+        }
+      }
+      return results;
+    }
+
+    const results = [];
+    for (let start = 0; start < calls.length; start += batchSize) {
+      const batch = calls.slice(start, start + batchSize);
+      stats.requests += 1;
+      const returned = await multicall.callStatic.aggregate3(batch.map((item) => ({
+        target: item.contract.address,
+        allowFailure: true,
+        callData: item.contract.interface.encodeFunctionData(item.method, item.args || [])
+      })));
+      returned.forEach(({ success, returnData }, index) => {
+        if (!success) {
+          results.push({ ok: false, value: null, error: returnData === "0x" ? "call reverted" : `call reverted with ${returnData}` });
+          return;
+        }
+        try {
+          results.push({ ok: true, value: decodeResult(batch[index], returnData), error: null });
+        } catch (error) {
+          // No code at the target, or a function it does not have
+          results.push({ ok: false, value: null, error: `unexpected return data: ${error.reason || error.message}` });
+        }
+      });
+    }
+    return results;
+  }
+
+  return { call, stats };
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  createMulticall
+};
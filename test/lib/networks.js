@@ -0,0 +1,187 @@
+// Named network profiles: RPC URL, chain ID, explorer and known deployments
+// Select one with NETWORK (or --network in the CLI). applyNetworkProfile() fills in the usual
+// environment variables from it, so every script picks the profile up while anything set in
+// .env or the environment still wins. A profile's deployment names the Foundry script whose
+// broadcast record holds its addresses; the addresses below are used when that record is missing.
+const { loadDeployment } = require('./deployments');
+
+const NETWORK_PROFILES = {
+  local: {
+    description: "Local anvil node",
+    chainId: 31337,
+    rpcUrl: "http://127.0.0.1:8545",
+    nativeSymbol: "ETH",
+    explorer: null,
+    contracts: {},
+    tokens: {}
+  },
+  amoy: {
+    description: "Polygon Amoy testnet",
+    chainId: 80002,
+    rpcUrl: "https://rpc-amoy.polygon.technology",
+    nativeSymbol: "POL",
+    explorer: "https://amoy.polygonscan.com",
+    contracts: {},
+    tokens: {}
+  },
+  polygon: {
+    description: "Polygon mainnet",
+    chainId: 137,
+    rpcUrl: "https://polygon-rpc.com",
+    nativeSymbol: "POL",
+    explorer: "https://polygonscan.com",
+    deployment: "ProxyDeploy.s.sol",
+    contracts: {
+      exchange: "0x4C05d6D5b72ec37BEA51b47a8b8c79a5499F5023",
+      exchangeImplementation: "0xDA4E08863CaF196Ed73aFfc09428d572eE99A43d",
+      proxyAdmin: "0x956f715e96D81f21aC5618BD65B671b9110425Aa",
+      proxyAdminOwner: "0x0AF1c555934c69E91a01d863c9D71b8a568aF259",
+      signatures: "0xC4C3C2EEe3e07070d3aA80f1B34DB87fB03CBE95",
+      fees: "0xcded00e03B3249bc27cc15b2492c3Abf9a04F2dc",
+      cancellation: "0x641351603fdAA88B004c78B96220DFd8dEBb0a09",
+      registry: "0x5775374DB458213Cd239EFBBa1a95d119691C397",
+      compliance: "0x85F3066a98C0F084481c7dEd0293D052db4FB814"
+    },
+    tokens: {
+      security: "0x6f0b2dc87027407F17057602E4819274D8c20325",
+      cash: "0xb633A20A12cc65ECafB048F5a36573Cc27c77353"
+    }
+  },
+  // The meta-transaction deployment, with the permit tokens registered by script/RegisterTokens.s.sol
+  "polygon-mt": {
+    description: "Polygon mainnet, meta-transaction deployment",
+    chainId: 137,
+    rpcUrl: "https://polygon-rpc.com",
+    nativeSymbol: "POL",
+    explorer: "https://polygonscan.com",
+    deployment: "ProxyDeployMT.s.sol",
+    contracts: {
+      exchange: "0x79981C691528C50D01D383AdB497D6A0D91f3053",
+      exchangeImplementation: "0xe8fAD8569774A97A323095b7843C12a2A468D635",
+      proxyAdmin: "0x8B3ba85F63C3D41629A0aACC6fc1053F2c5E933D",
+      proxyAdminOwner: "0xCb4B44F2822a6b6b5D9636523B4c53807a700dC9",
+      signatures: "0x6A40e5B97E6a17bAF93EF22B551f6c5F4832A71E",
+      fees: "0x90564FfdE3Dd05Ecb258B3A9cD19cC1f724BF379",
+      cancellation: "0x17773e6e465b007DD78b12eD29C2c7643d8Ee544",
+      registry: "0x16581812635F2FefaEFb63689c7221f1f906e8AA",
+      compliance: "0xbe06C75F437f5016191ce62a47ea73Dac3e4aC37"
+    },
+    tokens: {
+      security: "0x9bf9d768D081EAC416d46175C50f11234f04a014",
+      cash: "0x7F25B6565753579D0F49Eaf156170fa545C40557"
+    }
+  }
+};
+
+// Environment variables filled in from a profile, and where each value comes from
+const PROFILE_ENV = {
+  RPC_URL: (profile) => profile.rpcUrl,
+  CHAIN_ID: (profile) => profile.chainId,
+  EXCHANGE_ADDRESS: (profile) => profile.contracts.exchange,
+  SIGNATURES_ADDRESS: (profile) => profile.contracts.signatures,
+  REGISTRY_ADDRESS: (profile) => profile.contracts.registry,
+  COMPLIANCE_ADDRESS: (profile) => profile.contracts.compliance,
+  SECURITY_TOKEN_ADDRESS: (profile) => profile.tokens.security,
+  CASH_TOKEN_ADDRESS: (profile) => profile.tokens.cash,
+  MAKER_TOKEN_ADDRESS: (profile) => profile.tokens.security,
+  TAKER_TOKEN_ADDRESS: (profile) => profile.tokens.cash
+};
+// Filled in from a broadcast deployment, which knows the contracts but not which token is which
+const DEPLOYMENT_ENV = ["EXCHANGE_ADDRESS", "SIGNATURES_ADDRESS", "REGISTRY_ADDRESS", "COMPLIANCE_ADDRESS"];
+const TOKEN_ENV = ["SECURITY_TOKEN_ADDRESS", "CASH_TOKEN_ADDRESS", "MAKER_TOKEN_ADDRESS", "TAKER_TOKEN_ADDRESS"];
+
+function getNetworkProfile(name) {
+  const profile = NETWORK_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown network ${name}: expected ${Object.keys(NETWORK_PROFILES).join(", ")}`);
+  }
+  return { name, ...profile };
+}
+
+// The first profile for a chain ID, or null for chains without one
+function profileForChain(chainId) {
+  const name = Object.keys(NETWORK_PROFILES).find((key) => NETWORK_PROFILES[key].chainId === Number(chainId));
+  return name ? getNetworkProfile(name) : null;
+}
+
+// Fill unset environment variables from a profile and a broadcast deployment
+// Options: network (default: NETWORK), deployment (default: DEPLOYMENT, then the profile's; a
+// script name such as ProxyDeployMT or "latest" for the newest deployment on the chain), env
+// A deployment that was asked for must exist; a profile's own deployment is used if it does
+// Returns { profile, deployment }, each null when not used
+function applyNetworkProfile(options = {}) {
+  const env = options.env || process.env;
+  const name = options.network || env.NETWORK;
+  const profile = name ? getNetworkProfile(name) : null;
+  const requested = options.deployment || env.DEPLOYMENT;
+
+  const values = {};
+  if (profile) {
+    Object.entries(PROFILE_ENV).forEach(([variable, valueOf]) => {
+      values[variable] = valueOf(profile);
+    });
+  }
+
+  let deployment = null;
+  const script = requested || (profile && profile.deployment);
+  if (script) {
+    const chainId = env.CHAIN_ID || values.CHAIN_ID;
+    if (!chainId) {
+      throw new Error(`DEPLOYMENT=${script} needs the chain: set CHAIN_ID or NETWORK`);
+    }
+    try {
+      deployment = loadDeployment(chainId, { script });
+    } catch (error) {
+      if (requested) {
+        throw error;
+      }
+    }
+  }
+  if (deployment) {
+    const fromDeployment = {
+      EXCHANGE_ADDRESS: deployment.contracts.exchange,
+      SIGNATURES_ADDRESS: deployment.contracts.signatures,
+      REGISTRY_ADDRESS: deployment.contracts.registry,
+      COMPLIANCE_ADDRESS: deployment.contracts.compliance
+    };
+    DEPLOYMENT_ENV.forEach((variable) => {
+      values[variable] = fromDeployment[variable] || values[variable];
+    });
+    // The profile's tokens belong to its own deployment, not to one picked over it
+    if (profile && deployment.script !== profile.deployment) {
+      TOKEN_ENV.forEach((variable) => delete values[variable]);
+    }
+  }
+
+  Object.entries(values).forEach(([variable, value]) => {
+    if ((env[variable] === undefined || env[variable] === "") && value !== undefined && value !== null) {
+      env[variable] = String(value);
+    }
+  });
+  if (name) {
+    env.NETWORK = name;
+  }
+  return { profile, deployment };
+}
+
+// Block explorer link for a transaction or address on a chain, or null if the chain has no explorer
+function explorerUrl(chainId, kind, value) {
+  const profile = profileForChain(chainId);
+  const base = profile ? profile.explorer : Number(chainId) === 1 ? "https://etherscan.io" : null;
+  return base ? `${base}/${kind === "address" ? "address" : "tx"}/${value}` : null;
+}
+
+function nativeSymbol(chainId) {
+  const profile = profileForChain(chainId);
+  return profile ? profile.nativeSymbol : "ETH";
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  PROFILE_ENV,
+  getNetworkProfile,
+  profileForChain,
+  applyNetworkProfile,
+  explorerUrl,
+  nativeSymbol
+};
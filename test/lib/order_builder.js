@@ -0,0 +1,308 @@
+// Builds orders from human-readable parameters, reading token decimals and
+// current nonces from the chain so generated orders are immediately executable
+// Tokens can be given as addresses or as registry symbols (a pair such as ACME/USDC); either way
+// they are checked against the exchange's asset registry, whose decimals scale the amounts
+const ethers = require('ethers');
+
+const { ERC20_ABI, EXCHANGE_ABI, CANCELLATION_ABI } = require('./abis');
+const { buildDomain, createOrder, DEFAULT_EXPIRY_SECONDS } = require('./orders');
+const { quoteOrderFees, solveGrossAmounts } = require('./fees');
+const { getRegistry } = require('./token_registry');
+
+// Read the metadata needed to scale amounts for a token
+async function getTokenInfo(tokenAddress, provider) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const [decimals, symbol] = await Promise.all([
+    token.decimals(),
+    token.symbol().catch(() => "Unknown")
+  ]);
+
+  return { address: ethers.utils.getAddress(tokenAddress), symbol, decimals: Number(decimals) };
+}
+
+// Split a pair such as "ACME/USDC" into maker and taker tokens (symbols or addresses)
+function parsePair(pair) {
+  const parts = String(pair).split("/").map((part) => part.trim());
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new Error(`Invalid pair ${pair}: expected MAKER/TAKER, e.g. ACME/USDC`);
+  }
+  return { makerToken: parts[0], takerToken: parts[1] };
+}
+
+// Unix seconds from a unix timestamp or a date such as 2025-01-31, for historical symbol lookups
+function parseAsOf(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = /^\d+$/.test(String(value)) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (Number.isNaN(seconds)) {
+    throw new Error(`Invalid asOf ${value}: expected a unix timestamp or a date such as 2025-01-31`);
+  }
+  return seconds;
+}
+
+// Resolve a token (address or symbol) through the registry and refuse it unless it is a confirmed asset
+// A symbol resolves with getAssetBySymbol(), or getAssetBySymbolAtTimestamp() when asOf is given
+// Returns { address, symbol, decimals, registered, requested } with the registry's symbol and decimals
+async function resolveRegisteredToken(registry, token, side, asOf = null) {
+  const bySymbol = !ethers.utils.isAddress(token);
+  let asset;
+  try {
+    asset = !bySymbol
+      ? await registry.getAssetByAddress(token)
+      : asOf !== null
+        ? await registry.getAssetBySymbolAtTimestamp(token, asOf)
+        : await registry.getAssetBySymbol(token);
+  } catch (error) {
+    // Only a revert means the registry has no such asset; a failed RPC call says nothing about it
+    if (error.code !== "CALL_EXCEPTION") {
+      throw error;
+    }
+    const when = asOf !== null ? ` at ${new Date(asOf * 1000).toISOString()}` : "";
+    throw new Error(bySymbol
+      ? `Registry ${registry.address} has no confirmed asset with symbol ${token}${when} for the ${side} token`
+      : `The ${side} token ${token} is not a confirmed asset in registry ${registry.address}; register it first`);
+  }
+  if (asset.assetAddress === ethers.constants.AddressZero) {
+    throw new Error(`${token} is the chain's native asset, which orders cannot trade; use its wrapped token`);
+  }
+  if (!(await registry.isRegisteredAsset(asset.assetAddress))) {
+    throw new Error(`The ${side} token ${token} (${asset.assetAddress}) is not a registered asset in registry ${registry.address}`);
+  }
+  return {
+    address: ethers.utils.getAddress(asset.assetAddress),
+    symbol: asset.symbol,
+    decimals: Number(asset.decimals),
+    registered: true,
+    requested: token
+  };
+}
+
+// Read the next unused order nonces for maker and taker from the cancellation contract
+async function getOrderNonces(exchangeAddress, maker, taker, provider) {
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  const cancellation = new ethers.Contract(await exchange.getCancellationContract(), CANCELLATION_ABI, provider);
+
+  const [makerNonce, takerNonce] = await Promise.all([
+    cancellation.nonces(maker),
+    cancellation.nonces(taker)
+  ]);
+
+  return { makerNonce: makerNonce.toString(), takerNonce: takerNonce.toString() };
+}
+
+// EIP-712 domain for orders on an exchange
+// Signatures inherits OpenZeppelin's EIP712 with address(this), so the verifying contract is the
+// exchange's signatures contract, not the exchange. With a provider it is read from the exchange
+// and must match signaturesAddress if that is given; without one, signaturesAddress and chainId
+// must be given.
+async function getOrderDomain(exchangeAddress, provider, options = {}) {
+  let signaturesAddress = options.signaturesAddress;
+  if (provider && exchangeAddress) {
+    const onChain = await new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider).getSignaturesContract();
+    if (signaturesAddress && ethers.utils.getAddress(signaturesAddress) !== onChain) {
+      throw new Error(`Exchange ${exchangeAddress} uses signatures contract ${onChain}, not ${signaturesAddress}`);
+    }
+    signaturesAddress = onChain;
+  } else if (!signaturesAddress) {
+    throw new Error("Cannot locate the signatures contract: pass an RPC URL and exchange, or the signatures address (SIGNATURES_ADDRESS)");
+  }
+  const chainId = options.chainId || (await provider.getNetwork()).chainId;
+  return buildDomain(chainId, signaturesAddress);
+}
+
+// Resolve an absolute expiry from either an explicit timestamp or a lifetime in seconds
+function resolveExpiry(params, now = Math.floor(Date.now() / 1000)) {
+  if (params.expiry !== undefined && params.expiry !== null) {
+    return ethers.BigNumber.from(params.expiry).toNumber();
+  }
+
+  const expiresIn = params.expiresIn !== undefined && params.expiresIn !== null
+    ? parseInt(params.expiresIn)
+    : DEFAULT_EXPIRY_SECONDS;
+  if (isNaN(expiresIn) || expiresIn <= 0) {
+    throw new Error(`Invalid expiry lifetime: ${params.expiresIn}`);
+  }
+
+  return now + expiresIn;
+}
+
+// Scale a human-readable amount ("100", "12.5") by a token's decimals
+function parseAmount(amount, decimals, label) {
+  try {
+    return ethers.utils.parseUnits(String(amount), decimals);
+  } catch (error) {
+    throw new Error(`Invalid ${label} "${amount}" for a token with ${decimals} decimals`);
+  }
+}
+
+// Build an order from human-readable amounts
+//
+// params:
+//   maker, taker                           addresses
+//   makerToken, takerToken                 addresses or registry symbols
+//   makerAmount, takerAmount               human-readable amounts, scaled by each token's decimals
+//   makerDecimals, takerDecimals           optional, skip the on-chain decimals() lookup; must match
+//                                          the registry's when there is one
+//   registryAddress                        asset registry (default: the exchange's)
+//   asOf                                   resolve symbols as they were at this time (timestamp or date)
+//   makerNonce, takerNonce                 optional, skip the on-chain nonces() lookup
+//   expiry | expiresIn                     absolute timestamp or lifetime in seconds (default 30 days)
+//   exchangeAddress                        needed to locate the cancellation contract for nonces
+//                                          and the fees contract
+//   netAmounts                             optional, treat the amounts as what each counterparty should
+//                                          receive after fees and solve for the gross order amounts
+//
+// With a registry (a provider and an exchange or registry address), both tokens must be confirmed
+// assets and the registry's decimals are used; otherwise tokens must be addresses
+// Without a provider, decimals default to 18 and nonces to 0, and a warning is returned for each
+// With a provider and exchange address, fees is the fee quote for the order (see fees.js)
+// symbols is { maker, taker, asOf } when either token was given as a symbol, else null
+async function buildOrder(params, provider) {
+  const warnings = [];
+  const asOf = parseAsOf(params.asOf);
+  const registry = provider && (params.registryAddress || params.exchangeAddress)
+    ? await getRegistry(provider, { registryAddress: params.registryAddress, exchangeAddress: params.exchangeAddress })
+    : null;
+
+  const lookupDecimals = async (side) => {
+    const token = params[`${side}Token`];
+    const explicit = params[`${side}Decimals`];
+    if (!token) {
+      throw new Error(`No ${side} token: pass an address or a registry symbol`);
+    }
+    if (registry) {
+      const info = await resolveRegisteredToken(registry, token, side, asOf);
+      if (explicit !== undefined && explicit !== null && parseInt(explicit) !== info.decimals) {
+        throw new Error(`The ${side} decimals ${explicit} differ from the registry's ${info.decimals} for ${info.symbol}`);
+      }
+      return info;
+    }
+    if (!ethers.utils.isAddress(token)) {
+      throw new Error(`The ${side} token ${token} is a symbol; resolving it needs RPC_URL and an exchange or registry address`);
+    }
+    if (explicit !== undefined && explicit !== null) {
+      return { address: ethers.utils.getAddress(token), decimals: parseInt(explicit), symbol: undefined };
+    }
+    if (!provider) {
+      warnings.push(`No provider: assuming 18 decimals for ${side} token`);
+      return { address: ethers.utils.getAddress(token), decimals: 18, symbol: undefined };
+    }
+    warnings.push(`No exchange or registry address: ${side} token registration was not checked`);
+    return getTokenInfo(token, provider);
+  };
+
+  const [makerTokenInfo, takerTokenInfo] = await Promise.all([
+    lookupDecimals("maker"),
+    lookupDecimals("taker")
+  ]);
+
+  let makerNonce = params.makerNonce;
+  let takerNonce = params.takerNonce;
+  const missingNonce = makerNonce === undefined || makerNonce === null ||
+                       takerNonce === undefined || takerNonce === null;
+
+  if (missingNonce) {
+    if (provider && params.exchangeAddress) {
+      const current = await getOrderNonces(params.exchangeAddress, params.maker, params.taker, provider);
+      makerNonce = makerNonce !== undefined && makerNonce !== null ? makerNonce : current.makerNonce;
+      takerNonce = takerNonce !== undefined && takerNonce !== null ? takerNonce : current.takerNonce;
+    } else {
+      warnings.push("No provider or exchange address: nonces default to 0 and may already be used");
+    }
+  }
+
+  let makerAmount = parseAmount(params.makerAmount, makerTokenInfo.decimals, "maker amount");
+  let takerAmount = parseAmount(params.takerAmount, takerTokenInfo.decimals, "taker amount");
+
+  if (params.netAmounts === true || params.netAmounts === "true") {
+    if (!provider || !params.exchangeAddress) {
+      throw new Error("Solving gross amounts from net amounts needs a provider and an exchange address");
+    }
+    const solved = await solveGrossAmounts({
+      makerToken: makerTokenInfo.address,
+      takerToken: takerTokenInfo.address,
+      makerNet: makerAmount,
+      takerNet: takerAmount
+    }, params.exchangeAddress, provider);
+    makerAmount = solved.makerAmount;
+    takerAmount = solved.takerAmount;
+  }
+
+  const order = createOrder({
+    maker: params.maker,
+    makerToken: makerTokenInfo.address,
+    makerAmount: makerAmount,
+    taker: params.taker,
+    takerToken: takerTokenInfo.address,
+    takerAmount: takerAmount,
+    makerNonce: makerNonce,
+    takerNonce: takerNonce,
+    expiry: resolveExpiry(params)
+  });
+
+  let fees = null;
+  if (provider && params.exchangeAddress) {
+    try {
+      fees = await quoteOrderFees(order, params.exchangeAddress, provider);
+    } catch (error) {
+      warnings.push(`Could not quote fees: ${error.reason || error.message}`);
+    }
+  }
+
+  // The symbols as given, so a later check can tell whether they still name the same tokens
+  const symbolOf = ({ requested }) => (requested && !ethers.utils.isAddress(requested) ? requested : null);
+  return {
+    order,
+    fees,
+    makerToken: { ...makerTokenInfo, address: order.makerToken },
+    takerToken: { ...takerTokenInfo, address: order.takerToken },
+    symbols: symbolOf(makerTokenInfo) || symbolOf(takerTokenInfo) ? { maker: symbolOf(makerTokenInfo), taker: symbolOf(takerTokenInfo), asOf } : null,
+    warnings
+  };
+}
+
+// Collect buildOrder() parameters from explicit options, falling back to the
+// environment variables the generator scripts have always used
+// A pair (option or ORDER_PAIR) takes the place of SECURITY_TOKEN_ADDRESS and CASH_TOKEN_ADDRESS
+function orderParamsFromEnv(env, options = {}) {
+  const pick = (option, envName, fallback) => {
+    if (options[option] !== undefined && options[option] !== null) return options[option];
+    if (env[envName] !== undefined && env[envName] !== "") return env[envName];
+    return fallback;
+  };
+  const pair = pick("pair", "ORDER_PAIR");
+  const pairTokens = pair ? parsePair(pair) : {};
+
+  return {
+    maker: options.maker,
+    taker: options.taker,
+    makerToken: options.makerToken || pairTokens.makerToken || pick("makerToken", "SECURITY_TOKEN_ADDRESS"),
+    takerToken: options.takerToken || pairTokens.takerToken || pick("takerToken", "CASH_TOKEN_ADDRESS"),
+    makerAmount: pick("makerAmount", "MAKER_AMOUNT", "100"),
+    takerAmount: pick("takerAmount", "TAKER_AMOUNT", "1000"),
+    makerDecimals: pick("makerDecimals", "MAKER_DECIMALS"),
+    takerDecimals: pick("takerDecimals", "TAKER_DECIMALS"),
+    makerNonce: pick("makerNonce", "MAKER_NONCE"),
+    takerNonce: pick("takerNonce", "TAKER_NONCE"),
+    expiry: pick("expiry", "ORDER_EXPIRY"),
+    expiresIn: pick("expiresIn", "ORDER_EXPIRES_IN"),
+    netAmounts: pick("netAmounts", "NET_AMOUNTS", false),
+    exchangeAddress: pick("exchangeAddress", "EXCHANGE_ADDRESS"),
+    signaturesAddress: pick("signaturesAddress", "SIGNATURES_ADDRESS"),
+    registryAddress: pick("registryAddress", "REGISTRY_ADDRESS"),
+    asOf: pick("asOf", "SYMBOL_AS_OF")
+  };
+}
+
+module.exports = {
+  getTokenInfo,
+  parsePair,
+  resolveRegisteredToken,
+  getOrderNonces,
+  getOrderDomain,
+  resolveExpiry,
+  parseAmount,
+  buildOrder,
+  orderParamsFromEnv
+};
@@ -0,0 +1,301 @@
+// Persistent local store of signed orders, kept in a single JSON file
+// Orders are keyed by their EIP-712 hash (the orderHash the exchange emits) and indexed by maker,
+// taker, token pair and status. syncOrderStore() moves orders out of "open" from the exchange's
+// SignedOrderExecuted and the cancellation contract's SignedOrderCancelled events.
+const fs = require('fs');
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, CANCELLATION_ABI } = require('./abis');
+const { hashOrder } = require('./orders');
+const { parseTradeData } = require('./trade_file');
+const { deploymentBlock } = require('./deployments');
+
+const ORDER_STORE_VERSION = 1;
+const DEFAULT_STORE_PATH = './test/order_store.json';
+const ORDER_STATUSES = ["open", "filled", "cancelled", "expired"];
+// filled and cancelled are final; an expired order can still show up as cancelled on chain
+const FINAL_STATUSES = ["filled", "cancelled"];
+const DEFAULT_BLOCK_RANGE = 2000;
+
+const lower = (address) => address.toLowerCase();
+
+// Token pairs match in either direction
+function pairKey(tokenA, tokenB) {
+  return [lower(tokenA), lower(tokenB)].sort().join("/");
+}
+
+function createRecord(tradeData, source, exchange, now) {
+  const { order, domain } = tradeData;
+  return {
+    orderHash: hashOrder(order, domain),
+    status: "open",
+    exchange: ethers.utils.getAddress(exchange),
+    chainId: Number(domain.chainId),
+    maker: order.maker,
+    taker: order.taker,
+    makerToken: order.makerToken,
+    takerToken: order.takerToken,
+    makerAmount: order.makerAmount,
+    takerAmount: order.takerAmount,
+    makerNonce: order.makerNonce,
+    takerNonce: order.takerNonce,
+    expiry: Number(order.expiry),
+    source: source || null,
+    addedAt: now,
+    updatedAt: now,
+    history: [{ status: "open", at: now, reason: "added" }],
+    tradeData
+  };
+}
+
+// Open (or create on first save) the store at filePath (default: ORDER_STORE or ./test/order_store.json)
+// Returns an object with add, get, find, setStatus, expire, checkpoint, setCheckpoint, records and save
+function openOrderStore(filePath, options = {}) {
+  const file = filePath || process.env.ORDER_STORE || DEFAULT_STORE_PATH;
+  const clock = options.now || (() => Math.floor(Date.now() / 1000));
+
+  let data = { version: ORDER_STORE_VERSION, orders: {}, checkpoints: {} };
+  if (fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version !== ORDER_STORE_VERSION) {
+      throw new Error(`${file} is order store version ${data.version}; expected ${ORDER_STORE_VERSION}`);
+    }
+  }
+
+  // Index name -> key -> Set of order hashes
+  const indexes = { maker: new Map(), taker: new Map(), pair: new Map(), status: new Map() };
+  const keysFor = (record) => ({
+    maker: lower(record.maker),
+    taker: lower(record.taker),
+    pair: pairKey(record.makerToken, record.takerToken),
+    status: record.status
+  });
+  const index = (record, remove = false) => {
+    Object.entries(keysFor(record)).forEach(([name, key]) => {
+      if (!indexes[name].has(key)) {
+        indexes[name].set(key, new Set());
+      }
+      indexes[name].get(key)[remove ? "delete" : "add"](record.orderHash);
+    });
+  };
+  Object.values(data.orders).forEach((record) => index(record));
+
+  const store = {
+    file,
+
+    // Add a trade (anything loadTradeFile accepts); re-adding an order keeps its status and
+    // picks up signatures or permits the stored copy was missing
+    // exchange is used for trade files that do not name their exchange
+    // Returns { record, added }
+    add(trade, source, exchange) {
+      const tradeData = parseTradeData(trade).tradeData;
+      if (!tradeData.exchange && !exchange) {
+        throw new Error(`${source || "Trade"} does not name its exchange; pass --exchange or set EXCHANGE_ADDRESS`);
+      }
+      const record = createRecord(tradeData, source, tradeData.exchange || exchange, clock());
+      const existing = data.orders[record.orderHash];
+      if (!existing) {
+        data.orders[record.orderHash] = record;
+        index(record);
+        return { record, added: true };
+      }
+
+      existing.tradeData = {
+        ...existing.tradeData,
+        signatures: { ...(tradeData.signatures || {}), ...(existing.tradeData.signatures || {}) },
+        permits: existing.tradeData.permits || tradeData.permits
+      };
+      existing.updatedAt = clock();
+      return { record: existing, added: false };
+    },
+
+    get(orderHash) {
+      return data.orders[lower(orderHash)] || null;
+    },
+
+    // Move an order to a new status, recording why (event, txHash, blockNumber, reason, ...)
+    // Returns false if the order is unknown, already has that status or is final
+    setStatus(orderHash, status, details = {}) {
+      if (!ORDER_STATUSES.includes(status)) {
+        throw new Error(`Unknown order status ${status}: expected ${ORDER_STATUSES.join(", ")}`);
+      }
+      const record = store.get(orderHash);
+      if (!record || record.status === status || FINAL_STATUSES.includes(record.status)) {
+        return false;
+      }
+
+      index(record, true);
+      record.status = status;
+      record.updatedAt = clock();
+      record.history.push({ status, at: record.updatedAt, ...details });
+      index(record);
+      return true;
+    },
+
+    // Mark open orders past their expiry as expired; returns the hashes that changed
+    expire(now = clock()) {
+      return Array.from(indexes.status.get("open") || [])
+        .filter((orderHash) => data.orders[orderHash].expiry < now)
+        .filter((orderHash) => store.setStatus(orderHash, "expired", { reason: "expiry passed" }));
+    },
+
+    // Query by any combination of maker, taker, account (maker or taker), pair ([tokenA, tokenB]),
+    // status, exchange and chainId; open orders past their expiry are expired first
+    find(query = {}) {
+      store.expire();
+
+      const candidates = [];
+      if (query.maker) candidates.push(indexes.maker.get(lower(query.maker)) || new Set());
+      if (query.taker) candidates.push(indexes.taker.get(lower(query.taker)) || new Set());
+      if (query.pair) candidates.push(indexes.pair.get(pairKey(...query.pair)) || new Set());
+      if (query.status) candidates.push(indexes.status.get(query.status) || new Set());
+      if (query.account) {
+        const account = lower(query.account);
+        candidates.push(new Set([...(indexes.maker.get(account) || []), ...(indexes.taker.get(account) || [])]));
+      }
+
+      const hashes = candidates.length === 0
+        ? Object.keys(data.orders)
+        : [...candidates.reduce((smallest, set) => (set.size < smallest.size ? set : smallest))]
+          .filter((orderHash) => candidates.every((set) => set.has(orderHash)));
+
+      return hashes
+        .map((orderHash) => data.orders[orderHash])
+        .filter((record) => !query.exchange || lower(record.exchange) === lower(query.exchange))
+        .filter((record) => !query.chainId || record.chainId === Number(query.chainId))
+        .sort((a, b) => a.addedAt - b.addedAt);
+    },
+
+    records() {
+      return Object.values(data.orders);
+    },
+
+    // Last block synced for an exchange, or null
+    checkpoint(exchangeAddress) {
+      const block = data.checkpoints[lower(exchangeAddress)];
+      return block === undefined ? null : block;
+    },
+
+    setCheckpoint(exchangeAddress, blockNumber) {
+      data.checkpoints[lower(exchangeAddress)] = blockNumber;
+    },
+
+    // Write through a temporary file so an interrupted save cannot truncate the store
+    save() {
+      const temporary = `${file}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify(data, null, 2));
+      fs.renameSync(temporary, file);
+    }
+  };
+
+  return store;
+}
+
+// Fetch logs in chunks so large ranges stay under provider limits
+async function getLogsInRange(provider, filter, fromBlock, toBlock, blockRange) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+  }
+  return logs;
+}
+
+// Update order statuses from chain events
+// Options: exchangeAddress (default: every exchange in the store), fromBlock (default: the block
+// after the stored checkpoint, else the exchange's deployment block from the broadcast records, or
+// 0 without one), toBlock (default: latest), blockRange (default 2000)
+// Open orders whose nonce was used up without an event in the range (executed before the
+// checkpoint, or invalidated by order cancel-all) are looked up by hash from the deployment block
+// and otherwise marked cancelled
+// Returns { toBlock, exchanges: [{ exchange, fromBlock, toBlock, events }], updated: [{ orderHash, status, reason }] }
+async function syncOrderStore(store, provider, options = {}) {
+  const exchangeAbi = new ethers.utils.Interface(EXCHANGE_ABI);
+  const cancellationAbi = new ethers.utils.Interface(CANCELLATION_ABI);
+  const executedTopic = exchangeAbi.getEventTopic("SignedOrderExecuted");
+  const cancelledTopic = cancellationAbi.getEventTopic("SignedOrderCancelled");
+  const blockRange = Number(options.blockRange || DEFAULT_BLOCK_RANGE);
+  const toBlock = options.toBlock !== undefined ? Number(options.toBlock) : await provider.getBlockNumber();
+  const { chainId } = await provider.getNetwork();
+
+  const exchanges = options.exchangeAddress
+    ? [options.exchangeAddress]
+    : [...new Set(store.records().map((record) => ethers.utils.getAddress(record.exchange)))];
+
+  const summary = { toBlock, exchanges: [], updated: [] };
+  const apply = (log, iface, status) => {
+    const parsed = iface.parseLog(log);
+    const details = { event: parsed.name, txHash: log.transactionHash, blockNumber: log.blockNumber };
+    if (status === "cancelled") {
+      details.canceller = parsed.args.canceller;
+    }
+    if (store.setStatus(parsed.args.orderHash, status, details)) {
+      summary.updated.push({ orderHash: lower(parsed.args.orderHash), status, reason: parsed.name });
+    }
+  };
+
+  for (const exchangeAddress of exchanges) {
+    const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+    const cancellation = new ethers.Contract(await exchange.getCancellationContract(), CANCELLATION_ABI, provider);
+    const checkpoint = store.checkpoint(exchangeAddress);
+    const startBlock = deploymentBlock(chainId, "exchange", exchangeAddress);
+    const fromBlock = options.fromBlock !== undefined ? Number(options.fromBlock) : checkpoint === null ? startBlock : checkpoint + 1;
+
+    const [executed, cancelled] = fromBlock > toBlock ? [[], []] : await Promise.all([
+      getLogsInRange(provider, { address: exchangeAddress, topics: [executedTopic] }, fromBlock, toBlock, blockRange),
+      getLogsInRange(provider, { address: cancellation.address, topics: [cancelledTopic] }, fromBlock, toBlock, blockRange)
+    ]);
+    executed.forEach((log) => apply(log, exchangeAbi, "filled"));
+    cancelled.forEach((log) => apply(log, cancellationAbi, "cancelled"));
+
+    // Catch orders whose nonces moved on outside the range
+    const open = store.find({ exchange: exchangeAddress }).filter((record) => record.status === "open" || record.status === "expired");
+    const used = [];
+    for (const record of open) {
+      const [makerCurrent, takerCurrent] = await Promise.all([
+        cancellation.nonces(record.maker),
+        cancellation.nonces(record.taker)
+      ]);
+      // A nonce ahead of the current one may still become usable, so only a used nonce ends the order
+      if (ethers.BigNumber.from(record.makerNonce).lt(makerCurrent) || ethers.BigNumber.from(record.takerNonce).lt(takerCurrent)) {
+        used.push(record);
+      }
+    }
+
+    // One scan for all of them, matching any of their hashes
+    if (used.length > 0) {
+      const byHash = used.map(({ orderHash }) => orderHash);
+      const [fills, cancels] = await Promise.all([
+        getLogsInRange(provider, { address: exchangeAddress, topics: [executedTopic, byHash] }, startBlock, toBlock, blockRange),
+        getLogsInRange(provider, { address: cancellation.address, topics: [cancelledTopic, byHash] }, startBlock, toBlock, blockRange)
+      ]);
+      for (const record of used) {
+        const matches = (log) => lower(log.topics[1]) === lower(record.orderHash);
+        const fill = fills.find(matches);
+        const cancel = cancels.find(matches);
+        if (fill) {
+          apply(fill, exchangeAbi, "filled");
+        } else if (cancel) {
+          apply(cancel, cancellationAbi, "cancelled");
+        } else if (store.setStatus(record.orderHash, "cancelled", { reason: "nonce used" })) {
+          summary.updated.push({ orderHash: record.orderHash, status: "cancelled", reason: "nonce used" });
+        }
+      }
+    }
+
+    store.setCheckpoint(exchangeAddress, toBlock);
+    summary.exchanges.push({ exchange: exchangeAddress, fromBlock, toBlock, events: executed.length + cancelled.length });
+  }
+
+  store.expire();
+  return summary;
+}
+
+module.exports = {
+  ORDER_STORE_VERSION,
+  DEFAULT_STORE_PATH,
+  ORDER_STATUSES,
+  pairKey,
+  openOrderStore,
+  syncOrderStore
+};
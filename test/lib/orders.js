@@ -0,0 +1,202 @@
+// Order construction, EIP-712 hashing and signing shared by the trade scripts
+// Everything here is pure: no provider access, no environment variables, no file I/O
+const ethers = require('ethers');
+
+// Domain name and version the Signatures contract is deployed with
+const EXCHANGE_NAME = "Numena Exchange";
+const EXCHANGE_VERSION = "1.0.0";
+
+const DOMAIN_TYPE = [
+  { name: "name", type: "string" },
+  { name: "version", type: "string" },
+  { name: "chainId", type: "uint256" },
+  { name: "verifyingContract", type: "address" }
+];
+
+// Must exactly match the OrderInfo struct in the Exchange contract
+const ORDER_TYPE = [
+  { name: "maker", type: "address" },
+  { name: "makerToken", type: "address" },
+  { name: "makerAmount", type: "uint256" },
+  { name: "taker", type: "address" },
+  { name: "takerToken", type: "address" },
+  { name: "takerAmount", type: "uint256" },
+  { name: "makerNonce", type: "uint256" },
+  { name: "takerNonce", type: "uint256" },
+  { name: "expiry", type: "uint256" }
+];
+
+// EIP-2612 Permit type definition
+const PERMIT_TYPE = [
+  { name: "owner", type: "address" },
+  { name: "spender", type: "address" },
+  { name: "value", type: "uint256" },
+  { name: "nonce", type: "uint256" },
+  { name: "deadline", type: "uint256" }
+];
+
+const ORDER_TYPES = { OrderInfo: ORDER_TYPE };
+const PERMIT_TYPES = { Permit: PERMIT_TYPE };
+
+// Default order lifetime used by the generators (30 days)
+const DEFAULT_EXPIRY_SECONDS = 30 * 24 * 60 * 60;
+
+// Build the EIP-712 domain used for order signatures
+function buildDomain(chainId, verifyingContract, name = EXCHANGE_NAME, version = EXCHANGE_VERSION) {
+  if (!ethers.utils.isAddress(verifyingContract)) {
+    throw new Error(`Invalid verifying contract address: ${verifyingContract}`);
+  }
+
+  return {
+    name: name,
+    version: version,
+    chainId: Number(chainId),
+    verifyingContract: ethers.utils.getAddress(verifyingContract)
+  };
+}
+
+// Create an order object with checksummed addresses and decimal-string amounts
+// Amounts and nonces may be given as numbers, strings or BigNumbers (already in base units)
+function createOrder(params) {
+  const order = {};
+
+  for (const field of ["maker", "makerToken", "taker", "takerToken"]) {
+    if (!ethers.utils.isAddress(params[field] || "")) {
+      throw new Error(`Invalid order ${field}: ${params[field]}`);
+    }
+    order[field] = ethers.utils.getAddress(params[field]);
+  }
+
+  for (const field of ["makerAmount", "takerAmount"]) {
+    if (params[field] === undefined || params[field] === null) {
+      throw new Error(`Missing order ${field}`);
+    }
+    order[field] = ethers.BigNumber.from(params[field]).toString();
+  }
+
+  order.makerNonce = ethers.BigNumber.from(params.makerNonce || 0).toString();
+  order.takerNonce = ethers.BigNumber.from(params.takerNonce || 0).toString();
+
+  const expiry = params.expiry !== undefined && params.expiry !== null
+    ? params.expiry
+    : Math.floor(Date.now() / 1000) + DEFAULT_EXPIRY_SECONDS;
+  order.expiry = ethers.BigNumber.from(expiry).toString();
+
+  // Return the fields in struct order so the JSON output stays stable
+  return ORDER_TYPE.reduce((result, field) => {
+    result[field.name] = order[field.name];
+    return result;
+  }, {});
+}
+
+// EIP-712 domain separator, equivalent to Signatures.getDomainSeparator()
+function hashDomain(domain) {
+  return ethers.utils._TypedDataEncoder.hashDomain(domain);
+}
+
+// EIP-712 struct hash of an order (without the domain)
+function hashOrderStruct(order) {
+  return ethers.utils._TypedDataEncoder.hashStruct("OrderInfo", ORDER_TYPES, order);
+}
+
+// Full EIP-712 digest of an order, equivalent to Signatures.hashOrder()
+function hashOrder(order, domain) {
+  return ethers.utils._TypedDataEncoder.hash(domain, ORDER_TYPES, order);
+}
+
+// Sign an order using EIP-712
+async function signOrder(order, wallet, domain) {
+  return wallet._signTypedData(domain, ORDER_TYPES, order);
+}
+
+// Sign an order with both counterparties, checking each wallet matches its role
+async function signTrade(order, makerWallet, takerWallet, domain) {
+  if (makerWallet.address.toLowerCase() !== order.maker.toLowerCase()) {
+    throw new Error(`Maker wallet ${makerWallet.address} does not match order maker ${order.maker}`);
+  }
+  if (takerWallet.address.toLowerCase() !== order.taker.toLowerCase()) {
+    throw new Error(`Taker wallet ${takerWallet.address} does not match order taker ${order.taker}`);
+  }
+
+  return {
+    maker: await signOrder(order, makerWallet, domain),
+    taker: await signOrder(order, takerWallet, domain)
+  };
+}
+
+// Recover the signer of an order signature the same way Signatures.recoverSigner() does
+function recoverOrderSigner(order, signature, domain) {
+  const bytes = ethers.utils.arrayify(signature);
+  if (bytes.length !== 65) {
+    throw new Error("Invalid signature length");
+  }
+
+  return ethers.utils.recoverAddress(hashOrder(order, domain), bytes);
+}
+
+// Check an order signature against the address that should have produced it
+function verifyOrderSignature(order, signature, expectedSigner, domain) {
+  try {
+    return recoverOrderSigner(order, signature, domain).toLowerCase() === expectedSigner.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Sign an EIP-2612 permit for the given token domain
+// Returns the permit fields together with the split signature (v, r, s)
+async function signPermit(ownerWallet, tokenDomain, permit) {
+  const permitData = {
+    owner: ownerWallet.address,
+    spender: permit.spender,
+    value: ethers.BigNumber.from(permit.value).toString(),
+    nonce: ethers.BigNumber.from(permit.nonce || 0).toString(),
+    deadline: ethers.BigNumber.from(permit.deadline).toString()
+  };
+
+  const signature = await ownerWallet._signTypedData(tokenDomain, PERMIT_TYPES, permitData);
+  const sig = ethers.utils.splitSignature(signature);
+
+  return {
+    ...permitData,
+    v: sig.v,
+    r: sig.r,
+    s: sig.s
+  };
+}
+
+// Recover the signer of a permit from its fields and v, r, s
+function recoverPermitSigner(permit, tokenDomain) {
+  const permitData = {
+    owner: permit.owner,
+    spender: permit.spender,
+    value: permit.value,
+    nonce: permit.nonce,
+    deadline: permit.deadline
+  };
+  const digest = ethers.utils._TypedDataEncoder.hash(tokenDomain, PERMIT_TYPES, permitData);
+
+  return ethers.utils.recoverAddress(digest, { v: permit.v, r: permit.r, s: permit.s });
+}
+
+module.exports = {
+  EXCHANGE_NAME,
+  EXCHANGE_VERSION,
+  DOMAIN_TYPE,
+  ORDER_TYPE,
+  PERMIT_TYPE,
+  ORDER_TYPES,
+  PERMIT_TYPES,
+  DEFAULT_EXPIRY_SECONDS,
+  buildDomain,
+  createOrder,
+  hashDomain,
+  hashOrderStruct,
+  hashOrder,
+  signOrder,
+  signTrade,
+  recoverOrderSigner,
+  verifyOrderSignature,
+  signPermit,
+  recoverPermitSigner
+};
@@ -0,0 +1,112 @@
+// EIP-2612 permit helpers that read the token's own domain and nonce from the chain
+// instead of assuming a name, version "1" and nonce 0
+const ethers = require('ethers');
+
+const { ERC20_PERMIT_ABI } = require('./abis');
+const { hashDomain, signPermit } = require('./orders');
+
+// EIP-5267 field bits: name, version, chainId, verifyingContract, salt
+const EIP5267_FIELDS = ["name", "version", "chainId", "verifyingContract", "salt"];
+
+// Read the token's EIP-712 domain, preferring EIP-5267 eip712Domain() when the token supports it
+// Returns the domain together with where it came from ("eip5267" or "getters")
+async function discoverPermitDomain(tokenAddress, provider) {
+  const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+
+  const result = await token.eip712Domain().catch(() => null);
+
+  if (result) {
+    if (result.extensions && result.extensions.length > 0) {
+      throw new Error(`Token ${tokenAddress} uses unsupported EIP-712 domain extensions`);
+    }
+
+    const fields = parseInt(result.fields, 16);
+    const domain = {};
+    EIP5267_FIELDS.forEach((field, bit) => {
+      if (fields & (1 << bit)) {
+        domain[field] = field === "chainId" ? result[field].toNumber() : result[field];
+      }
+    });
+
+    return { domain, source: "eip5267" };
+  }
+
+  const [name, version, network] = await Promise.all([
+    token.name(),
+    token.version().catch(() => "1"),
+    provider.getNetwork()
+  ]);
+
+  return {
+    domain: {
+      name: name,
+      version: version,
+      chainId: network.chainId,
+      verifyingContract: ethers.utils.getAddress(tokenAddress)
+    },
+    source: "getters"
+  };
+}
+
+// Discover the token's permit domain and check it against DOMAIN_SEPARATOR()
+// Throws if the token has no DOMAIN_SEPARATOR() or the locally computed separator differs
+async function getPermitDomain(tokenAddress, provider) {
+  const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+
+  let onChainSeparator;
+  try {
+    onChainSeparator = await token.DOMAIN_SEPARATOR();
+  } catch (error) {
+    throw new Error(`Token ${tokenAddress} does not expose DOMAIN_SEPARATOR(); it does not appear to support EIP-2612 permits`);
+  }
+
+  const { domain, source } = await discoverPermitDomain(tokenAddress, provider);
+  const localSeparator = hashDomain(domain);
+
+  if (localSeparator.toLowerCase() !== onChainSeparator.toLowerCase()) {
+    throw new Error(
+      `Permit domain mismatch for token ${tokenAddress}: ` +
+      `computed ${localSeparator} from ${JSON.stringify(domain)} (${source}), ` +
+      `but DOMAIN_SEPARATOR() returned ${onChainSeparator}`
+    );
+  }
+
+  return { domain, domainSeparator: onChainSeparator, source };
+}
+
+// Read the owner's current permit nonce from the token
+async function getPermitNonce(tokenAddress, owner, provider) {
+  const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+  return (await token.nonces(owner)).toString();
+}
+
+// Sign a permit for tokenAddress using the live domain and nonce
+// Returns the PermitData.TokenPermit fields plus the nonce and domain that were signed
+async function signTokenPermit(ownerWallet, tokenAddress, spender, value, deadline, provider) {
+  const [{ domain }, nonce] = await Promise.all([
+    getPermitDomain(tokenAddress, provider),
+    getPermitNonce(tokenAddress, ownerWallet.address, provider)
+  ]);
+
+  const permit = await signPermit(ownerWallet, domain, { spender, value, nonce, deadline });
+
+  return {
+    token: ethers.utils.getAddress(tokenAddress),
+    owner: permit.owner,
+    spender: permit.spender,
+    value: permit.value,
+    nonce: permit.nonce,
+    deadline: permit.deadline,
+    v: permit.v,
+    r: permit.r,
+    s: permit.s,
+    domain: domain
+  };
+}
+
+module.exports = {
+  discoverPermitDomain,
+  getPermitDomain,
+  getPermitNonce,
+  signTokenPermit
+};
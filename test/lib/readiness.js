@@ -0,0 +1,329 @@
+// Pre-trade readiness checks
+// Runs the checks Exchange._executeSignedOrderCore() makes (expiry, nonces, signatures, registry,
+// fee-adjusted balances and allowances) plus permit and KYC checks as plain view calls, so a trade
+// can be rejected before the counterparty signs it or anyone pays gas
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, FEES_ABI, REGISTRY_ABI, COMPLIANCE_ABI, CANCELLATION_ABI, ERC20_PERMIT_ABI } = require('./abis');
+const { verifyTradeSignatures } = require('./signature_check');
+const { decodeRevert } = require('./revert_decoder');
+const { feeBreakdown } = require('./fees');
+
+const PASS = "pass";
+const WARN = "warn";
+const FAIL = "fail";
+
+const PARTIES = ["maker", "taker"];
+const DEFAULT_MIN_LIFETIME = 3600;
+
+const label = (party) => (party === "maker" ? "Maker" : "Taker");
+const sameAddress = (a, b) => typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+
+// Run a view call, turning a failure into { error } so one unreachable contract does not hide the other checks
+async function attempt(call) {
+  try {
+    return { value: await call() };
+  } catch (error) {
+    const revert = decodeRevert(error);
+    return { error: revert.reason || error.reason || error.message };
+  }
+}
+
+// Check whether a trade can execute right now
+// trade: a trade file object ({ order, domain?, permits?, signatures? }); signatures are optional so a
+// trade can be checked before it is signed
+// Options:
+//   exchangeAddress      Exchange to check against (default: trade.exchange)
+//   requireSignatures    Fail when either signature is missing or cannot be verified (default: false)
+//   minLifetime          Warn when the order expires within this many seconds (default: 3600)
+// Returns { ready, findings, fees, tokens, summary } where each finding is
+// { check, status: pass|warn|fail, party, code, message, details } and ready is true when nothing failed
+async function checkTradeReadiness(trade, provider, options = {}) {
+  const order = trade.order;
+  const permits = trade.permits || {};
+  const exchangeAddress = options.exchangeAddress || trade.exchange;
+  const minLifetime = options.minLifetime !== undefined ? Number(options.minLifetime) : DEFAULT_MIN_LIFETIME;
+  const findings = [];
+
+  const add = (check, status, party, code, message, details) => {
+    const finding = { check, status, party, code: status === PASS ? null : code, message };
+    if (details !== undefined) {
+      finding.details = details;
+    }
+    findings.push(finding);
+  };
+
+  if (!exchangeAddress) {
+    throw new Error("No exchange address: pass options.exchangeAddress or include exchange in the trade");
+  }
+
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  const [network, block, cancellationAddress, registryAddress, complianceAddress, feesAddress] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock("latest"),
+    attempt(() => exchange.getCancellationContract()),
+    attempt(() => exchange.getRegistryContract()),
+    attempt(() => exchange.getComplianceContract()),
+    attempt(() => exchange.getFeesContract())
+  ]);
+  const now = block.timestamp;
+
+  // Chain
+  if (trade.domain && trade.domain.chainId !== undefined && Number(trade.domain.chainId) !== network.chainId) {
+    add("chain", FAIL, null, "CHAIN_ID_MISMATCH",
+      `Trade is signed for chain ${trade.domain.chainId}, but the provider is on chain ${network.chainId}`);
+  } else {
+    add("chain", PASS, null, null, `Provider is on chain ${network.chainId}`);
+  }
+
+  // Expiry, against the chain's clock rather than the local one
+  const secondsLeft = Number(order.expiry) - now;
+  if (secondsLeft < 0) {
+    add("expiry", FAIL, null, "ORDER_EXPIRED", `Order expired ${-secondsLeft} seconds ago`, { expiry: Number(order.expiry), now });
+  } else if (secondsLeft < minLifetime) {
+    add("expiry", WARN, null, "ORDER_EXPIRES_SOON", `Order expires in ${secondsLeft} seconds`, { expiry: Number(order.expiry), now });
+  } else {
+    add("expiry", PASS, null, null, `Order expires in ${Math.floor(secondsLeft / 3600)} hours`, { expiry: Number(order.expiry), now });
+  }
+
+  // Token metadata for messages and amounts
+  const tokens = {};
+  for (const party of PARTIES) {
+    const contract = new ethers.Contract(order[`${party}Token`], ERC20_PERMIT_ABI, provider);
+    const [symbol, decimals] = await Promise.all([
+      contract.symbol().catch(() => "Unknown"),
+      contract.decimals().catch(() => 18)
+    ]);
+    tokens[party] = { contract, address: contract.address, symbol, decimals: Number(decimals) };
+  }
+  const format = (party, value) => `${ethers.utils.formatUnits(value, tokens[party].decimals)} ${tokens[party].symbol}`;
+
+  // Nonces
+  if (cancellationAddress.error) {
+    add("nonce", WARN, null, "CHECK_UNAVAILABLE", `Could not read the cancellation contract: ${cancellationAddress.error}`);
+  } else {
+    const cancellation = new ethers.Contract(cancellationAddress.value, CANCELLATION_ABI, provider);
+    for (const party of PARTIES) {
+      const nonce = order[`${party}Nonce`];
+      const [valid, current] = await Promise.all([
+        attempt(() => cancellation.verifyNonce(order[party], nonce)),
+        attempt(() => cancellation.nonces(order[party]))
+      ]);
+      if (valid.error) {
+        add("nonce", WARN, party, "CHECK_UNAVAILABLE", `Could not verify the ${party} nonce: ${valid.error}`);
+      } else if (!valid.value) {
+        add("nonce", FAIL, party, `${party.toUpperCase()}_NONCE_INVALID`,
+          `${label(party)} nonce ${nonce} is not valid; the current nonce is ${current.value !== undefined ? current.value.toString() : "unknown"}`,
+          { nonce: String(nonce), current: current.value !== undefined ? current.value.toString() : null });
+      } else {
+        add("nonce", PASS, party, null, `${label(party)} nonce ${nonce} is unused`);
+      }
+    }
+  }
+
+  // Signatures, when present
+  const signatures = trade.signatures || {};
+  if (signatures.maker || signatures.taker) {
+    const verification = await attempt(() => verifyTradeSignatures(trade, { provider, exchangeAddress }));
+    if (verification.error) {
+      // A trade about to be executed must not go out on signatures nobody could check
+      add("signature", options.requireSignatures ? FAIL : WARN, null, "CHECK_UNAVAILABLE", `Could not verify the signatures on chain: ${verification.error}`);
+    } else {
+      for (const party of PARTIES) {
+        if (!signatures[party]) {
+          continue;
+        }
+        const failure = verification.value.failures.find((item) => item.party === party);
+        if (failure) {
+          add("signature", FAIL, party, `INVALID_${party.toUpperCase()}_SIGNATURE`, failure.message, { kind: failure.kind });
+        } else {
+          add("signature", PASS, party, null, `${label(party)} signature is valid for this exchange`);
+        }
+      }
+    }
+  }
+  PARTIES.forEach((party) => {
+    if (!signatures[party]) {
+      add("signature", options.requireSignatures ? FAIL : WARN, party, `MISSING_${party.toUpperCase()}_SIGNATURE`,
+        `${label(party)} has not signed yet`);
+    }
+  });
+
+  // Registry
+  if (registryAddress.error) {
+    add("registry", WARN, null, "CHECK_UNAVAILABLE", `Could not read the registry contract: ${registryAddress.error}`);
+  } else {
+    const registry = new ethers.Contract(registryAddress.value, REGISTRY_ABI, provider);
+    for (const party of PARTIES) {
+      const registered = await attempt(() => registry.isRegisteredAsset(tokens[party].address));
+      if (registered.error) {
+        add("registry", WARN, party, "CHECK_UNAVAILABLE", `Could not check whether ${tokens[party].symbol} is registered: ${registered.error}`);
+      } else if (!registered.value) {
+        add("registry", FAIL, party, "TOKEN_NOT_REGISTERED", `${label(party)} token ${tokens[party].symbol} (${tokens[party].address}) is not registered`);
+      } else {
+        add("registry", PASS, party, null, `${label(party)} token ${tokens[party].symbol} is registered`);
+      }
+    }
+
+    // An order created from symbols trades the addresses they resolved to then; say if a symbol has moved since
+    const symbols = (trade.metadata && trade.metadata.symbols) || {};
+    for (const party of PARTIES.filter((side) => symbols[side])) {
+      const resolved = await attempt(() => registry.getAssetBySymbol(symbols[party]));
+      if (!resolved.error && !sameAddress(resolved.value.assetAddress, tokens[party].address)) {
+        add("registry", WARN, party, "SYMBOL_REASSIGNED",
+          `${symbols[party]} now resolves to ${resolved.value.assetAddress}, but the order trades ${tokens[party].address}`,
+          { symbol: symbols[party], resolved: resolved.value.assetAddress });
+      }
+    }
+  }
+
+  // Fees
+  let fees = null;
+  if (feesAddress.error) {
+    add("fees", WARN, null, "CHECK_UNAVAILABLE", `Could not read the fees contract: ${feesAddress.error}`);
+  } else {
+    const feesContract = new ethers.Contract(feesAddress.value, FEES_ABI, provider);
+    const calculated = await attempt(() => feesContract.calculateOrderFees(order.makerToken, order.takerToken, order.makerAmount, order.takerAmount));
+    if (calculated.error) {
+      add("fees", FAIL, null, "FEES_UNAVAILABLE", `calculateOrderFees() reverts for this pair: ${calculated.error}`);
+    } else {
+      const { makerFee, takerFee, feeWallet } = calculated.value;
+      fees = {
+        feeWallet,
+        maker: feeBreakdown(order.makerAmount, makerFee, feeWallet),
+        taker: feeBreakdown(order.takerAmount, takerFee, feeWallet)
+      };
+      for (const party of PARTIES) {
+        const { gross, fee, net } = fees[party];
+        const receiver = party === "maker" ? "taker" : "maker";
+        if (ethers.BigNumber.from(fee).gt(gross)) {
+          add("fees", FAIL, party, "FEE_EXCEEDS_AMOUNT", `${label(party)} fee ${format(party, fee)} exceeds the amount ${format(party, gross)}`, fees[party]);
+        } else {
+          add("fees", PASS, party, null, `${label(party)} pays ${format(party, fee)} in fees; the ${receiver} receives ${format(party, net)}`, fees[party]);
+        }
+      }
+    }
+  }
+
+  // Balances and allowances: the exchange checks the gross amount, which includes the fee
+  for (const party of PARTIES) {
+    const token = tokens[party].contract;
+    const owner = order[party];
+    const required = ethers.BigNumber.from(order[`${party}Amount`]);
+    const [balance, allowance] = await Promise.all([
+      attempt(() => token.balanceOf(owner)),
+      attempt(() => token.allowance(owner, exchangeAddress))
+    ]);
+
+    if (balance.error) {
+      add("balance", WARN, party, "CHECK_UNAVAILABLE", `Could not read the ${party} balance: ${balance.error}`);
+    } else if (balance.value.lt(required)) {
+      add("balance", FAIL, party, `INSUFFICIENT_${party.toUpperCase()}_BALANCE`,
+        `${label(party)} holds ${format(party, balance.value)} but needs ${format(party, required)} including fees`,
+        { balance: balance.value.toString(), required: required.toString() });
+    } else {
+      add("balance", PASS, party, null, `${label(party)} holds ${format(party, balance.value)} of the ${format(party, required)} needed`);
+    }
+
+    const permit = permits[party];
+    const permitProblems = [];
+    if (permit) {
+      // The exchange reverts on a token, owner or value mismatch, but tryPermit skips a permit it
+      // cannot apply (wrong spender, expired, used nonce), so those only matter without an allowance
+      if (!sameAddress(permit.token, tokens[party].address)) {
+        permitProblems.push([`${party.toUpperCase()}_PERMIT_TOKEN_MISMATCH`, `permit is for token ${permit.token}, not ${tokens[party].address}`]);
+      }
+      if (!sameAddress(permit.owner, owner)) {
+        permitProblems.push([`${party.toUpperCase()}_PERMIT_OWNER_MISMATCH`, `permit owner ${permit.owner} is not the ${party} ${owner}`]);
+      }
+      if (ethers.BigNumber.from(permit.value).lt(required)) {
+        permitProblems.push([`${party.toUpperCase()}_PERMIT_VALUE_TOO_LOW`, `permit value ${format(party, permit.value)} is below ${format(party, required)}`]);
+      }
+      if (permit.spender && !sameAddress(permit.spender, exchangeAddress)) {
+        permitProblems.push(["PERMIT_SPENDER_MISMATCH", `permit spender ${permit.spender} is not the exchange ${exchangeAddress}`, true]);
+      }
+      if (Number(permit.deadline) < now) {
+        permitProblems.push(["PERMIT_EXPIRED", `permit deadline ${permit.deadline} has passed`, true]);
+      }
+      if (permit.nonce !== undefined) {
+        const tokenNonce = await attempt(() => token.nonces(owner));
+        if (!tokenNonce.error && !tokenNonce.value.eq(permit.nonce)) {
+          permitProblems.push(["PERMIT_NONCE_USED", `permit was signed with nonce ${permit.nonce}, but the token expects ${tokenNonce.value.toString()}`, true]);
+        }
+      }
+
+      const approved = !allowance.error && allowance.value.gte(required);
+      permitProblems.forEach(([code, problem, skipped]) => {
+        if (skipped && approved) {
+          add("permit", WARN, party, code, `${label(party)} ${problem}; the permit will be ignored and the existing allowance used`);
+        } else {
+          add("permit", FAIL, party, code, `${label(party)} ${problem}`);
+        }
+      });
+      if (permitProblems.length === 0) {
+        add("permit", PASS, party, null, `${label(party)} permit covers ${format(party, permit.value)} until ${permit.deadline}`);
+      }
+    }
+
+    if (allowance.error) {
+      add("allowance", WARN, party, "CHECK_UNAVAILABLE", `Could not read the ${party} allowance: ${allowance.error}`);
+    } else if (allowance.value.gte(required)) {
+      add("allowance", PASS, party, null, `${label(party)} has approved ${format(party, allowance.value)}`);
+    } else if (permit && permitProblems.length === 0) {
+      add("allowance", PASS, party, null, `${label(party)} allowance will be set by the permit`);
+    } else {
+      add("allowance", FAIL, party, `INSUFFICIENT_${party.toUpperCase()}_ALLOWANCE`,
+        `${label(party)} has approved ${format(party, allowance.value)} of ${format(party, required)} and has no usable permit`,
+        { allowance: allowance.value.toString(), required: required.toString() });
+    }
+  }
+
+  // KYC: security tokens enforce compliance on transfer, so both parties need the attribute
+  if (complianceAddress.error) {
+    add("kyc", WARN, null, "CHECK_UNAVAILABLE", `Could not read the compliance contract: ${complianceAddress.error}`);
+  } else {
+    const compliance = new ethers.Contract(complianceAddress.value, COMPLIANCE_ABI, provider);
+    for (const side of PARTIES) {
+      const token = tokens[side];
+      const security = await attempt(() => compliance.isSecurityToken(token.address));
+      if (security.error) {
+        add("kyc", WARN, null, "CHECK_UNAVAILABLE", `Could not check whether ${token.symbol} is a security token: ${security.error}`);
+        continue;
+      }
+      if (!security.value) {
+        continue;
+      }
+      for (const party of PARTIES) {
+        const verified = await attempt(() => exchange.isKYCVerified(token.address, order[party]));
+        if (verified.error) {
+          add("kyc", WARN, party, "CHECK_UNAVAILABLE", `Could not read ${party} KYC status for ${token.symbol}: ${verified.error}`);
+        } else if (!verified.value) {
+          add("kyc", FAIL, party, "KYC_MISSING", `${label(party)} is not KYC verified for ${token.symbol}`, { token: token.address });
+        } else {
+          add("kyc", PASS, party, null, `${label(party)} is KYC verified for ${token.symbol}`);
+        }
+      }
+    }
+  }
+
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  findings.forEach((finding) => { summary[finding.status] += 1; });
+
+  return {
+    ready: summary.fail === 0,
+    findings,
+    fees,
+    tokens: {
+      maker: { address: tokens.maker.address, symbol: tokens.maker.symbol, decimals: tokens.maker.decimals },
+      taker: { address: tokens.taker.address, symbol: tokens.taker.symbol, decimals: tokens.taker.decimals }
+    },
+    summary
+  };
+}
+
+module.exports = {
+  PASS,
+  WARN,
+  FAIL,
+  checkTradeReadiness
+};
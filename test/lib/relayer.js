@@ -0,0 +1,302 @@
+// Relayer core: accepts signed trades, checks them, queues them and submits them from one wallet
+// Submissions are processed one at a time in arrival order. The relayer hands out its own
+// account nonces so a transaction can be sent while earlier ones are still pending, and resyncs
+// from the chain whenever a send fails. State is written to a JSON file after every change so a
+// restart picks up queued submissions and keeps waiting for submitted ones.
+const fs = require('fs');
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI } = require('./abis');
+const { hashOrder } = require('./orders');
+const { parseTradeData, toContractPermit } = require('./trade_file');
+const { checkTradeReadiness, FAIL } = require('./readiness');
+const { decodeRevert } = require('./revert_decoder');
+
+const RELAYER_STATE_VERSION = 1;
+const DEFAULT_STATE_PATH = './test/relayer_state.json';
+const SUBMISSION_STATUSES = ["queued", "submitted", "confirmed", "reverted", "failed"];
+const PENDING_STATUSES = ["queued", "submitted"];
+
+// Error with an HTTP-style status and details for the caller
+class RelayerError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "RelayerError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Hands out consecutive nonces for a signer, starting from its pending transaction count
+function createNonceManager(signer) {
+  let next = null;
+  return {
+    async next() {
+      if (next === null) {
+        next = await signer.getTransactionCount("pending");
+      }
+      return next++;
+    },
+    // Forget the local count; the next call reads it from the chain again
+    reset() {
+      next = null;
+    },
+    peek() {
+      return next;
+    }
+  };
+}
+
+// Exchange method and arguments for a trade: the permit variant whenever the trade carries permits
+function executionCall(tradeData) {
+  const { order, signatures } = tradeData;
+  if (tradeData.permits) {
+    return {
+      method: "executeSignedOrderWithPermits",
+      args: [order, signatures.maker, signatures.taker, toContractPermit(tradeData.permits.maker), toContractPermit(tradeData.permits.taker)]
+    };
+  }
+  return { method: "executeSignedOrder", args: [order, signatures.maker, signatures.taker] };
+}
+
+function describeError(error) {
+  const revert = decodeRevert(error);
+  return {
+    message: revert.reason || error.reason || error.message,
+    code: revert.code || error.code || null,
+    hint: revert.hint || null
+  };
+}
+
+// Options: wallet (connected signer), exchangeAddress, statePath (default: RELAYER_STATE or
+// ./test/relayer_state.json), confirmations (default 1), minLifetime (seconds an order must still
+// be valid for, default 60), overrides (gas settings for every transaction)
+// Returns { address, exchangeAddress, submit, get, list, start, stop, idle, nonces }
+function createRelayer(options) {
+  const { wallet, exchangeAddress } = options;
+  const statePath = options.statePath || process.env.RELAYER_STATE || DEFAULT_STATE_PATH;
+  const confirmations = Number(options.confirmations !== undefined ? options.confirmations : 1);
+  const minLifetime = options.minLifetime !== undefined ? Number(options.minLifetime) : 60;
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, wallet);
+  const nonces = createNonceManager(wallet);
+
+  let state = { version: RELAYER_STATE_VERSION, submissions: {} };
+  if (fs.existsSync(statePath)) {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  }
+  const save = () => {
+    fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${statePath}.tmp`, statePath);
+  };
+  const update = (submission, changes) => {
+    Object.assign(submission, changes, { updatedAt: new Date().toISOString() });
+    save();
+  };
+
+  let running = false;
+  let working = null;
+  let idleWaiters = [];
+  // Orders submit() is still checking, so a concurrent post of the same order is refused
+  const validating = new Set();
+
+  // Whether a failed submission may be sent again: it never sent a transaction, or the node no
+  // longer knows that transaction and nothing pending or mined has used its nonce. A transaction
+  // whose wait failed without a receipt (a timeout or a dropped connection) may still be mined.
+  const nonceUnused = async (submission) => {
+    if (submission.nonce === null || submission.nonce === undefined) {
+      return true;
+    }
+    const [tx, pendingCount] = await Promise.all([
+      submission.txHash ? wallet.provider.getTransaction(submission.txHash) : null,
+      wallet.getTransactionCount("pending")
+    ]);
+    return !tx && pendingCount <= submission.nonce;
+  };
+
+  // Wait for a sent transaction in the background and record how it ended
+  const track = (submission, wait) => {
+    wait
+      .then((receipt) => update(submission, {
+        status: receipt.status === 1 ? "confirmed" : "reverted",
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      }))
+      .catch((error) => {
+        if (error.receipt) {
+          update(submission, { status: "reverted", blockNumber: error.receipt.blockNumber, gasUsed: error.receipt.gasUsed.toString(), error: describeError(error) });
+        } else {
+          update(submission, { status: "failed", error: describeError(error) });
+        }
+      });
+  };
+
+  const send = async (submission) => {
+    const tradeData = submission.tradeData;
+    const { method, args } = executionCall(tradeData);
+
+    // The chain may have moved on since the trade was accepted
+    try {
+      await exchange.callStatic[method](...args, options.overrides || {});
+    } catch (error) {
+      update(submission, { status: "failed", error: describeError(error) });
+      return;
+    }
+
+    const nonce = await nonces.next();
+    try {
+      const tx = await exchange[method](...args, { ...(options.overrides || {}), nonce });
+      update(submission, { status: "submitted", method, txHash: tx.hash, nonce, submittedAt: new Date().toISOString() });
+      track(submission, tx.wait(confirmations));
+    } catch (error) {
+      // The nonce was not used, or our count is wrong; either way read it again
+      nonces.reset();
+      update(submission, { status: "failed", error: describeError(error) });
+    }
+  };
+
+  const work = async () => {
+    while (running) {
+      const next = Object.values(state.submissions)
+        .filter(({ status }) => status === "queued")
+        .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt))[0];
+      if (!next) {
+        break;
+      }
+      try {
+        await send(next);
+      } catch (error) {
+        // e.g. the node is unreachable when reading the nonce; leave the rest queued for later
+        nonces.reset();
+        update(next, { status: "failed", error: describeError(error) });
+      }
+    }
+  };
+  const kick = () => {
+    if (running && !working) {
+      working = work().then(() => {
+        working = null;
+        idleWaiters.forEach((resolve) => resolve());
+        idleWaiters = [];
+      });
+    }
+  };
+
+  // Check a reserved order against the chain and queue it
+  const accept = async (id, tradeData) => {
+    const signaturesAddress = await exchange.getSignaturesContract();
+    if (tradeData.domain.verifyingContract.toLowerCase() !== signaturesAddress.toLowerCase()) {
+      throw new RelayerError(422, `Trade is signed for ${tradeData.domain.verifyingContract}, not the exchange's signatures contract ${signaturesAddress}`);
+    }
+
+    const existing = state.submissions[id];
+    if (existing && existing.status !== "failed") {
+      throw new RelayerError(409, `Order ${id} was already submitted (${existing.status})`, { id, status: existing.status });
+    }
+    if (existing && !(await nonceUnused(existing))) {
+      throw new RelayerError(409, `Order ${id} failed, but its transaction ${existing.txHash} (nonce ${existing.nonce}) may still be mined; post it again once that nonce is unused`,
+        { id, status: existing.status, txHash: existing.txHash, nonce: existing.nonce });
+    }
+
+    // An order about to expire would likely do so while queued, so that warning rejects it too
+    const readiness = await checkTradeReadiness(tradeData, wallet.provider, { exchangeAddress, requireSignatures: true, minLifetime });
+    const blocking = readiness.findings.filter(({ status, code }) => status === FAIL || code === "ORDER_EXPIRES_SOON");
+    if (blocking.length > 0) {
+      throw new RelayerError(422, "Trade cannot execute", { findings: blocking });
+    }
+
+    const now = new Date().toISOString();
+    const submission = {
+      id,
+      status: "queued",
+      method: executionCall(tradeData).method,
+      receivedAt: now,
+      updatedAt: now,
+      attempts: existing ? (existing.attempts || 1) + 1 : 1,
+      txHash: null,
+      nonce: null,
+      blockNumber: null,
+      gasUsed: null,
+      error: null,
+      readiness: readiness.summary,
+      tradeData
+    };
+    state.submissions[id] = submission;
+    save();
+    kick();
+    return submission;
+  };
+
+  const relayer = {
+    address: wallet.address,
+    exchangeAddress,
+    nonces,
+
+    // Validate and queue a signed trade (parsed JSON in any layout loadTradeFile accepts)
+    // Throws RelayerError 400 (invalid), 409 (already known or being validated) or 422 (not executable)
+    async submit(trade) {
+      let tradeData;
+      try {
+        tradeData = parseTradeData(trade, { requireSignatures: true }).tradeData;
+      } catch (error) {
+        throw new RelayerError(400, error.message, { errors: error.errors || [] });
+      }
+      if (tradeData.exchange && tradeData.exchange.toLowerCase() !== exchangeAddress.toLowerCase()) {
+        throw new RelayerError(422, `Trade is for exchange ${tradeData.exchange}, not ${exchangeAddress}`);
+      }
+
+      // Reserve the order before the first await, so two posts of it cannot both be queued
+      const id = hashOrder(tradeData.order, tradeData.domain);
+      if (validating.has(id)) {
+        throw new RelayerError(409, `Order ${id} is already being validated`, { id });
+      }
+      validating.add(id);
+      try {
+        return await accept(id, tradeData);
+      } finally {
+        validating.delete(id);
+      }
+    },
+
+    get(id) {
+      return state.submissions[String(id).toLowerCase()] || null;
+    },
+
+    // Submissions with one of the given statuses (default: queued and submitted), oldest first
+    list(statuses = PENDING_STATUSES) {
+      return Object.values(state.submissions)
+        .filter(({ status }) => statuses.includes(status))
+        .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+    },
+
+    // Resume: keep waiting for submitted transactions, then work through the queue
+    start() {
+      running = true;
+      Object.values(state.submissions)
+        .filter(({ status, txHash }) => status === "submitted" && txHash)
+        .forEach((submission) => track(submission, wallet.provider.waitForTransaction(submission.txHash, confirmations)));
+      kick();
+    },
+
+    stop() {
+      running = false;
+    },
+
+    // Resolves once the queue has been worked through
+    idle() {
+      return working ? new Promise((resolve) => idleWaiters.push(resolve)) : Promise.resolve();
+    }
+  };
+
+  return relayer;
+}
+
+module.exports = {
+  RELAYER_STATE_VERSION,
+  DEFAULT_STATE_PATH,
+  SUBMISSION_STATUSES,
+  PENDING_STATUSES,
+  RelayerError,
+  createNonceManager,
+  executionCall,
+  createRelayer
+};
@@ -0,0 +1,119 @@
+// Structured reports for the diagnostics scripts
+// Each script records named sections (plain data) and findings as it runs. The same data is
+// either rendered as the human-readable output through per-section renderers, streamed as
+// NDJSON (one line per section or finding) or printed as a single JSON document at the end.
+const ethers = require('ethers');
+
+const REPORT_FORMATS = ["text", "json", "ndjson"];
+const REPORT_SCHEMA_VERSION = 1;
+
+const FINDING_PREFIXES = {
+  info: "ℹ️ ",
+  warning: "⚠️ WARNING: ",
+  error: "❌ "
+};
+
+// BigNumbers become decimal strings; everything else is left to JSON.stringify
+function jsonReplacer(key, value) {
+  if (value && value.type === "BigNumber" && value.hex) {
+    return ethers.BigNumber.from(value.hex).toString();
+  }
+  return value;
+}
+
+function toJson(value, indent) {
+  return JSON.stringify(value, jsonReplacer, indent);
+}
+
+// Pick the output format from an option or REPORT_FORMAT, defaulting to text
+function resolveFormat(format) {
+  const resolved = format || process.env.REPORT_FORMAT || "text";
+  if (!REPORT_FORMATS.includes(resolved)) {
+    throw new Error(`Unknown report format ${resolved}: expected ${REPORT_FORMATS.join(", ")}`);
+  }
+  return resolved;
+}
+
+// Create a reporter for one run of a script
+// Options:
+//   format     text, json or ndjson (default: REPORT_FORMAT or text)
+//   renderers  { [section]: (data, print) => void } used for the text format
+//   write      line writer, default: console.log
+function createReporter(kind, options = {}) {
+  const format = resolveFormat(options.format);
+  const renderers = options.renderers || {};
+  const write = options.write || ((line) => console.log(line));
+
+  const report = {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind: kind,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: "running",
+    sections: {},
+    findings: []
+  };
+
+  return {
+    report,
+    format,
+
+    // Progress and prose that only belongs in the human-readable output
+    log(message) {
+      if (format === "text") {
+        write(message);
+      }
+    },
+
+    // Record a named section and render or stream it
+    section(name, data) {
+      report.sections[name] = data;
+      if (format === "text") {
+        if (renderers[name]) {
+          renderers[name](data, write);
+        }
+      } else if (format === "ndjson") {
+        write(toJson({ type: "section", kind, name, data }));
+      }
+      return data;
+    },
+
+    // Record a finding; level is info, warning or error and code a stable identifier
+    finding(level, code, message, details) {
+      const finding = { level, code, message };
+      if (details !== undefined) {
+        finding.details = details;
+      }
+      report.findings.push(finding);
+
+      if (format === "text") {
+        write(`${FINDING_PREFIXES[level] || ""}${message}`);
+      } else if (format === "ndjson") {
+        write(toJson({ type: "finding", kind, ...finding }));
+      }
+      return finding;
+    },
+
+    // Close the report with a final status and emit it in the machine-readable formats
+    finish(status) {
+      report.status = status;
+      report.finishedAt = new Date().toISOString();
+      report.ok = !report.findings.some((finding) => finding.level === "error") && status !== "failed";
+
+      if (format === "json") {
+        write(toJson(report, 2));
+      } else if (format === "ndjson") {
+        write(toJson({ type: "result", kind, status: report.status, ok: report.ok, findings: report.findings.length }));
+      }
+      return report;
+    }
+  };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  REPORT_SCHEMA_VERSION,
+  resolveFormat,
+  createReporter,
+  toJson
+};
@@ -0,0 +1,370 @@
+// Decode reverts from exchange calls into a reason, a machine-readable code and a hint
+// Handles Error(string), Panic(uint256) and custom errors declared in any ABI under Foundry's
+// out/ directory, and digs the revert data out of the nested error objects providers return
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', '..', 'out');
+
+// Revert strings grouped by code. The ExchangeErrors constants keep their library names; the
+// AtomicSwap and OrderCancellation variants of the same checks share those codes.
+const REVERT_REASONS = [
+  // ExchangeErrors
+  { code: "ZERO_ADDRESS", reasons: ["Zero address not allowed"],
+    hint: "A contract address given to the exchange is zero; check the addresses used at deployment" },
+  { code: "ONLY_OWNER", reasons: ["Only owner can call this function", "Only owner can call"],
+    hint: "Send this call from the contract owner's account" },
+  { code: "ONLY_ADMIN", reasons: ["Only admin can call this function"],
+    hint: "Send this call from the proxy admin's account" },
+  { code: "ALREADY_INITIALIZED", reasons: ["Contract already initialized"],
+    hint: "The exchange is already initialised; use the setters to change its contracts instead" },
+  { code: "SAME_IMPLEMENTATION", reasons: ["Cannot upgrade to same implementation"],
+    hint: "Deploy a new implementation before upgrading" },
+  { code: "ORDER_EXPIRED", reasons: ["Order has expired", "Order expired"],
+    hint: "Create and sign a new order with a later expiry (--expires-in)" },
+  { code: "MAKER_NONCE_INVALID", reasons: ["Maker nonce is invalid", "Maker nonce invalid"],
+    hint: "The maker's nonce was used or advanced; recreate the order so it picks up the current nonce from the cancellation contract" },
+  { code: "TAKER_NONCE_INVALID", reasons: ["Taker nonce is invalid", "Taker nonce invalid"],
+    hint: "The taker's nonce was used or advanced; recreate the order so it picks up the current nonce from the cancellation contract" },
+  { code: "INVALID_MAKER_SIGNATURE", reasons: ["Invalid maker signature"],
+    hint: "Run `node test/cli.js order verify` to see whether the domain, the order fields or the maker's key is wrong" },
+  { code: "INVALID_TAKER_SIGNATURE", reasons: ["Invalid taker signature"],
+    hint: "Run `node test/cli.js order verify` to see whether the domain, the order fields or the taker's key is wrong" },
+  { code: "TOKEN_NOT_REGISTERED", reasons: ["Token not registered"],
+    hint: "Register and confirm both tokens in the exchange's registry before trading them" },
+  { code: "SWAP_NOT_COMPLIANT", reasons: ["Swap does not comply with token restrictions"],
+    hint: "A party fails the security token's compliance rules; run `node test/cli.js order explain --in <trade file>` to see which rule" },
+  { code: "INSUFFICIENT_MAKER_BALANCE", reasons: ["Maker has insufficient balance"],
+    hint: "Fund the maker with at least makerAmount of the maker token" },
+  { code: "INSUFFICIENT_MAKER_ALLOWANCE", reasons: ["Maker has insufficient allowance", "Maker has not approved transfer"],
+    hint: "Approve the exchange for at least makerAmount or include a maker permit" },
+  { code: "INSUFFICIENT_TAKER_BALANCE", reasons: ["Taker has insufficient balance"],
+    hint: "Fund the taker with at least takerAmount of the taker token" },
+  { code: "INSUFFICIENT_TAKER_ALLOWANCE", reasons: ["Taker has insufficient allowance", "Taker has not approved transfer"],
+    hint: "Approve the exchange for at least takerAmount or include a taker permit" },
+  { code: "FEE_EXCEEDS_AMOUNT", reasons: ["Fee exceeds transfer amount", "Fee exceeds amount"],
+    hint: "The fee configured for this token pair is larger than the amount traded; raise the amounts or lower the fee" },
+  { code: "MAKER_TRANSFER_FAILED", reasons: ["Maker token transfer failed"],
+    hint: "The maker token rejected the transfer; check its transfer restrictions and whether it is paused" },
+  { code: "MAKER_FEE_TRANSFER_FAILED", reasons: ["Maker fee transfer failed"],
+    hint: "The maker token rejected the fee transfer; check the fee wallet is allowed to receive it" },
+  { code: "TAKER_TRANSFER_FAILED", reasons: ["Taker token transfer failed"],
+    hint: "The taker token rejected the transfer; check its transfer restrictions and whether it is paused" },
+  { code: "TAKER_FEE_TRANSFER_FAILED", reasons: ["Taker fee transfer failed"],
+    hint: "The taker token rejected the fee transfer; check the fee wallet is allowed to receive it" },
+
+  // Permit checks in executeSignedOrderWithPermits
+  { code: "MAKER_PERMIT_TOKEN_MISMATCH", reasons: ["Maker permit token mismatch"],
+    hint: "Sign the maker permit for order.makerToken" },
+  { code: "MAKER_PERMIT_OWNER_MISMATCH", reasons: ["Maker permit owner mismatch"],
+    hint: "Sign the maker permit with the order maker's key" },
+  { code: "MAKER_PERMIT_VALUE_TOO_LOW", reasons: ["Maker permit value too low"],
+    hint: "Sign the maker permit for at least order.makerAmount" },
+  { code: "TAKER_PERMIT_TOKEN_MISMATCH", reasons: ["Taker permit token mismatch"],
+    hint: "Sign the taker permit for order.takerToken" },
+  { code: "TAKER_PERMIT_OWNER_MISMATCH", reasons: ["Taker permit owner mismatch"],
+    hint: "Sign the taker permit with the order taker's key" },
+  { code: "TAKER_PERMIT_VALUE_TOO_LOW", reasons: ["Taker permit value too low"],
+    hint: "Sign the taker permit for at least order.takerAmount" },
+
+  // Signatures and OrderCancellation
+  { code: "INVALID_SIGNATURE_LENGTH", reasons: ["Invalid signature length"],
+    hint: "Order signatures must be 65 bytes (r, s, v)" },
+  { code: "INVALID_SIGNATURE_V", reasons: ["Invalid signature 'v' value"],
+    hint: "The signature's v byte must be 27 or 28" },
+  { code: "ORDER_NONCE_USED", reasons: ["Order nonce already used"],
+    hint: "The order's nonce has been consumed; recreate the order with the current nonce" },
+  { code: "ONLY_MAKER_CAN_CANCEL", reasons: ["Only maker can cancel"],
+    hint: "Send the cancellation from the order maker's account" },
+  { code: "ONLY_PARTIES_CAN_CANCEL", reasons: ["Only maker or taker can cancel"],
+    hint: "Send the cancellation from the maker's or the taker's account" },
+  { code: "NONCE_NOT_AUTHORIZED", reasons: ["Not authorized to advance nonce", "Only owner or Exchange can use their nonce"],
+    hint: "Nonces can only be advanced by their owner or through the exchange" },
+
+  // OpenZeppelin ERC20 and ERC20Permit (pre-v5 revert strings)
+  { code: "TOKEN_INSUFFICIENT_ALLOWANCE", reasons: ["ERC20: insufficient allowance"],
+    hint: "Approve the exchange on the token or include a permit" },
+  { code: "TOKEN_INSUFFICIENT_BALANCE", reasons: ["ERC20: transfer amount exceeds balance"],
+    hint: "Fund the sending party with enough of the token" },
+  { code: "PERMIT_EXPIRED", reasons: ["ERC20Permit: expired deadline"],
+    hint: "Regenerate the permits with a later deadline (PERMIT_DEADLINE)" },
+  { code: "PERMIT_INVALID_SIGNATURE", reasons: ["ERC20Permit: invalid signature"],
+    hint: "The permit nonce or domain is stale; regenerate the permits with generate_mt.js" },
+  { code: "TOKEN_PAUSED", reasons: ["Pausable: paused"],
+    hint: "The token is paused; unpause it before trading" }
+];
+
+// OpenZeppelin v5 custom errors that mean the same as the strings above
+const CUSTOM_ERROR_CODES = {
+  ERC20InsufficientAllowance: "TOKEN_INSUFFICIENT_ALLOWANCE",
+  ERC20InsufficientBalance: "TOKEN_INSUFFICIENT_BALANCE",
+  ERC2612ExpiredSignature: "PERMIT_EXPIRED",
+  ERC2612InvalidSigner: "PERMIT_INVALID_SIGNATURE",
+  EnforcedPause: "TOKEN_PAUSED"
+};
+
+const PANIC_REASONS = {
+  0x00: "generic compiler panic",
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array encoding",
+  0x31: "pop from an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialised function"
+};
+
+const REASONS_BY_STRING = {};
+const HINTS_BY_CODE = {};
+REVERT_REASONS.forEach(({ code, reasons, hint }) => {
+  reasons.forEach((reason) => { REASONS_BY_STRING[reason] = code; });
+  HINTS_BY_CODE[code] = hint;
+});
+
+// Messages that say a call reverted without saying why
+const GENERIC_REASONS = /^(execution reverted|transaction failed|missing revert data)/i;
+
+const customErrorCache = {};
+
+// Collect every custom error declared in the ABIs under outDir (Foundry's out/ layout)
+// Returns null when outDir does not exist
+function loadCustomErrors(outDir = DEFAULT_OUT_DIR) {
+  if (customErrorCache[outDir] !== undefined) {
+    return customErrorCache[outDir];
+  }
+  if (!fs.existsSync(outDir)) {
+    customErrorCache[outDir] = null;
+    return null;
+  }
+
+  const fragments = {};
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.name.endsWith('.json')) {
+        let artifact;
+        try {
+          artifact = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+        } catch (error) {
+          return;
+        }
+        (Array.isArray(artifact.abi) ? artifact.abi : [])
+          .filter((item) => item.type === "error")
+          .forEach((item) => {
+            const fragment = ethers.utils.ErrorFragment.from(item);
+            fragments[fragment.format()] = fragment;
+          });
+      }
+    });
+  };
+  walk(outDir);
+
+  customErrorCache[outDir] = new ethers.utils.Interface(Object.values(fragments));
+  return customErrorCache[outDir];
+}
+
+function isRevertData(value) {
+  return typeof value === "string" && /^0x([0-9a-fA-F]{2})*$/.test(value) && (value.length === 2 || value.length >= 10);
+}
+
+// Find revert data in an error, looking through the wrappers providers add
+// (error.error.data, error.data.data, JSON-RPC bodies and so on)
+function findRevertData(error, depth = 0) {
+  if (error === null || error === undefined || depth > 6) {
+    return null;
+  }
+  if (typeof error === "string") {
+    return isRevertData(error) ? error : null;
+  }
+  if (typeof error !== "object") {
+    return null;
+  }
+
+  if (typeof error.body === "string") {
+    try {
+      const body = JSON.parse(error.body);
+      const data = findRevertData(body.error, depth + 1);
+      if (data) {
+        return data;
+      }
+    } catch (parseError) {
+      // Not a JSON-RPC body
+    }
+  }
+
+  for (const key of ["data", "error", "info", "cause"]) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+}
+
+// Pull a revert string out of an error message when there is no revert data to decode
+function reasonFromMessage(error) {
+  const message = typeof error.message === "string" ? error.message : "";
+  const patterns = [
+    /reverted with reason string '([^']*)'/,
+    /execution reverted: ([^"\n]+)/,
+    /reason="([^"]+)"/
+  ];
+
+  // ethers also sets reason on network and argument errors, which are not reverts
+  const isRevert = /revert/i.test(message) || ["CALL_EXCEPTION", "UNPREDICTABLE_GAS_LIMIT"].includes(error.code);
+  if (!isRevert) {
+    return null;
+  }
+
+  for (const pattern of patterns) {
+    const match = message.match(pattern);
+    if (match && !GENERIC_REASONS.test(match[1])) {
+      return match[1];
+    }
+  }
+  if (typeof error.reason === "string" && !GENERIC_REASONS.test(error.reason)) {
+    return error.reason;
+  }
+  return null;
+}
+
+function formatArg(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatArg);
+  }
+  return value;
+}
+
+function unknownRevert(data) {
+  return {
+    kind: "unknown",
+    selector: null,
+    reason: null,
+    code: null,
+    hint: null,
+    panicCode: null,
+    errorName: null,
+    args: null,
+    data: data
+  };
+}
+
+// Decode raw revert data
+// Returns the same shape as decodeRevert() without the provider message
+function decodeRevertData(data, options = {}) {
+  const result = unknownRevert(data);
+
+  if (data === "0x") {
+    result.kind = "empty";
+    result.reason = "reverted without a reason";
+    return result;
+  }
+
+  result.selector = data.slice(0, 10).toLowerCase();
+
+  if (result.selector === ERROR_SELECTOR) {
+    try {
+      result.kind = "error";
+      result.reason = ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4))[0];
+      result.code = REASONS_BY_STRING[result.reason] || null;
+    } catch (error) {
+      result.kind = "unknown";
+    }
+  } else if (result.selector === PANIC_SELECTOR) {
+    try {
+      result.kind = "panic";
+      result.panicCode = ethers.utils.defaultAbiCoder.decode(["uint256"], ethers.utils.hexDataSlice(data, 4))[0].toNumber();
+      result.reason = PANIC_REASONS[result.panicCode] || "unknown panic";
+      result.code = "PANIC";
+    } catch (error) {
+      result.kind = "unknown";
+    }
+  } else {
+    const errors = options.customErrors !== undefined ? options.customErrors : loadCustomErrors(options.outDir);
+    if (errors) {
+      try {
+        const parsed = errors.parseError(data);
+        result.kind = "custom";
+        result.errorName = parsed.name;
+        result.args = parsed.args.map(formatArg);
+        result.reason = `${parsed.name}(${result.args.join(", ")})`;
+        result.code = CUSTOM_ERROR_CODES[parsed.name] || null;
+      } catch (error) {
+        // Not declared in any known ABI
+      }
+    }
+  }
+
+  if (result.code) {
+    result.hint = HINTS_BY_CODE[result.code] || null;
+  }
+  return result;
+}
+
+// Decode the revert behind an ethers/provider error (or raw revert data)
+// Returns { kind, selector, reason, code, hint, panicCode, errorName, args, data, message } where kind is
+// "error", "panic", "custom", "empty" or "unknown" and code is an ExchangeErrors-style name when known.
+// Options: outDir for custom error ABIs (default: out/), customErrors to pass an Interface directly
+function decodeRevert(error, options = {}) {
+  if (typeof error === "string") {
+    return { ...decodeRevertData(error, options), message: null };
+  }
+
+  const data = findRevertData(error);
+  const result = data ? decodeRevertData(data, options) : unknownRevert(null);
+  result.message = (error && error.message) || "Unknown error";
+
+  if (!data || result.kind === "unknown") {
+    const reason = reasonFromMessage(error || {});
+    result.kind = reason ? "error" : "unknown";
+    result.reason = reason;
+    result.code = reason ? REASONS_BY_STRING[reason] || null : null;
+    result.hint = result.code ? HINTS_BY_CODE[result.code] : null;
+  }
+
+  return result;
+}
+
+// Human-readable summary of a decoded revert, one fact per line
+function formatRevert(revert) {
+  const lines = [];
+
+  if (revert.kind === "panic") {
+    lines.push(`Panic 0x${revert.panicCode.toString(16).padStart(2, "0")}: ${revert.reason}`);
+  } else if (revert.kind === "custom") {
+    lines.push(`Custom error: ${revert.reason}`);
+  } else if (revert.reason) {
+    lines.push(`Revert reason: ${revert.reason}${revert.code ? ` [${revert.code}]` : ""}`);
+  } else {
+    lines.push(`Error: ${revert.message}`);
+    if (revert.selector) {
+      lines.push(`Unrecognised revert data with selector ${revert.selector}`);
+    }
+  }
+
+  if (revert.hint) {
+    lines.push(`Hint: ${revert.hint}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  REVERT_REASONS,
+  PANIC_REASONS,
+  loadCustomErrors,
+  findRevertData,
+  decodeRevertData,
+  decodeRevert,
+  formatRevert
+};
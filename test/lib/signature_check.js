@@ -0,0 +1,195 @@
+// Off-chain verification of the order signatures in a trade file
+// Recovers the maker and taker locally with the same EIP-712 digest as Signatures.hashOrder() and,
+// given a provider, cross-checks the digest against the signatures contract the exchange uses
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, SIGNATURES_ABI } = require('./abis');
+const { ORDER_TYPES, EXCHANGE_NAME, EXCHANGE_VERSION, hashDomain, hashOrderStruct, hashOrder } = require('./orders');
+
+const PARTIES = ["maker", "taker"];
+
+// Failure kinds, from the most to the least fundamental
+const DOMAIN_MISMATCH = "domain-mismatch";
+const STRUCT_MISMATCH = "struct-mismatch";
+const WRONG_SIGNER = "wrong-signer";
+const MISSING_SIGNATURE = "missing-signature";
+
+function sameHex(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+function localOrderTypeHash() {
+  return ethers.utils.id(ethers.utils._TypedDataEncoder.from(ORDER_TYPES).encodeType("OrderInfo"));
+}
+
+// Recover the signer of digest without throwing, mirroring Signatures.recoverSigner()
+function tryRecover(digest, signature) {
+  try {
+    const bytes = ethers.utils.arrayify(signature);
+    if (bytes.length !== 65) {
+      return { error: "Invalid signature length" };
+    }
+    return { signer: ethers.utils.recoverAddress(digest, bytes) };
+  } catch (error) {
+    return { error: error.reason || error.message };
+  }
+}
+
+// Work out which domain fields differ from the one the contract uses by trying the likely
+// alternatives (the signatures contract as verifyingContract, the connected chain ID and the
+// deployed name and version) until one hashes to the on-chain separator
+function diagnoseDomain(domain, onChainSeparator, candidates) {
+  const options = {
+    name: [domain.name, EXCHANGE_NAME],
+    version: [domain.version, EXCHANGE_VERSION],
+    chainId: [domain.chainId, candidates.chainId],
+    verifyingContract: [domain.verifyingContract, candidates.signaturesAddress, candidates.exchangeAddress]
+  };
+
+  for (const name of new Set(options.name)) {
+    for (const version of new Set(options.version)) {
+      for (const chainId of new Set(options.chainId.filter((id) => id !== undefined))) {
+        for (const verifyingContract of new Set(options.verifyingContract.filter(Boolean))) {
+          const candidate = { name, version, chainId: Number(chainId), verifyingContract };
+          if (sameHex(hashDomain(candidate), onChainSeparator)) {
+            const differences = Object.keys(candidate)
+              .filter((field) => String(candidate[field]).toLowerCase() !== String(domain[field]).toLowerCase())
+              .map((field) => ({ field, expected: candidate[field], actual: domain[field] }));
+            return { domain: candidate, differences };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// Read the separator, type hash and order digest from the signatures contract behind the exchange
+async function readOnChainHashes(order, exchangeAddress, provider) {
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  const signaturesAddress = await exchange.getSignaturesContract();
+  const signatures = new ethers.Contract(signaturesAddress, SIGNATURES_ABI, provider);
+
+  const [domainSeparator, orderTypeHash, orderHash, network] = await Promise.all([
+    signatures.getDomainSeparator(),
+    signatures.getOrderTypeHash(),
+    signatures.hashOrder(order),
+    provider.getNetwork()
+  ]);
+
+  return { signaturesAddress, domainSeparator, orderTypeHash, orderHash, chainId: network.chainId };
+}
+
+// Verify both order signatures in a (validated) trade file
+// Options: provider and exchangeAddress enable the on-chain cross-check; without them only the
+// local recovery runs. Returns a report with the local and on-chain hashes, each party's
+// recovered signer and a list of { kind, party, message } failures where kind is one of
+// domain-mismatch, struct-mismatch, wrong-signer or missing-signature.
+async function verifyTradeSignatures(tradeData, options = {}) {
+  const { domain, order } = tradeData;
+  const signatures = tradeData.signatures || {};
+
+  const local = {
+    domainSeparator: hashDomain(domain),
+    orderTypeHash: localOrderTypeHash(),
+    structHash: hashOrderStruct(order),
+    orderHash: hashOrder(order, domain)
+  };
+
+  const report = {
+    ok: true,
+    local: local,
+    onChain: null,
+    domainMatches: null,
+    typeHashMatches: null,
+    orderHashMatches: null,
+    domainDiagnosis: null,
+    parties: {},
+    failures: []
+  };
+
+  if (options.provider && options.exchangeAddress) {
+    const onChain = await readOnChainHashes(order, options.exchangeAddress, options.provider);
+    report.onChain = onChain;
+    report.domainMatches = sameHex(local.domainSeparator, onChain.domainSeparator);
+    report.typeHashMatches = sameHex(local.orderTypeHash, onChain.orderTypeHash);
+    report.orderHashMatches = sameHex(local.orderHash, onChain.orderHash);
+
+    if (!report.domainMatches) {
+      report.domainDiagnosis = diagnoseDomain(domain, onChain.domainSeparator, {
+        chainId: onChain.chainId,
+        signaturesAddress: onChain.signaturesAddress,
+        exchangeAddress: options.exchangeAddress
+      });
+    }
+  }
+
+  // The contract checks signatures against its own digest, so prefer that when we have it
+  const effectiveHash = report.onChain ? report.onChain.orderHash : local.orderHash;
+
+  PARTIES.forEach((party) => {
+    const expected = order[party];
+    const signature = signatures[party];
+    const result = { expected, signature, recovered: null, recoveredOnChain: null, valid: false };
+    report.parties[party] = result;
+
+    if (!signature) {
+      report.failures.push({ kind: MISSING_SIGNATURE, party, message: `No ${party} signature in the trade file` });
+      return;
+    }
+
+    const localRecovery = tryRecover(local.orderHash, signature);
+    result.recovered = localRecovery.signer || null;
+    result.error = localRecovery.error;
+
+    if (report.onChain) {
+      result.recoveredOnChain = tryRecover(effectiveHash, signature).signer || null;
+    }
+
+    const validLocally = sameHex(result.recovered, expected);
+    result.valid = report.onChain ? sameHex(result.recoveredOnChain, expected) : validLocally;
+    if (result.valid) {
+      return;
+    }
+
+    // A signature that is good for the file's own digest but not the contract's means the file
+    // was signed over the wrong domain or struct rather than by the wrong key
+    if (validLocally && report.domainMatches === false) {
+      report.failures.push({
+        kind: DOMAIN_MISMATCH,
+        party,
+        message: `${party} signed for domain ${local.domainSeparator}, but the signatures contract uses ${report.onChain.domainSeparator}`
+      });
+    } else if (validLocally && report.orderHashMatches === false) {
+      report.failures.push({
+        kind: STRUCT_MISMATCH,
+        party,
+        message: report.typeHashMatches === false
+          ? `The OrderInfo type hash differs from the contract's (${local.orderTypeHash} vs ${report.onChain.orderTypeHash})`
+          : `The order hashes to ${local.orderHash} locally but ${report.onChain.orderHash} on chain`
+      });
+    } else {
+      report.failures.push({
+        kind: WRONG_SIGNER,
+        party,
+        message: result.error
+          ? `${party} signature cannot be recovered: ${result.error}`
+          : `${party} signature recovers to ${result.recovered}, expected order.${party} ${expected}`
+      });
+    }
+  });
+
+  report.ok = report.failures.length === 0;
+  return report;
+}
+
+module.exports = {
+  DOMAIN_MISMATCH,
+  STRUCT_MISMATCH,
+  WRONG_SIGNER,
+  MISSING_SIGNATURE,
+  diagnoseDomain,
+  readOnChainHashes,
+  verifyTradeSignatures
+};
@@ -0,0 +1,313 @@
+// Asset registry management: registering, confirming and aliasing tokens, and listing them
+// Registry.registerToken() records a token as pending; confirmTokenRegistration() must then be
+// called with the same symbol, decimals and security-token flag to finalise it, after which the
+// exchange accepts it. addTokenSymbol() maps a further symbol to a confirmed token. All three are
+// onlyOwner. The registry stores whatever symbol and decimals it is given, so each is checked
+// against the token's own symbol() and decimals() before anything is sent.
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, REGISTRY_ABI, ERC20_ABI, SECURITY_TOKEN_ABI } = require('./abis');
+const { createMulticall } = require('./multicall');
+const { deploymentBlock } = require('./deployments');
+
+const ASSET_STATUSES = ["unregistered", "pending", "confirmed"];
+const DEFAULT_BLOCK_RANGE = 2000;
+// Registry.registerToken() refuses more than this
+const MAX_DECIMALS = 32;
+
+const TOKEN_CHECK_ABI = [...ERC20_ABI, "function totalSupply() view returns (uint256)", "function attributeRegistry() view returns (address)"];
+
+// The registry to manage: registryAddress, else REGISTRY_ADDRESS, else the exchange's
+async function getRegistry(provider, options = {}) {
+  const address = options.registryAddress || process.env.REGISTRY_ADDRESS;
+  if (address) {
+    return new ethers.Contract(address, REGISTRY_ABI, provider);
+  }
+  const exchangeAddress = options.exchangeAddress || process.env.EXCHANGE_ADDRESS;
+  if (!exchangeAddress) {
+    throw new Error("No registry address: pass --registry or set REGISTRY_ADDRESS or EXCHANGE_ADDRESS");
+  }
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  return new ethers.Contract(await exchange.getRegistryContract(), REGISTRY_ABI, provider);
+}
+
+// What the registry holds for a token: { status, symbol, decimals, isSecurityToken, confirmedTimestamp }
+async function readAsset(registry, tokenAddress) {
+  const asset = await registry.assetsByAddress(tokenAddress);
+  return {
+    status: !asset.exists ? "unregistered" : asset.isConfirmed ? "confirmed" : "pending",
+    symbol: asset.exists ? asset.symbol : null,
+    decimals: asset.exists ? asset.decimals : null,
+    isSecurityToken: asset.exists ? asset.isSecurityToken : null,
+    confirmedTimestamp: asset.isConfirmed ? Number(asset.confirmedTimestamp) : null
+  };
+}
+
+// Fail unless the signer owns the registry, before any transaction is simulated
+async function requireOwner(registry, signer) {
+  const [owner, signerAddress] = await Promise.all([registry.owner(), signer.getAddress()]);
+  if (owner !== signerAddress) {
+    throw new Error(`${signerAddress} is not the registry owner ${owner}; only the owner can change the registry`);
+  }
+}
+
+// Read the token and the registry's record of it and check what is about to be registered
+// requested: { symbol, decimals, isSecurityToken }; symbol and decimals default to the token's own
+// Options: allowSymbolMismatch (register under a symbol other than the token's symbol())
+// Returns { registry, token, requested, onChain, asset, errors, warnings }
+async function planRegistration(registry, tokenAddress, requested = {}, options = {}) {
+  const provider = registry.provider;
+  const token = ethers.utils.getAddress(tokenAddress);
+  const contract = new ethers.Contract(token, TOKEN_CHECK_ABI, provider);
+  const { call } = createMulticall(provider, options.multicall);
+  const errors = [];
+  const warnings = [];
+
+  const [code, asset] = await Promise.all([provider.getCode(token), readAsset(registry, token)]);
+  const [symbol, decimals, totalSupply, attributeRegistry] = code === "0x"
+    ? [{ ok: false }, { ok: false }, { ok: false }, { ok: false }]
+    : await call(["symbol", "decimals", "totalSupply", "attributeRegistry"].map((method) => ({ contract, method })));
+  const onChain = {
+    hasCode: code !== "0x",
+    symbol: symbol.ok ? symbol.value : null,
+    decimals: decimals.ok ? decimals.value : null,
+    isErc20: totalSupply.ok,
+    attributeRegistry: attributeRegistry.ok ? attributeRegistry.value : null
+  };
+
+  const isSecurityToken = requested.isSecurityToken !== undefined ? Boolean(requested.isSecurityToken) : onChain.attributeRegistry !== null;
+  const plan = {
+    registry: registry.address,
+    token,
+    requested: {
+      symbol: requested.symbol || onChain.symbol,
+      decimals: requested.decimals !== undefined && requested.decimals !== null ? Number(requested.decimals) : onChain.decimals,
+      isSecurityToken
+    },
+    onChain,
+    asset,
+    errors,
+    warnings
+  };
+
+  if (!onChain.hasCode) {
+    errors.push(`${token} has no code; the registry only accepts contracts`);
+    return plan;
+  }
+  if (!plan.requested.symbol) {
+    errors.push(`${token} has no readable symbol(); pass one`);
+  } else if (onChain.symbol === null) {
+    warnings.push(`${token} has no readable symbol(), so ${plan.requested.symbol} could not be checked`);
+  } else if (plan.requested.symbol !== onChain.symbol) {
+    (options.allowSymbolMismatch ? warnings : errors).push(`Symbol ${plan.requested.symbol} differs from the token's symbol() ${onChain.symbol}`);
+  }
+  if (plan.requested.decimals === null) {
+    errors.push(`${token} has no readable decimals(); pass them`);
+  } else if (plan.requested.decimals > MAX_DECIMALS) {
+    errors.push(`Decimals ${plan.requested.decimals} exceed the registry's maximum of ${MAX_DECIMALS}`);
+  } else if (onChain.decimals === null) {
+    warnings.push(`${token} has no readable decimals(), so ${plan.requested.decimals} could not be checked`);
+  } else if (plan.requested.decimals !== onChain.decimals) {
+    // Amounts would be scaled wrongly everywhere the registry's decimals are used
+    errors.push(`Decimals ${plan.requested.decimals} differ from the token's decimals() ${onChain.decimals}`);
+  }
+  if (isSecurityToken && onChain.attributeRegistry === null) {
+    errors.push(`${token} has no attributeRegistry(), which the registry requires of a security token`);
+  } else if (!isSecurityToken && !onChain.isErc20) {
+    errors.push(`${token} has no totalSupply(), which the registry requires of an ERC20 token`);
+  } else if (!isSecurityToken && onChain.attributeRegistry !== null) {
+    warnings.push(`${token} has an attribute registry (${onChain.attributeRegistry}) but is being registered as a plain ERC20 token`);
+  }
+
+  if (asset.status === "confirmed") {
+    errors.push(`${token} is already confirmed as ${asset.symbol}; a confirmed asset cannot be registered again (use add-symbol for another symbol)`);
+  } else if (asset.status === "pending") {
+    const same = asset.symbol === plan.requested.symbol && asset.decimals === plan.requested.decimals && asset.isSecurityToken === isSecurityToken;
+    warnings.push(same
+      ? `${token} is already pending with the same details; only the confirmation is needed`
+      : `${token} is pending as ${asset.symbol} (${asset.decimals} decimals${asset.isSecurityToken ? ", security token" : ""}); registering again replaces that`);
+  }
+  return plan;
+}
+
+// Simulate, send and wait for one registry call
+async function sendRegistryCall(registry, signer, method, args, options) {
+  const writable = registry.connect(signer);
+  // Surface the revert reason before paying for gas
+  await writable.callStatic[method](...args);
+  if (options.dryRun) {
+    return { method, args, dryRun: true };
+  }
+  const tx = await writable[method](...args, options.overrides || {});
+  const receipt = await tx.wait(options.confirmations !== undefined ? Number(options.confirmations) : 1);
+  return { method, args, dryRun: false, txHash: tx.hash, blockNumber: receipt.blockNumber };
+}
+
+// Register a planned token and, with options.confirm, confirm it straight away
+// A token already pending with the same details is only confirmed
+// Options: confirm, dryRun (simulate only; a confirmation cannot be simulated before the
+// registration is mined), confirmations (default 1), overrides (gas settings)
+// Returns { steps: [{ method, args, dryRun, txHash, blockNumber }], asset } with the asset read afterwards
+async function registerToken(plan, signer, options = {}) {
+  if (plan.errors.length > 0) {
+    throw new Error(plan.errors.join("; "));
+  }
+  const registry = new ethers.Contract(plan.registry, REGISTRY_ABI, signer.provider);
+  await requireOwner(registry, signer);
+
+  const { token, requested } = plan;
+  const args = [token, requested.symbol, requested.decimals, requested.isSecurityToken];
+  const alreadyPending = plan.asset.status === "pending" && plan.asset.symbol === requested.symbol &&
+    plan.asset.decimals === requested.decimals && plan.asset.isSecurityToken === requested.isSecurityToken;
+
+  const steps = [];
+  if (!alreadyPending) {
+    steps.push(await sendRegistryCall(registry, signer, "registerToken", args, options));
+  }
+  if ((options.confirm || alreadyPending) && !(options.dryRun && !alreadyPending)) {
+    steps.push(await sendRegistryCall(registry, signer, "confirmTokenRegistration", args, options));
+  }
+  return { steps, asset: await readAsset(registry, token) };
+}
+
+// Confirm a pending token with the details it was registered with, once they are checked
+// against the token the same way as for a registration
+// Options as for registerToken(), plus allowSymbolMismatch
+// Returns { steps, asset }
+async function confirmToken(registry, tokenAddress, signer, options = {}) {
+  const token = ethers.utils.getAddress(tokenAddress);
+  const asset = await readAsset(registry, token);
+  if (asset.status !== "pending") {
+    throw new Error(asset.status === "confirmed" ? `${token} is already confirmed as ${asset.symbol}` : `${token} is not registered; register it first`);
+  }
+  const plan = await planRegistration(registry, token, asset, options);
+  if (plan.errors.length > 0) {
+    throw new Error(`${plan.errors.join("; ")}; register it again with the right details before confirming`);
+  }
+  await requireOwner(registry, signer);
+  const step = await sendRegistryCall(registry, signer, "confirmTokenRegistration", [token, asset.symbol, asset.decimals, asset.isSecurityToken], options);
+  return { steps: [step], asset: await readAsset(registry, token) };
+}
+
+// Map a further symbol to a confirmed token
+// The registry resolves a symbol to the asset most recently confirmed or aliased under it, so a
+// symbol already in use moves to this token
+// Options as for registerToken()
+// Returns { steps, asset, previous } where previous is the token the symbol resolved to before, if any
+async function addTokenSymbol(registry, tokenAddress, symbol, signer, options = {}) {
+  const token = ethers.utils.getAddress(tokenAddress);
+  const [asset, nativeSymbol] = await Promise.all([readAsset(registry, token), registry.nativeAssetSymbol()]);
+  if (asset.status !== "confirmed") {
+    throw new Error(`${token} is ${asset.status}; only a confirmed asset can have another symbol`);
+  }
+  if (symbol === nativeSymbol) {
+    throw new Error(`${symbol} is reserved for the native asset`);
+  }
+  let previous = null;
+  try {
+    previous = (await registry.getAssetBySymbol(symbol)).assetAddress;
+  } catch (error) {
+    // No asset has this symbol yet
+  }
+  await requireOwner(registry, signer);
+  const step = await sendRegistryCall(registry, signer, "addTokenSymbol", [token, symbol], options);
+  return { steps: [step], asset: await readAsset(registry, token), previous: previous && previous !== token ? previous : null };
+}
+
+// The block a registry was deployed in, from the broadcast records, or 0 if there are none
+function registryStartBlock(chainId, registryAddress) {
+  return deploymentBlock(chainId, "registry", registryAddress);
+}
+
+// Every asset the registry's events mention, with its current record
+// Options: fromBlock (default: the registry's deployment block from the broadcast records, or 0),
+// toBlock (default: latest), blockRange (default 2000), multicall (createMulticall() options)
+// Returns { registry, fromBlock, toBlock, nativeSymbol, assets } where each asset is { address,
+// status, symbol, decimals, isSecurityToken, symbols, registeredBlock, confirmedBlock, confirmedAt,
+// onChain: { symbol, decimals }, mismatches, history: [{ event, symbol, blockNumber, txHash }] },
+// ordered by first registration
+async function listRegisteredAssets(registry, options = {}) {
+  const provider = registry.provider;
+  const { chainId } = await provider.getNetwork();
+  const toBlock = options.toBlock !== undefined ? Number(options.toBlock) : await provider.getBlockNumber();
+  const fromBlock = options.fromBlock !== undefined ? Number(options.fromBlock) : registryStartBlock(chainId, registry.address);
+  const blockRange = Number(options.blockRange || DEFAULT_BLOCK_RANGE);
+  const topics = [["AssetRegistered", "AssetConfirmed", "SymbolAdded"].map((name) => registry.interface.getEventTopic(name))];
+
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    logs.push(...await provider.getLogs({ address: registry.address, topics, fromBlock: start, toBlock: end }));
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const assets = new Map();
+  logs.forEach((log) => {
+    const parsed = registry.interface.parseLog(log);
+    const address = ethers.utils.getAddress(parsed.args.assetAddress);
+    if (!assets.has(address)) {
+      assets.set(address, { address, symbols: [], registeredBlock: null, confirmedBlock: null, history: [] });
+    }
+    const asset = assets.get(address);
+    asset.history.push({ event: parsed.name, symbol: parsed.args.symbol, blockNumber: log.blockNumber, txHash: log.transactionHash });
+    if (parsed.name === "AssetRegistered") {
+      asset.registeredBlock = log.blockNumber;
+    } else if (parsed.name === "AssetConfirmed") {
+      asset.confirmedBlock = log.blockNumber;
+    }
+    if (parsed.name !== "AssetRegistered" && !asset.symbols.includes(parsed.args.symbol)) {
+      asset.symbols.push(parsed.args.symbol);
+    }
+  });
+
+  // The events only say what happened; the registry's record says what stands now, and is
+  // checked against what the token itself reports
+  const list = [...assets.values()];
+  const { call } = createMulticall(provider, options.multicall);
+  const results = await call(list.flatMap(({ address }) => {
+    const token = new ethers.Contract(address, SECURITY_TOKEN_ABI, provider);
+    return [
+      { contract: registry, method: "assetsByAddress", args: [address] },
+      { contract: token, method: "symbol" },
+      { contract: token, method: "decimals" }
+    ];
+  }));
+  list.forEach((asset, index) => {
+    const [record, symbol, decimals] = results.slice(index * 3, index * 3 + 3);
+    Object.assign(asset, record.ok ? {
+      status: !record.value.exists ? "unregistered" : record.value.isConfirmed ? "confirmed" : "pending",
+      symbol: record.value.symbol,
+      decimals: record.value.decimals,
+      isSecurityToken: record.value.isSecurityToken,
+      confirmedAt: record.value.isConfirmed ? Number(record.value.confirmedTimestamp) : null
+    } : { status: null, symbol: null, decimals: null, isSecurityToken: null, confirmedAt: null });
+    asset.onChain = { symbol: symbol.ok ? symbol.value : null, decimals: decimals.ok ? decimals.value : null };
+    asset.mismatches = [];
+    if (asset.symbol !== null && asset.onChain.symbol !== null && asset.symbol !== asset.onChain.symbol) {
+      asset.mismatches.push(`registered as ${asset.symbol} but symbol() is ${asset.onChain.symbol}`);
+    }
+    if (asset.decimals !== null && asset.onChain.decimals !== null && asset.decimals !== asset.onChain.decimals) {
+      asset.mismatches.push(`registered with ${asset.decimals} decimals but decimals() is ${asset.onChain.decimals}`);
+    }
+  });
+
+  let nativeSymbol = null;
+  try {
+    nativeSymbol = await registry.nativeAssetSymbol();
+  } catch (error) {
+    // Older registries without the getter
+  }
+  return { registry: registry.address, fromBlock, toBlock, nativeSymbol, assets: list };
+}
+
+module.exports = {
+  ASSET_STATUSES,
+  getRegistry,
+  readAsset,
+  planRegistration,
+  registerToken,
+  confirmToken,
+  addTokenSymbol,
+  registryStartBlock,
+  listRegisteredAssets
+};
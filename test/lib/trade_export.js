@@ -0,0 +1,179 @@
+// Trade blotters reconstructed from indexed SignedOrderExecuted events (see event_indexer.js)
+// Amounts are scaled by the registry's decimals for each token. SignedOrderExecuted does not
+// carry the fee wallet, so it comes from the last FeeModified for the pair before the trade, or
+// from the fees contract's current setting when the index has no FeeModified for the pair.
+const ethers = require('ethers');
+
+const { EXCHANGE_ABI, REGISTRY_ABI } = require('./abis');
+const { getFeesContract } = require('./fees');
+const { getTokenInfo } = require('./order_builder');
+
+const EXPORT_FORMATS = ["csv", "jsonl"];
+
+const BLOTTER_COLUMNS = [
+  "timestamp", "blockNumber", "txHash", "orderHash",
+  "account", "role", "counterparty",
+  "maker", "taker",
+  "makerToken", "makerSymbol", "makerAmount",
+  "takerToken", "takerSymbol", "takerAmount",
+  "makerFee", "takerFee", "feeWallet", "feeWalletSource"
+];
+
+// Token decimals and symbol from the registry, falling back to the token itself when the
+// registry has no confirmed asset for it
+async function getAssetInfo(registry, tokenAddress, provider) {
+  try {
+    const asset = await registry.getAssetByAddress(tokenAddress);
+    return { address: ethers.utils.getAddress(tokenAddress), symbol: asset.symbol, decimals: Number(asset.decimals), registered: true };
+  } catch (error) {
+    return { ...await getTokenInfo(tokenAddress, provider), registered: false };
+  }
+}
+
+// A token filter is an address or a registry symbol (resolved with getAssetBySymbol)
+async function resolveTokenFilter(registry, token) {
+  if (ethers.utils.isAddress(token)) {
+    return ethers.utils.getAddress(token);
+  }
+  try {
+    return (await registry.getAssetBySymbol(token)).assetAddress;
+  } catch (error) {
+    throw new Error(`Registry has no confirmed asset with symbol ${token}`);
+  }
+}
+
+// Unix seconds from a unix timestamp or anything Date.parse() accepts (e.g. 2025-01-31)
+// endOfDay makes a bare date include the whole day, for inclusive upper bounds
+function parseTime(value, endOfDay = false) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (/^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid date ${value}: expected a unix timestamp or a date such as 2025-01-31`);
+  }
+  const seconds = Math.floor(parsed / 1000);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? seconds + 86399 : seconds;
+}
+
+// The fee wallet in force for a pair at a log position, from indexed FeeModified events
+function feeWalletAt(feeEvents, makerToken, takerToken, blockNumber, logIndex) {
+  const matches = feeEvents.filter(({ args }) => args.token1 === makerToken && args.token2 === takerToken)
+    .filter((record) => record.blockNumber < blockNumber || (record.blockNumber === blockNumber && record.logIndex < logIndex));
+  if (matches.length === 0) {
+    return null;
+  }
+  const latest = matches[matches.length - 1].args;
+  return latest.feeWallet || latest.fee1Wallet;
+}
+
+// Build blotter rows from indexed event records
+// Options: exchangeAddress (default: the records' exchange), account (only trades where it is the
+// maker or taker, seen from its side), token (address or registry symbol on either side),
+// from and to (inclusive; unix timestamps or dates)
+// Returns { rows, tokens } with one row per trade, oldest first
+async function buildTradeBlotter(records, provider, options = {}) {
+  const fills = records.filter((record) => record.event === "SignedOrderExecuted");
+  const feeEvents = records.filter((record) => record.event === "FeeModified");
+  const exchangeAddress = options.exchangeAddress || (records[0] && records[0].exchange);
+  if (!exchangeAddress) {
+    return { rows: [], tokens: {} };
+  }
+
+  const exchange = new ethers.Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  const registry = new ethers.Contract(await exchange.getRegistryContract(), REGISTRY_ABI, provider);
+  const account = options.account ? ethers.utils.getAddress(options.account) : null;
+  const token = options.token ? await resolveTokenFilter(registry, options.token) : null;
+  const from = parseTime(options.from);
+  const to = parseTime(options.to, true);
+
+  const selected = fills
+    .filter((record) => from === null || record.timestamp >= from)
+    .filter((record) => to === null || record.timestamp <= to)
+    .filter(({ args }) => !account || args.maker === account || args.taker === account)
+    .filter(({ args }) => !token || args.makerToken === token || args.takerToken === token);
+
+  const tokens = {};
+  for (const address of new Set(selected.flatMap(({ args }) => [args.makerToken, args.takerToken]))) {
+    tokens[address] = await getAssetInfo(registry, address, provider);
+  }
+  const scale = (address, value) => ethers.utils.formatUnits(value, tokens[address].decimals);
+
+  const currentWallets = {};
+  const rows = [];
+  for (const record of selected) {
+    const { args } = record;
+    let feeWallet = feeWalletAt(feeEvents, args.makerToken, args.takerToken, record.blockNumber, record.logIndex);
+    let feeWalletSource = "FeeModified";
+    if (!feeWallet) {
+      const pair = `${args.makerToken}/${args.takerToken}`;
+      if (currentWallets[pair] === undefined) {
+        const fees = await getFeesContract(exchangeAddress, provider);
+        currentWallets[pair] = (await fees.calculateOrderFees(args.makerToken, args.takerToken, 0, 0)).feeWallet;
+      }
+      feeWallet = currentWallets[pair];
+      feeWalletSource = "current";
+    }
+
+    const role = !account ? "" : args.maker === account && args.taker === account ? "maker+taker" : args.maker === account ? "maker" : "taker";
+    rows.push({
+      timestamp: new Date(record.timestamp * 1000).toISOString(),
+      blockNumber: record.blockNumber,
+      txHash: record.txHash,
+      orderHash: args.orderHash,
+      account: account || "",
+      role,
+      counterparty: !account ? "" : role === "taker" ? args.maker : args.taker,
+      maker: args.maker,
+      taker: args.taker,
+      makerToken: args.makerToken,
+      makerSymbol: tokens[args.makerToken].symbol,
+      makerAmount: scale(args.makerToken, args.makerAmount),
+      takerToken: args.takerToken,
+      takerSymbol: tokens[args.takerToken].symbol,
+      takerAmount: scale(args.takerToken, args.takerAmount),
+      makerFee: scale(args.makerToken, args.makerFee),
+      takerFee: scale(args.takerToken, args.takerFee),
+      feeWallet,
+      feeWalletSource
+    });
+  }
+
+  return { rows, tokens };
+}
+
+// RFC 4180: quote fields containing commas, quotes or line breaks
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns = BLOTTER_COLUMNS) {
+  const lines = [columns.join(",")];
+  rows.forEach((row) => lines.push(columns.map((column) => csvField(row[column])).join(",")));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function toJsonLines(rows) {
+  return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+}
+
+function formatBlotter(rows, format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format ${format}: expected ${EXPORT_FORMATS.join(", ")}`);
+  }
+  return format === "csv" ? toCsv(rows) : toJsonLines(rows);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  BLOTTER_COLUMNS,
+  parseTime,
+  buildTradeBlotter,
+  toCsv,
+  toJsonLines,
+  formatBlotter
+};
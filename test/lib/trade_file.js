@@ -0,0 +1,471 @@
+// Signed trade file format shared by the generators, the executors and the CLI
+//
+// Version 1 (documented in test/signed_trade.schema.json):
+//   schemaVersion  1
+//   description    optional free-form text
+//   exchange       address of the exchange the trade executes on; optional, tools fall back to
+//                  --exchange or EXCHANGE_ADDRESS without it
+//   domain         EIP-712 domain the order was signed for { name, version, chainId, verifyingContract }
+//                  where verifyingContract is the exchange's signatures contract, not the exchange
+//   order          Order.OrderInfo with uint256 fields as decimal strings
+//   signatures     { maker, taker } order signatures, either may be missing while unsigned
+//   permits        optional { maker, taker } PermitData.TokenPermit plus spender and nonce
+//   metadata       optional object, e.g. { createdAt, generator }
+//
+// Files without schemaVersion are the legacy layout written before the format was unified:
+// numeric nonces and expiry, permits under makerPermit/takerPermit and signatures under
+// makerSignature/takerSignature. They are migrated to version 1 when loaded, with exchangeAddress
+// becoming exchange.
+const fs = require('fs');
+const ethers = require('ethers');
+
+const TRADE_SCHEMA_VERSION = 1;
+
+const ORDER_FIELDS = ["maker", "makerToken", "makerAmount", "taker", "takerToken", "takerAmount", "makerNonce", "takerNonce", "expiry"];
+const ORDER_ADDRESS_FIELDS = ["maker", "makerToken", "taker", "takerToken"];
+const ORDER_UINT_FIELDS = ["makerAmount", "takerAmount", "makerNonce", "takerNonce", "expiry"];
+const DOMAIN_FIELDS = ["name", "version", "chainId", "verifyingContract"];
+const PERMIT_FIELDS = ["token", "owner", "spender", "value", "nonce", "deadline", "v", "r", "s"];
+const PERMIT_UINT_FIELDS = ["value", "nonce", "deadline"];
+const TOP_LEVEL_FIELDS = ["schemaVersion", "description", "exchange", "domain", "order", "signatures", "permits", "metadata"];
+const PARTIES = ["maker", "taker"];
+
+const UINT_PATTERN = /^(0|[1-9][0-9]*)$/;
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const SIGNATURE_PATTERN = /^0x[0-9a-fA-F]{130}$/;
+
+// Permit passed for a party without one, which the exchange skips
+const EMPTY_PERMIT = {
+  token: ethers.constants.AddressZero,
+  owner: ethers.constants.AddressZero,
+  value: 0,
+  deadline: 0,
+  v: 0,
+  r: ethers.constants.HashZero,
+  s: ethers.constants.HashZero
+};
+
+// Thrown when a trade file cannot be read or fails validation
+// errors holds one { path, message } entry per problem found
+class TradeFileError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0
+      ? `${message}:\n${errors.map((error) => `  - ${error.path}: ${error.message}`).join("\n")}`
+      : message);
+    this.name = "TradeFileError";
+    this.errors = errors;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Convert a legacy numeric uint to a decimal string, leaving anything else for validation to report
+function toUintString(value) {
+  if (typeof value === "number" && Number.isSafeInteger(value) && value >= 0) {
+    return String(value);
+  }
+  return value;
+}
+
+// Copy only the fields that are present, in the given order
+function pick(source, fields) {
+  const result = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+}
+
+// Legacy files used an all-zero permit to mean "no permit"
+function isEmptyPermit(permit) {
+  return !permit.owner || permit.owner === ethers.constants.AddressZero;
+}
+
+function migratePermit(permit, path, changes) {
+  const migrated = { ...permit };
+  PERMIT_UINT_FIELDS.forEach((field) => {
+    if (typeof migrated[field] === "number") {
+      migrated[field] = toUintString(migrated[field]);
+      changes.push(`converted ${path}.${field} to a decimal string`);
+    }
+  });
+  if (migrated.v === 0 || migrated.v === 1) {
+    migrated.v += 27;
+    changes.push(`converted ${path}.v to 27/28`);
+  }
+  return migrated;
+}
+
+// Upgrade parsed trade data to the current schema version
+// Returns { tradeData, changes } where changes describes each legacy field that was rewritten;
+// data that is already current is returned unchanged. Unknown fields are kept so that
+// validateTradeData() can report them.
+function migrateTradeData(data) {
+  if (!isObject(data)) {
+    throw new TradeFileError("Trade data must be a JSON object");
+  }
+
+  if (data.schemaVersion !== undefined) {
+    if (data.schemaVersion !== TRADE_SCHEMA_VERSION) {
+      throw new TradeFileError(`Unsupported trade file schemaVersion ${JSON.stringify(data.schemaVersion)}; this tooling reads version ${TRADE_SCHEMA_VERSION}`);
+    }
+    return { tradeData: data, changes: [] };
+  }
+
+  const { makerPermit, takerPermit, makerSignature, takerSignature, exchangeAddress, ...rest } = data;
+  const changes = [`added schemaVersion ${TRADE_SCHEMA_VERSION}`];
+  const tradeData = { schemaVersion: TRADE_SCHEMA_VERSION, ...rest };
+
+  if (isObject(data.domain)) {
+    tradeData.domain = { ...data.domain };
+    if (typeof tradeData.domain.chainId === "string" && UINT_PATTERN.test(tradeData.domain.chainId)) {
+      tradeData.domain.chainId = Number(tradeData.domain.chainId);
+      changes.push("converted domain.chainId to a number");
+    }
+  }
+  // The exchange is not the domain's verifyingContract, so neither is derived from the other
+  if (exchangeAddress !== undefined && tradeData.exchange === undefined) {
+    tradeData.exchange = exchangeAddress;
+    changes.push("moved exchangeAddress to exchange");
+  }
+
+  if (isObject(data.order)) {
+    tradeData.order = { ...data.order };
+    ORDER_UINT_FIELDS.forEach((field) => {
+      if (tradeData.order[field] === undefined && (field === "makerNonce" || field === "takerNonce")) {
+        tradeData.order[field] = "0";
+        changes.push(`defaulted missing order.${field} to 0`);
+      } else if (typeof tradeData.order[field] === "number") {
+        tradeData.order[field] = toUintString(tradeData.order[field]);
+        changes.push(`converted order.${field} to a decimal string`);
+      }
+    });
+  }
+
+  tradeData.signatures = isObject(data.signatures) ? { ...data.signatures } : {};
+  [["maker", makerSignature], ["taker", takerSignature]].forEach(([party, signature]) => {
+    if (signature !== undefined && tradeData.signatures[party] === undefined) {
+      tradeData.signatures[party] = signature;
+      changes.push(`moved ${party}Signature to signatures.${party}`);
+    }
+  });
+
+  const permits = isObject(data.permits) ? { ...data.permits } : {};
+  [["maker", makerPermit], ["taker", takerPermit]].forEach(([party, permit]) => {
+    if (permit !== undefined && permits[party] === undefined) {
+      permits[party] = permit;
+      changes.push(`moved ${party}Permit to permits.${party}`);
+    }
+  });
+  PARTIES.forEach((party) => {
+    if (!isObject(permits[party])) {
+      return;
+    }
+    if (isEmptyPermit(permits[party])) {
+      delete permits[party];
+      changes.push(`dropped empty ${party} permit`);
+    } else {
+      permits[party] = migratePermit(permits[party], `permits.${party}`, changes);
+    }
+  });
+  if (Object.keys(permits).length > 0) {
+    tradeData.permits = permits;
+  } else {
+    delete tradeData.permits;
+  }
+
+  return { tradeData, changes };
+}
+
+function checkAddress(errors, path, value) {
+  if (typeof value !== "string" || !ethers.utils.isAddress(value)) {
+    errors.push({ path, message: `expected an address, got ${JSON.stringify(value)}` });
+    return false;
+  }
+  return true;
+}
+
+function checkUint(errors, path, value) {
+  if (typeof value !== "string" || !UINT_PATTERN.test(value)) {
+    errors.push({ path, message: `expected a decimal integer string, got ${JSON.stringify(value)}` });
+    return false;
+  }
+  if (ethers.BigNumber.from(value).gt(ethers.constants.MaxUint256)) {
+    errors.push({ path, message: "does not fit in a uint256" });
+    return false;
+  }
+  return true;
+}
+
+function checkPattern(errors, path, value, pattern, description) {
+  if (typeof value !== "string" || !pattern.test(value)) {
+    errors.push({ path, message: `expected ${description}, got ${JSON.stringify(value)}` });
+    return false;
+  }
+  return true;
+}
+
+function checkUnknownFields(errors, path, value, fields) {
+  Object.keys(value).forEach((key) => {
+    if (!fields.includes(key)) {
+      errors.push({ path: path ? `${path}.${key}` : key, message: "unknown field" });
+    }
+  });
+}
+
+// Require value to be an object with all of the given fields
+function checkObject(errors, path, value, required) {
+  if (!isObject(value)) {
+    errors.push({ path, message: value === undefined ? "is required" : "expected an object" });
+    return false;
+  }
+  required.forEach((field) => {
+    if (value[field] === undefined) {
+      errors.push({ path: `${path}.${field}`, message: "is required" });
+    }
+  });
+  return true;
+}
+
+function validateDomain(errors, domain) {
+  if (!checkObject(errors, "domain", domain, DOMAIN_FIELDS)) {
+    return;
+  }
+  checkUnknownFields(errors, "domain", domain, DOMAIN_FIELDS);
+
+  ["name", "version"].forEach((field) => {
+    if (domain[field] !== undefined && (typeof domain[field] !== "string" || domain[field] === "")) {
+      errors.push({ path: `domain.${field}`, message: "expected a non-empty string" });
+    }
+  });
+  if (domain.chainId !== undefined && !(Number.isSafeInteger(domain.chainId) && domain.chainId > 0)) {
+    errors.push({ path: "domain.chainId", message: `expected a positive integer, got ${JSON.stringify(domain.chainId)}` });
+  }
+  if (domain.verifyingContract !== undefined) {
+    checkAddress(errors, "domain.verifyingContract", domain.verifyingContract);
+  }
+}
+
+function validateOrder(errors, order) {
+  if (!checkObject(errors, "order", order, ORDER_FIELDS)) {
+    return;
+  }
+  checkUnknownFields(errors, "order", order, ORDER_FIELDS);
+
+  ORDER_ADDRESS_FIELDS.forEach((field) => {
+    if (order[field] !== undefined) {
+      checkAddress(errors, `order.${field}`, order[field]);
+    }
+  });
+  ORDER_UINT_FIELDS.forEach((field) => {
+    if (order[field] !== undefined) {
+      checkUint(errors, `order.${field}`, order[field]);
+    }
+  });
+}
+
+function validateSignatures(errors, signatures, requireSignatures) {
+  if (!checkObject(errors, "signatures", signatures, requireSignatures ? PARTIES : [])) {
+    return;
+  }
+  checkUnknownFields(errors, "signatures", signatures, PARTIES);
+
+  PARTIES.forEach((party) => {
+    if (signatures[party] !== undefined) {
+      checkPattern(errors, `signatures.${party}`, signatures[party], SIGNATURE_PATTERN, "a 65-byte hex signature");
+    }
+  });
+}
+
+// Field checks plus the same consistency checks the exchange makes before using a permit
+function validatePermit(errors, party, permit, order) {
+  const path = `permits.${party}`;
+  if (!checkObject(errors, path, permit, ["token", "owner", "value", "deadline", "v", "r", "s"])) {
+    return;
+  }
+  checkUnknownFields(errors, path, permit, PERMIT_FIELDS);
+
+  ["token", "owner", "spender"].forEach((field) => {
+    if (permit[field] !== undefined) {
+      checkAddress(errors, `${path}.${field}`, permit[field]);
+    }
+  });
+  PERMIT_UINT_FIELDS.forEach((field) => {
+    if (permit[field] !== undefined) {
+      checkUint(errors, `${path}.${field}`, permit[field]);
+    }
+  });
+  if (permit.v !== undefined && permit.v !== 27 && permit.v !== 28) {
+    errors.push({ path: `${path}.v`, message: `expected 27 or 28, got ${JSON.stringify(permit.v)}` });
+  }
+  ["r", "s"].forEach((field) => {
+    if (permit[field] !== undefined) {
+      checkPattern(errors, `${path}.${field}`, permit[field], BYTES32_PATTERN, "a 32-byte hex value");
+    }
+  });
+
+  if (!isObject(order)) {
+    return;
+  }
+  const tokenField = `${party}Token`;
+  const amountField = `${party}Amount`;
+  const sameAddress = (a, b) => typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+
+  if (ethers.utils.isAddress(permit.token || "") && ethers.utils.isAddress(order[tokenField] || "") &&
+      !sameAddress(permit.token, order[tokenField])) {
+    errors.push({ path: `${path}.token`, message: `does not match order.${tokenField} (${order[tokenField]})` });
+  }
+  if (ethers.utils.isAddress(permit.owner || "") && ethers.utils.isAddress(order[party] || "") &&
+      !sameAddress(permit.owner, order[party])) {
+    errors.push({ path: `${path}.owner`, message: `does not match order.${party} (${order[party]})` });
+  }
+  if (UINT_PATTERN.test(permit.value) && UINT_PATTERN.test(order[amountField]) &&
+      ethers.BigNumber.from(permit.value).lt(order[amountField])) {
+    errors.push({ path: `${path}.value`, message: `is less than order.${amountField} (${order[amountField]})` });
+  }
+}
+
+// Validate trade data against the current schema
+// Returns a list of { path, message } errors, empty when the data is valid.
+// Set requireSignatures to insist on both order signatures, as the executors need.
+function validateTradeData(tradeData, options = {}) {
+  const errors = [];
+
+  if (!isObject(tradeData)) {
+    return [{ path: "(root)", message: "expected a JSON object" }];
+  }
+
+  if (tradeData.schemaVersion !== TRADE_SCHEMA_VERSION) {
+    errors.push({ path: "schemaVersion", message: `expected ${TRADE_SCHEMA_VERSION}, got ${JSON.stringify(tradeData.schemaVersion)}` });
+  }
+  checkUnknownFields(errors, "", tradeData, TOP_LEVEL_FIELDS);
+
+  if (tradeData.description !== undefined && typeof tradeData.description !== "string") {
+    errors.push({ path: "description", message: "expected a string" });
+  }
+  if (tradeData.exchange !== undefined) {
+    checkAddress(errors, "exchange", tradeData.exchange);
+  }
+
+  validateDomain(errors, tradeData.domain);
+  validateOrder(errors, tradeData.order);
+  validateSignatures(errors, tradeData.signatures, !!options.requireSignatures);
+
+  if (tradeData.permits !== undefined) {
+    if (checkObject(errors, "permits", tradeData.permits, [])) {
+      checkUnknownFields(errors, "permits", tradeData.permits, PARTIES);
+      PARTIES.forEach((party) => {
+        if (tradeData.permits[party] !== undefined) {
+          validatePermit(errors, party, tradeData.permits[party], tradeData.order);
+        }
+      });
+    }
+  }
+
+  if (tradeData.metadata !== undefined && !isObject(tradeData.metadata)) {
+    errors.push({ path: "metadata", message: "expected an object" });
+  }
+
+  return errors;
+}
+
+// Migrate and validate parsed trade data, throwing a TradeFileError listing every problem
+// Returns { tradeData, changes } as migrateTradeData() does
+function parseTradeData(data, options = {}) {
+  const { tradeData, changes } = migrateTradeData(data);
+
+  const errors = validateTradeData(tradeData, options);
+  if (errors.length > 0) {
+    throw new TradeFileError(`Invalid trade data${options.source ? ` in ${options.source}` : ""}`, errors);
+  }
+
+  return { tradeData, changes };
+}
+
+// Read, migrate and validate a trade file
+// Options: requireSignatures (see validateTradeData)
+function loadTradeFile(filePath, options = {}) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new TradeFileError(`Could not load trade data from ${filePath}: ${error.message}`);
+  }
+
+  return parseTradeData(data, { ...options, source: filePath });
+}
+
+// Assemble version 1 trade data from its parts, stamping metadata.createdAt
+// exchange is optional but should be given whenever it is known
+function createTradeData({ description, exchange, domain, order, signatures = {}, permits, metadata = {} }) {
+  const tradeData = {
+    schemaVersion: TRADE_SCHEMA_VERSION,
+    description: description,
+    exchange: exchange ? ethers.utils.getAddress(exchange) : undefined,
+    domain: pick(domain, DOMAIN_FIELDS),
+    order: pick(order, ORDER_FIELDS),
+    signatures: signatures
+  };
+  tradeData.domain.chainId = Number(tradeData.domain.chainId);
+
+  if (permits && Object.keys(permits).length > 0) {
+    tradeData.permits = {};
+    PARTIES.forEach((party) => {
+      if (permits[party]) {
+        tradeData.permits[party] = pick(permits[party], PERMIT_FIELDS);
+      }
+    });
+  }
+
+  tradeData.metadata = { createdAt: new Date().toISOString(), ...metadata };
+  ["description", "exchange"].forEach((field) => {
+    if (tradeData[field] === undefined) {
+      delete tradeData[field];
+    }
+  });
+
+  return tradeData;
+}
+
+// Validate and write trade data, refusing to write a file the executors would reject
+function writeTradeFile(filePath, tradeData) {
+  const errors = validateTradeData(tradeData);
+  if (errors.length > 0) {
+    throw new TradeFileError(`Refusing to write invalid trade data to ${filePath}`, errors);
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify(tradeData, null, 2));
+}
+
+// PermitData.TokenPermit for the exchange call, or EMPTY_PERMIT when the party has none
+function toContractPermit(permit) {
+  if (!permit) {
+    return EMPTY_PERMIT;
+  }
+  return {
+    token: permit.token,
+    owner: permit.owner,
+    value: permit.value,
+    deadline: permit.deadline,
+    v: permit.v,
+    r: permit.r,
+    s: permit.s
+  };
+}
+
+module.exports = {
+  TRADE_SCHEMA_VERSION,
+  EMPTY_PERMIT,
+  TradeFileError,
+  migrateTradeData,
+  validateTradeData,
+  parseTradeData,
+  loadTradeFile,
+  createTradeData,
+  writeTradeFile,
+  toContractPermit
+};
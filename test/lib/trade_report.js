@@ -0,0 +1,595 @@
+// Pre-trade diagnostics shared by execute_trade.js and execute_mt.js
+// Collects network, account, contract, token, balance, allowance, permit, timing, compliance and
+// registration data into report sections, records the readiness verdicts from readiness.js as
+// findings, and renders each section for the human-readable output
+const ethers = require('ethers');
+
+const { ERC20_ABI, REGISTRY_ABI } = require('./abis');
+const { PASS, FAIL, checkTradeReadiness } = require('./readiness');
+const { describeFeeQuote } = require('./fees');
+const { planGas, describeGasPlan } = require('./gas');
+const { openTxLog, waitWithSpeedUps } = require('./tx_tracker');
+const { explorerUrl } = require('./networks');
+const { COMPLIANCE_REVERT_CODES, explainCompliance, describeExplanation } = require('./compliance_explain');
+
+const LOW_GAS_BALANCE = ethers.utils.parseEther("0.01");
+const PARTIES = ["maker", "taker"];
+
+const yesNo = (value) => (value ? "✅ YES" : "❌ NO");
+const localTime = (timestamp) => new Date(Number(timestamp) * 1000).toLocaleString();
+
+// Explorer templates come from the network profiles; null for chains without an explorer
+function explorerTxUrl(chainId, hash) {
+  return explorerUrl(chainId, "tx", hash);
+}
+
+// Amount as a raw decimal string alongside its human-readable form
+function amount(value, decimals) {
+  return { raw: value.toString(), formatted: ethers.utils.formatUnits(value, decimals) };
+}
+
+const TRADE_RENDERERS = {
+  trade(data, print) {
+    print(`Loading trade data from: ${data.file}`);
+    if (data.migrated.length > 0) {
+      print(`ℹ️ Migrated legacy trade file: ${data.migrated.join(", ")}`);
+    }
+  },
+
+  network(data, print) {
+    print(`\n🌐 NETWORK INFORMATION:`);
+    print(`Connected to network: ${data.name} (Chain ID: ${data.chainId})`);
+  },
+
+  accounts(data, print) {
+    print(`\n👤 ACCOUNT INFORMATION:`);
+    print(`Deployer: ${data.submitter}`);
+    print(`Seller (Maker): ${data.maker}`);
+    print(`Buyer (Taker): ${data.taker}`);
+    print(`Deployer ETH balance: ${data.submitterBalance.formatted} ETH`);
+  },
+
+  contracts(data, print) {
+    print(`\n📄 CONTRACT INFORMATION:`);
+    print(`Exchange contract: ${data.exchange}`);
+    print(`Exchange Owner: ${data.owner || "Error fetching"}`);
+    print(`Fees Contract: ${data.fees || "Error fetching"}`);
+    print(`Cancellation Contract: ${data.cancellation || "Error fetching"}`);
+    print(`Compliance Contract: ${data.compliance || "Error fetching"}`);
+    print(`Signatures Contract: ${data.signatures || "Error fetching"}`);
+    print(`Registry Contract: ${data.registry || "Error fetching"}`);
+  },
+
+  tokens(data, print) {
+    print(`\n💰 TOKEN INFORMATION:`);
+    print(`Maker Token: ${data.maker.address} (${data.maker.symbol}, ${data.maker.decimals} decimals)`);
+    print(`Taker Token: ${data.taker.address} (${data.taker.symbol}, ${data.taker.decimals} decimals)`);
+    print(`Maker Amount: ${data.maker.amount.formatted} ${data.maker.symbol}`);
+    print(`Taker Amount: ${data.taker.amount.formatted} ${data.taker.symbol}`);
+  },
+
+  balances(data, print) {
+    print(`\n💼 BALANCES:`);
+    print(`Maker's token balance: ${data.maker.balance.formatted} ${data.maker.symbol}`);
+    print(`Taker's token balance: ${data.taker.balance.formatted} ${data.taker.symbol}`);
+    print(`Maker has sufficient balance: ${yesNo(data.maker.sufficient)}`);
+    print(`Taker has sufficient balance: ${yesNo(data.taker.sufficient)}`);
+  },
+
+  allowances(data, print) {
+    print(`\n🔓 ALLOWANCES:`);
+    print(`Maker's allowance to Exchange: ${data.maker.allowance.formatted} ${data.maker.symbol}`);
+    print(`Taker's allowance to Exchange: ${data.taker.allowance.formatted} ${data.taker.symbol}`);
+    print(`Maker has sufficient allowance: ${yesNo(data.maker.sufficient)}`);
+    print(`Taker has sufficient allowance: ${yesNo(data.taker.sufficient)}`);
+  },
+
+  permits(data, print) {
+    print(`\n🔑 PERMIT DATA:`);
+    print(`Using maker permit: ${yesNo(data.maker)}`);
+    print(`Using taker permit: ${yesNo(data.taker)}`);
+
+    PARTIES.forEach((party) => {
+      const permit = data[party];
+      if (!permit) {
+        return;
+      }
+      print(`\n📄 ${party.toUpperCase()} PERMIT DETAILS:`);
+      print(`Token: ${permit.token}`);
+      print(`Owner: ${permit.owner}`);
+      print(`Value: ${permit.value.formatted}`);
+      print(`Deadline: ${permit.deadline} (${localTime(permit.deadline)})`);
+      print(`v: ${permit.v}`);
+      print(`r: ${permit.r}`);
+      print(`s: ${permit.s}`);
+    });
+  },
+
+  timing(data, print) {
+    print(`\n⏰ ORDER TIMING:`);
+    print(`Latest block timestamp: ${data.now} (${localTime(data.now)})`);
+    print(`Order expiry: ${data.expiry} (${localTime(data.expiry)})`);
+    print(`Time until expiry: ${data.secondsUntilExpiry} seconds (${Math.floor(data.secondsUntilExpiry / 3600)} hours)`);
+  },
+
+  compliance(data, print) {
+    if (data.makerKycVerified === null || data.takerKycVerified === null) {
+      return;
+    }
+    print(`\n🏛️ COMPLIANCE CHECK:`);
+    print(`Maker is KYC verified: ${yesNo(data.makerKycVerified)}`);
+    print(`Taker is KYC verified: ${yesNo(data.takerKycVerified)}`);
+  },
+
+  registration(data, print) {
+    if (data.makerTokenRegistered === null || data.takerTokenRegistered === null) {
+      return;
+    }
+    print(`\n📝 TOKEN REGISTRATION:`);
+    print(`Maker token is registered: ${yesNo(data.makerTokenRegistered)}`);
+    print(`Taker token is registered: ${yesNo(data.takerTokenRegistered)}`);
+  },
+
+  fees(data, print) {
+    print(`\n💸 FEE PREVIEW:`);
+    describeFeeQuote(data, data.tokens).forEach((line) => print(line));
+  },
+
+  readiness(data, print) {
+    print(`\n📋 READINESS CHECKS:`);
+    data.passed.forEach((finding) => print(`✅ ${finding.message}`));
+    print(`${data.summary.pass} passed, ${data.summary.warn} warnings, ${data.summary.fail} failed`);
+  },
+
+  simulation(data, print) {
+    print("\n🧪 SIMULATING TRANSACTION...");
+    if (data.success) {
+      print(`✅ Simulation succeeded with ${data.method}!`);
+      return;
+    }
+    print("❌ Simulation failed!");
+    print(data.revertText);
+    if (data.analysis.length > 0) {
+      print("\n🔍 ERROR ANALYSIS:");
+      data.analysis.forEach((line) => print(`- ${line}`));
+    }
+  },
+
+  explanation(data, print) {
+    print("\n🏛️ COMPLIANCE EXPLANATION:");
+    describeExplanation(data).forEach((line) => print(line));
+  },
+
+  gas(data, print) {
+    print("\n⛽ GAS:");
+    describeGasPlan(data).forEach((line) => print(line));
+  },
+
+  submission(data, print) {
+    print(`\n🚀 EXECUTING TRANSACTION...`);
+    print(`Using method: ${data.method}`);
+    print(`Transaction submitted: ${data.txHash}`);
+    if (data.explorerUrl) {
+      print(`View on Explorer: ${data.explorerUrl}`);
+    }
+    print("Waiting for confirmation...");
+  },
+
+  receipt(data, print) {
+    if (data.status === 1) {
+      print(`\n✅ TRANSACTION SUCCESSFUL! Block: ${data.blockNumber}, Gas used: ${data.gasUsed}`);
+    }
+  },
+
+  executionError(data, print) {
+    print(`❌ Error executing trade: ${data.message}`);
+    if (data.revertText) {
+      print(data.revertText);
+    }
+    if (data.txHash) {
+      print(`\nTransaction hash: ${data.txHash}`);
+      if (data.explorerUrl) {
+        print(`Explorer link: ${data.explorerUrl}`);
+      }
+    }
+    if (data.analysis.length > 0) {
+      print("\n🔍 ERROR ANALYSIS:");
+      data.analysis.forEach((line) => print(`- ${line}`));
+    }
+  },
+
+  settlement(data, print) {
+    print(`\n💼 FINAL BALANCES:`);
+    print(`Maker's ${data.makerSymbol}: ${data.finalBalances.makerOfMakerToken.formatted}`);
+    print(`Taker's ${data.takerSymbol}: ${data.finalBalances.takerOfTakerToken.formatted}`);
+    print(`Maker's ${data.takerSymbol}: ${data.finalBalances.makerOfTakerToken.formatted}`);
+    print(`Taker's ${data.makerSymbol}: ${data.finalBalances.takerOfMakerToken.formatted}`);
+
+    print(`\n💱 TOKEN TRANSFERS:`);
+    print(`${data.makerSymbol} transferred to taker: ${data.transfers.makerTokenToTaker.formatted}`);
+    print(`${data.takerSymbol} transferred to maker: ${data.transfers.takerTokenToMaker.formatted}`);
+
+    print(`\n💸 TOKEN DEDUCTIONS:`);
+    print(`${data.makerSymbol} taken from maker: ${data.deductions.makerToken.formatted}`);
+    print(`${data.takerSymbol} taken from taker: ${data.deductions.takerToken.formatted}`);
+
+    if (data.expectedFees) {
+      print(`Quoted before execution: ${data.expectedFees.makerToken.formatted} ${data.makerSymbol}, ${data.expectedFees.takerToken.formatted} ${data.takerSymbol}`);
+    }
+    if (data.fees.makerToken.raw === "0" && data.fees.takerToken.raw === "0") {
+      print("\n✅ TRADE EXECUTED WITH NO FEES");
+    } else {
+      print(`\n⚠️ FEES DETECTED IN TRANSACTION:`);
+      if (data.fees.makerToken.raw !== "0") {
+        print(`${data.makerSymbol} fee: ${data.fees.makerToken.formatted}`);
+      }
+      if (data.fees.takerToken.raw !== "0") {
+        print(`${data.takerSymbol} fee: ${data.fees.takerToken.formatted}`);
+      }
+    }
+
+    print("\n🔓 FINAL ALLOWANCES:");
+    print(`Maker's allowance: ${data.finalAllowances.maker.formatted} ${data.makerSymbol}`);
+    print(`Taker's allowance: ${data.finalAllowances.taker.formatted} ${data.takerSymbol}`);
+    PARTIES.forEach((party) => {
+      if (data.permitsApplied[party] !== null) {
+        print(`${party === "maker" ? "Maker" : "Taker"} permit applied: ${yesNo(data.permitsApplied[party])}`);
+      }
+    });
+  }
+};
+
+async function readToken(address, orderAmount, provider, reporter, party) {
+  const contract = new ethers.Contract(address, ERC20_ABI, provider);
+  let symbol = "Unknown";
+  let decimals = 18;
+
+  try {
+    symbol = await contract.symbol();
+    decimals = await contract.decimals();
+  } catch (error) {
+    reporter.finding("warning", "TOKEN_DETAILS_UNAVAILABLE", `Could not fetch ${party} token details: ${error.message}`);
+  }
+
+  return { contract, address, symbol, decimals, amount: orderAmount };
+}
+
+// Record a checkTradeReadiness() result: passed checks go into the readiness section,
+// warnings and failures become report findings
+function recordReadiness(reporter, readiness) {
+  reporter.section("readiness", {
+    ready: readiness.ready,
+    summary: readiness.summary,
+    fees: readiness.fees,
+    tokens: readiness.tokens,
+    passed: readiness.findings.filter((finding) => finding.status === PASS)
+  });
+  readiness.findings.forEach((finding) => {
+    if (finding.status !== PASS) {
+      reporter.finding(finding.status === FAIL ? "error" : "warning", finding.code, finding.message, {
+        check: finding.check,
+        party: finding.party,
+        ...finding.details
+      });
+    }
+  });
+}
+
+// Run every pre-trade check against the chain, recording a section for each
+// Returns the raw values (BigNumbers, token contracts, flags) the executors need afterwards
+async function collectTradeDiagnostics(reporter, { tradeData, provider, wallet, exchange }) {
+  const { order } = tradeData;
+  const exchangeAddress = exchange.address;
+
+  const network = await provider.getNetwork();
+  reporter.section("network", {
+    name: network.name,
+    chainId: network.chainId,
+    tradeChainId: tradeData.domain.chainId
+  });
+
+  const submitterBalance = await provider.getBalance(wallet.address);
+  reporter.section("accounts", {
+    submitter: wallet.address,
+    submitterBalance: { raw: submitterBalance.toString(), formatted: ethers.utils.formatEther(submitterBalance) },
+    maker: order.maker,
+    taker: order.taker
+  });
+  if (submitterBalance.lt(LOW_GAS_BALANCE)) {
+    reporter.finding("warning", "LOW_GAS_BALANCE", "Deployer has less than 0.01 ETH for gas. Transactions might fail.");
+  }
+
+  const orNull = (promise) => promise.catch(() => null);
+  const [owner, fees, cancellation, compliance, signatures, registry] = await Promise.all([
+    orNull(exchange.owner()),
+    orNull(exchange.getFeesContract()),
+    orNull(exchange.getCancellationContract()),
+    orNull(exchange.getComplianceContract()),
+    orNull(exchange.getSignaturesContract()),
+    orNull(exchange.getRegistryContract())
+  ]);
+  reporter.section("contracts", { exchange: exchangeAddress, owner, fees, cancellation, compliance, signatures, registry });
+
+  const makerToken = await readToken(order.makerToken, order.makerAmount, provider, reporter, "maker");
+  const takerToken = await readToken(order.takerToken, order.takerAmount, provider, reporter, "taker");
+  const tokens = { maker: makerToken, taker: takerToken };
+  reporter.section("tokens", {
+    maker: { address: makerToken.address, symbol: makerToken.symbol, decimals: makerToken.decimals, amount: amount(order.makerAmount, makerToken.decimals) },
+    taker: { address: takerToken.address, symbol: takerToken.symbol, decimals: takerToken.decimals, amount: amount(order.takerAmount, takerToken.decimals) }
+  });
+
+  // Each party's balance of the token it gives, and of the token it receives for the settlement check
+  const balances = {
+    maker: await makerToken.contract.balanceOf(order.maker),
+    taker: await takerToken.contract.balanceOf(order.taker),
+    takerOfMakerToken: await makerToken.contract.balanceOf(order.taker),
+    makerOfTakerToken: await takerToken.contract.balanceOf(order.maker)
+  };
+  const sufficientBalance = {
+    maker: balances.maker.gte(order.makerAmount),
+    taker: balances.taker.gte(order.takerAmount)
+  };
+  reporter.section("balances", {
+    maker: { symbol: makerToken.symbol, balance: amount(balances.maker, makerToken.decimals), required: order.makerAmount, sufficient: sufficientBalance.maker },
+    taker: { symbol: takerToken.symbol, balance: amount(balances.taker, takerToken.decimals), required: order.takerAmount, sufficient: sufficientBalance.taker }
+  });
+
+  const allowances = {
+    maker: await makerToken.contract.allowance(order.maker, exchangeAddress),
+    taker: await takerToken.contract.allowance(order.taker, exchangeAddress)
+  };
+  const sufficientAllowance = {
+    maker: allowances.maker.gte(order.makerAmount),
+    taker: allowances.taker.gte(order.takerAmount)
+  };
+  reporter.section("allowances", {
+    spender: exchangeAddress,
+    maker: { symbol: makerToken.symbol, allowance: amount(allowances.maker, makerToken.decimals), required: order.makerAmount, sufficient: sufficientAllowance.maker },
+    taker: { symbol: takerToken.symbol, allowance: amount(allowances.taker, takerToken.decimals), required: order.takerAmount, sufficient: sufficientAllowance.taker }
+  });
+
+  // The contracts compare deadlines and expiry with block.timestamp, not the local clock
+  const now = (await provider.getBlock("latest")).timestamp;
+  const permits = tradeData.permits || {};
+  const hasPermit = { maker: !!permits.maker, taker: !!permits.taker };
+
+  const permitSection = {};
+  PARTIES.forEach((party) => {
+    const permit = permits[party];
+    permitSection[party] = permit ? {
+      token: permit.token,
+      owner: permit.owner,
+      value: amount(permit.value, tokens[party].decimals),
+      deadline: Number(permit.deadline),
+      expired: Number(permit.deadline) <= now,
+      v: permit.v,
+      r: permit.r,
+      s: permit.s
+    } : null;
+  });
+  reporter.section("permits", permitSection);
+
+  const expiry = parseInt(order.expiry);
+  const secondsUntilExpiry = expiry - now;
+  reporter.section("timing", { now, expiry, secondsUntilExpiry, expired: secondsUntilExpiry <= 0 });
+
+  // Compliance and registration are optional diagnostics: null means the call was unavailable
+  const [makerKycVerified, takerKycVerified] = await Promise.all([
+    orNull(exchange.isKYCVerified(order.makerToken, order.maker)),
+    orNull(exchange.isKYCVerified(order.takerToken, order.taker))
+  ]);
+  reporter.section("compliance", { makerKycVerified, takerKycVerified });
+
+  let makerTokenRegistered = null;
+  let takerTokenRegistered = null;
+  if (registry && registry !== ethers.constants.AddressZero) {
+    const registryContract = new ethers.Contract(registry, REGISTRY_ABI, provider);
+    [makerTokenRegistered, takerTokenRegistered] = await Promise.all([
+      orNull(registryContract.isRegisteredAsset(order.makerToken)),
+      orNull(registryContract.isRegisteredAsset(order.takerToken))
+    ]);
+  }
+  reporter.section("registration", { registry, makerTokenRegistered, takerTokenRegistered });
+
+  // The pass/warn/fail verdicts come from the shared readiness checks
+  const readiness = await checkTradeReadiness(tradeData, provider, { exchangeAddress });
+  if (readiness.fees) {
+    reporter.section("fees", { ...readiness.fees, tokens: readiness.tokens });
+  }
+  recordReadiness(reporter, readiness);
+
+  return {
+    network,
+    submitterBalance,
+    tokens,
+    balances,
+    allowances,
+    sufficientBalance,
+    sufficientAllowance,
+    hasPermit,
+    permitExpired: { maker: !!(permitSection.maker && permitSection.maker.expired), taker: !!(permitSection.taker && permitSection.taker.expired) },
+    now,
+    secondsUntilExpiry,
+    feeQuote: readiness.fees
+  };
+}
+
+// Likely causes of a failed simulation, from the diagnostics and the decoded revert
+function analyseFailure(context, revert, tradeData) {
+  const causes = [];
+  const message = `${revert.reason || ""} ${revert.message || ""}`.toLowerCase();
+
+  if (context.secondsUntilExpiry <= 0) {
+    causes.push("Order has expired. The expiry timestamp is in the past.");
+  }
+  PARTIES.forEach((party) => {
+    const label = party === "maker" ? "Maker" : "Taker";
+    if (!context.sufficientBalance[party]) {
+      causes.push(`${label} has insufficient token balance.`);
+    }
+    if (!context.sufficientAllowance[party] && !context.hasPermit[party]) {
+      causes.push(`${label} has insufficient allowance and no permit is provided.`);
+    }
+    if (context.permitExpired[party]) {
+      causes.push(`${label} permit deadline has passed. Sign a new permit.`);
+    }
+  });
+  if (message.includes("signature") || message.includes("signer")) {
+    causes.push(`There may be issues with the signatures. Check they were created on chain ${context.network.chainId} ` +
+                `(the trade domain says ${tradeData.domain.chainId}) over the same order fields; run \`node test/cli.js order verify\`.`);
+  }
+  if (message.includes("nonce")) {
+    causes.push(`Nonce issues detected. Maker nonce ${tradeData.order.makerNonce} or taker nonce ${tradeData.order.takerNonce} may already be used.`);
+  }
+  if (message.includes("gas")) {
+    causes.push("Gas estimation failed. The transaction may be reverting for other reasons.");
+  }
+
+  return causes;
+}
+
+// After a revert that compliance can cause, work out which compliance rules the trade breaks
+// Records an "explanation" section with a warning per failing rule; the simulation failure is
+// the error, and a forced execution can still succeed. Other reverts are left alone.
+async function collectComplianceExplanation(reporter, revert, tradeData, provider, exchangeAddress) {
+  if (!COMPLIANCE_REVERT_CODES.includes(revert.code)) {
+    return null;
+  }
+  try {
+    const explanation = reporter.section("explanation", await explainCompliance(tradeData.order, provider, { exchangeAddress }));
+    explanation.failures.forEach((failure) => reporter.finding("warning", failure.code, failure.message,
+      { rule: failure.rule, party: failure.party, token: failure.token, remedy: failure.remedy }));
+    return explanation;
+  } catch (error) {
+    reporter.finding("warning", "EXPLANATION_FAILED", `Could not explain the compliance failure: ${error.reason || error.message}`);
+    return null;
+  }
+}
+
+// Compare balances and allowances after a successful trade with those collected beforehand
+async function collectSettlement(reporter, context, tradeData, exchangeAddress) {
+  const { order } = tradeData;
+  const { maker: makerToken, taker: takerToken } = context.tokens;
+
+  const finalBalances = {
+    makerOfMakerToken: await makerToken.contract.balanceOf(order.maker),
+    takerOfTakerToken: await takerToken.contract.balanceOf(order.taker),
+    makerOfTakerToken: await takerToken.contract.balanceOf(order.maker),
+    takerOfMakerToken: await makerToken.contract.balanceOf(order.taker)
+  };
+  const finalAllowances = {
+    maker: await makerToken.contract.allowance(order.maker, exchangeAddress),
+    taker: await takerToken.contract.allowance(order.taker, exchangeAddress)
+  };
+
+  const transfers = {
+    makerTokenToTaker: finalBalances.takerOfMakerToken.sub(context.balances.takerOfMakerToken),
+    takerTokenToMaker: finalBalances.makerOfTakerToken.sub(context.balances.makerOfTakerToken)
+  };
+  const deductions = {
+    makerToken: context.balances.maker.sub(finalBalances.makerOfMakerToken),
+    takerToken: context.balances.taker.sub(finalBalances.takerOfTakerToken)
+  };
+
+  const fees = {
+    makerToken: deductions.makerToken.sub(transfers.makerTokenToTaker),
+    takerToken: deductions.takerToken.sub(transfers.takerTokenToMaker)
+  };
+  const quote = context.feeQuote;
+
+  const settlement = reporter.section("settlement", {
+    makerSymbol: makerToken.symbol,
+    takerSymbol: takerToken.symbol,
+    finalBalances: {
+      makerOfMakerToken: amount(finalBalances.makerOfMakerToken, makerToken.decimals),
+      takerOfTakerToken: amount(finalBalances.takerOfTakerToken, takerToken.decimals),
+      makerOfTakerToken: amount(finalBalances.makerOfTakerToken, takerToken.decimals),
+      takerOfMakerToken: amount(finalBalances.takerOfMakerToken, makerToken.decimals)
+    },
+    transfers: {
+      makerTokenToTaker: amount(transfers.makerTokenToTaker, makerToken.decimals),
+      takerTokenToMaker: amount(transfers.takerTokenToMaker, takerToken.decimals)
+    },
+    deductions: {
+      makerToken: amount(deductions.makerToken, makerToken.decimals),
+      takerToken: amount(deductions.takerToken, takerToken.decimals)
+    },
+    fees: {
+      makerToken: amount(fees.makerToken, makerToken.decimals),
+      takerToken: amount(fees.takerToken, takerToken.decimals)
+    },
+    expectedFees: quote ? {
+      makerToken: amount(quote.maker.fee, makerToken.decimals),
+      takerToken: amount(quote.taker.fee, takerToken.decimals)
+    } : null,
+    finalAllowances: {
+      maker: amount(finalAllowances.maker, makerToken.decimals),
+      taker: amount(finalAllowances.taker, takerToken.decimals)
+    },
+    permitsApplied: {
+      maker: context.hasPermit.maker ? !context.allowances.maker.eq(finalAllowances.maker) : null,
+      taker: context.hasPermit.taker ? !context.allowances.taker.eq(finalAllowances.taker) : null
+    }
+  });
+
+  if (quote && (!fees.makerToken.eq(quote.maker.fee) || !fees.takerToken.eq(quote.taker.fee))) {
+    reporter.finding("warning", "FEE_MISMATCH", "Fees taken differ from the quote made before execution; the fee settings or balances changed in between",
+      { quoted: { maker: quote.maker.fee, taker: quote.taker.fee }, taken: { maker: fees.makerToken.toString(), taker: fees.takerToken.toString() } });
+  }
+  return settlement;
+}
+
+// Gas limit and fees for the execution, with the expected cost checked against the submitter's balance
+// gasOptions are the settings from gas.js (bufferPercent, priorityPercentile, maxFeeGwei, gasLimit, legacy)
+// Returns the plan; its overrides go to the transaction
+async function collectGasPlan(reporter, context, exchange, method, args, gasOptions) {
+  const plan = reporter.section("gas", await planGas(exchange, method, args, gasOptions));
+  plan.warnings.forEach(({ code, message }) => reporter.finding("warning", code, message));
+  if (context.submitterBalance.lt(plan.gasLimit.mul(plan.overrides.maxFeePerGas || plan.overrides.gasPrice))) {
+    reporter.finding("warning", "GAS_COST_EXCEEDS_BALANCE",
+      `Submitter balance ${ethers.utils.formatEther(context.submitterBalance)} ${plan.cost.symbol} is below the maximum gas cost of ${plan.cost.maximum} ${plan.cost.symbol}`);
+  }
+  return plan;
+}
+
+// Record a sent execution in the transaction log and wait for it, speeding it up on timeouts
+// tracking: { txLog (file), timeout, speedUps, bumpPercent }; gasOptions as for collectGasPlan
+// Returns { status, receipt } where receipt is null after reporting why there is none
+async function trackExecution(reporter, wallet, tx, label, tracking = {}, gasOptions) {
+  const txLog = openTxLog(tracking.txLog);
+  const record = txLog.add(tx, label);
+  const result = await waitWithSpeedUps(wallet, record, txLog, {
+    ...tracking,
+    gas: gasOptions,
+    onReplace: (replacement, attempt) => reporter.finding("warning", "TRANSACTION_SPED_UP",
+      `Not mined in time; resent nonce ${record.nonce} as ${replacement.hash} with higher fees (speed-up ${attempt})`, { hash: replacement.hash })
+  });
+
+  if (result.status === "timeout") {
+    reporter.finding("error", "TRANSACTION_STUCK",
+      `Nonce ${record.nonce} is still pending. Resume with \`node test/cli.js tx wait --nonce ${record.nonce}\`, ` +
+      `or replace it with \`tx speed-up\` or \`tx cancel\``, { nonce: record.nonce, hashes: record.hashes.map(({ hash }) => hash) });
+    return { status: "stuck", receipt: null };
+  }
+  if (result.status === "cancelled" || result.status === "replaced") {
+    reporter.finding("error", `TRANSACTION_${result.status.toUpperCase()}`,
+      `Nonce ${record.nonce} was used by ${result.hash || "another transaction"} instead; the trade was not executed`, { nonce: record.nonce });
+    return { status: result.status, receipt: null };
+  }
+  if (result.hash !== tx.hash) {
+    reporter.finding("info", "MINED_AS_REPLACEMENT", `Mined as replacement ${result.hash}`, { hash: result.hash });
+  }
+  return { status: result.status, receipt: result.receipt };
+}
+
+module.exports = {
+  TRADE_RENDERERS,
+  explorerTxUrl,
+  recordReadiness,
+  collectTradeDiagnostics,
+  analyseFailure,
+  collectComplianceExplanation,
+  collectSettlement,
+  collectGasPlan,
+  trackExecution
+};
@@ -0,0 +1,254 @@
+// Tracks sent transactions so stuck ones can be sped up, cancelled or waited for again
+// Each transaction is recorded by chain, sender and nonce in a JSON file as soon as it is sent.
+// Waiting polls for receipts of every hash sent with that nonce, so a replacement is picked up
+// like the original. A speed-up resends the same call with higher fees; a cancel sends a
+// zero-value transfer to the sender, and whichever is mined first settles the nonce.
+const fs = require('fs');
+const ethers = require('ethers');
+
+const { resolveGasSettings, suggestFees } = require('./gas');
+
+const TX_LOG_VERSION = 1;
+const DEFAULT_TX_LOG_PATH = './test/transactions.json';
+const TX_STATUSES = ["pending", "mined", "reverted", "cancelled", "replaced"];
+const REPLACEMENT_MODES = ["speed-up", "cancel"];
+// Nodes reject a replacement unless both fees rise by at least 10%
+const DEFAULT_BUMP_PERCENT = 12.5;
+const DEFAULT_TIMEOUT = 180;
+const DEFAULT_POLL_INTERVAL = 4;
+// Blocks a nonce must have been used for, with no receipt for any of our hashes, before it counts as
+// replaced: a node behind a load balancer can report the nonce before it serves the receipt, and a
+// shallow reorg can bring our own transaction back
+const DEFAULT_REPLACED_DEPTH = 3;
+
+const recordKey = (chainId, from, nonce) => `${chainId}:${from.toLowerCase()}:${nonce}`;
+const toString = (value) => (value === undefined || value === null ? null : ethers.BigNumber.from(value).toString());
+const max = (a, b) => (a.gt(b) ? a : b);
+
+// Fee fields of a transaction request or response, as decimal strings
+function feesOf(tx) {
+  return tx.maxFeePerGas
+    ? { type: 2, maxFeePerGas: toString(tx.maxFeePerGas), maxPriorityFeePerGas: toString(tx.maxPriorityFeePerGas) }
+    : { type: 0, gasPrice: toString(tx.gasPrice) };
+}
+
+// Open (or create on first save) the log at filePath (default: TX_LOG or ./test/transactions.json)
+// Returns an object with add, get, list and update; every change is saved immediately
+function openTxLog(filePath) {
+  const file = filePath || process.env.TX_LOG || DEFAULT_TX_LOG_PATH;
+
+  let data = { version: TX_LOG_VERSION, transactions: {} };
+  if (fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version !== TX_LOG_VERSION) {
+      throw new Error(`${file} is transaction log version ${data.version}; expected ${TX_LOG_VERSION}`);
+    }
+  }
+
+  const save = () => {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  return {
+    file,
+
+    // Record a transaction response right after sending it; label says what it was for
+    add(tx, label) {
+      const now = new Date().toISOString();
+      const record = {
+        key: recordKey(tx.chainId, tx.from, tx.nonce),
+        status: "pending",
+        label: label || null,
+        chainId: tx.chainId,
+        from: ethers.utils.getAddress(tx.from),
+        nonce: tx.nonce,
+        to: tx.to,
+        data: tx.data,
+        value: toString(tx.value || 0),
+        gasLimit: toString(tx.gasLimit),
+        ...feesOf(tx),
+        hashes: [{ hash: tx.hash, kind: "original", sentAt: now, ...feesOf(tx) }],
+        minedHash: null,
+        blockNumber: null,
+        gasUsed: null,
+        submittedAt: now,
+        updatedAt: now
+      };
+      data.transactions[record.key] = record;
+      save();
+      return record;
+    },
+
+    // By key, by one of its hashes, or by chain, sender and nonce
+    get(keyOrHash, from, nonce) {
+      if (from !== undefined) {
+        return data.transactions[recordKey(keyOrHash, from, nonce)] || null;
+      }
+      const wanted = String(keyOrHash).toLowerCase();
+      return data.transactions[wanted] ||
+        Object.values(data.transactions).find(({ hashes }) => hashes.some(({ hash }) => hash.toLowerCase() === wanted)) ||
+        null;
+    },
+
+    // Records with one of the given statuses (default: pending), oldest first
+    list(statuses = ["pending"]) {
+      return Object.values(data.transactions)
+        .filter(({ status }) => statuses.includes(status))
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    },
+
+    update(record, changes) {
+      Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+      data.transactions[record.key] = record;
+      save();
+      return record;
+    }
+  };
+}
+
+// Look once for a receipt of any hash sent with the record's nonce
+// Options: replacedDepth (default 3), how deep the nonce must be used before it counts as replaced
+// Returns { status, hash, receipt } once settled, or null while still pending
+async function checkTransaction(provider, record, log, options = {}) {
+  const replacedDepth = Number(options.replacedDepth !== undefined ? options.replacedDepth : DEFAULT_REPLACED_DEPTH);
+  // Read the nonce before the receipts so a mined transaction cannot slip between the two
+  const head = await provider.getBlockNumber();
+  const settledNonce = await provider.getTransactionCount(record.from, Math.max(head - replacedDepth, 0));
+  for (const { hash, kind } of [...record.hashes].reverse()) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt && receipt.blockNumber) {
+      const status = receipt.status === 0 ? "reverted" : kind === "cancel" ? "cancelled" : "mined";
+      log.update(record, { status, minedHash: hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+      return { status, hash, receipt };
+    }
+  }
+  // The nonce was used, replacedDepth blocks ago, by a transaction this log did not send
+  if (settledNonce > record.nonce) {
+    log.update(record, { status: "replaced" });
+    return { status: "replaced", hash: null, receipt: null };
+  }
+  return null;
+}
+
+// Wait up to timeout seconds (default: TX_TIMEOUT or 180) for the record's nonce to be settled
+// Options: timeout, pollInterval (seconds, default 4), replacedDepth (see checkTransaction())
+// Returns { status, hash, receipt } where status is mined, reverted, cancelled, replaced or timeout
+async function waitForTracked(provider, record, log, options = {}) {
+  const timeout = Number(options.timeout || process.env.TX_TIMEOUT || DEFAULT_TIMEOUT);
+  const pollInterval = Number(options.pollInterval || DEFAULT_POLL_INTERVAL);
+  const deadline = Date.now() + timeout * 1000;
+
+  for (;;) {
+    const result = await checkTransaction(provider, record, log, options);
+    if (result) {
+      return result;
+    }
+    if (Date.now() >= deadline) {
+      return { status: "timeout", hash: null, receipt: null };
+    }
+    await new Promise((resolve) => setTimeout(resolve, Math.min(pollInterval * 1000, Math.max(deadline - Date.now(), 0))));
+  }
+}
+
+// Fees for a replacement: the last fees raised by bumpPercent, or the current suggestion if higher
+async function replacementFees(provider, record, options = {}) {
+  const settings = resolveGasSettings(options.gas);
+  const bumpPercent = Number(options.bumpPercent || DEFAULT_BUMP_PERCENT);
+  if (bumpPercent < 10) {
+    throw new Error(`A replacement needs a fee bump of at least 10%, not ${bumpPercent}%`);
+  }
+  const bump = (value) => ethers.BigNumber.from(value).mul(Math.round((100 + bumpPercent) * 100)).div(10000);
+  const suggested = await suggestFees(provider, { ...settings, legacy: record.type === 0, maxFee: null });
+
+  let fees;
+  if (record.type === 2) {
+    const maxPriorityFeePerGas = max(bump(record.maxPriorityFeePerGas), suggested.maxPriorityFeePerGas);
+    const maxFeePerGas = max(max(bump(record.maxFeePerGas), suggested.maxFeePerGas), maxPriorityFeePerGas);
+    fees = { maxFeePerGas, maxPriorityFeePerGas };
+  } else {
+    fees = { gasPrice: max(bump(record.gasPrice), suggested.gasPrice), type: 0 };
+  }
+
+  // The cap still applies, but a replacement below the minimum bump would only be rejected
+  const price = fees.maxFeePerGas || fees.gasPrice;
+  if (settings.maxFee && price.gt(settings.maxFee)) {
+    throw new Error(`Replacing nonce ${record.nonce} needs ${ethers.utils.formatUnits(price, "gwei")} gwei, above the ${ethers.utils.formatUnits(settings.maxFee, "gwei")} gwei cap`);
+  }
+  return fees;
+}
+
+// Send a replacement for a pending record with the same nonce
+// mode "speed-up" resends the same call; "cancel" sends nothing to the sender itself
+// Options: bumpPercent (default 12.5), gas (settings for gas.js), replacedDepth
+// Returns the transaction response
+async function replaceTransaction(signer, record, log, mode, options = {}) {
+  if (!REPLACEMENT_MODES.includes(mode)) {
+    throw new Error(`Unknown replacement ${mode}: expected ${REPLACEMENT_MODES.join(", ")}`);
+  }
+  if (record.status !== "pending") {
+    throw new Error(`Nonce ${record.nonce} is already ${record.status}`);
+  }
+  const address = await signer.getAddress();
+  if (address.toLowerCase() !== record.from.toLowerCase()) {
+    throw new Error(`Transaction was sent by ${record.from}, not ${address}`);
+  }
+
+  // It may have been mined while nobody was watching
+  const settled = await checkTransaction(signer.provider, record, log, options);
+  if (settled) {
+    throw new Error(`Nonce ${record.nonce} is already ${settled.status}${settled.hash ? ` in ${settled.hash}` : ""}`);
+  }
+
+  const fees = await replacementFees(signer.provider, record, options);
+  const request = mode === "cancel"
+    ? { to: record.from, value: 0, data: "0x", gasLimit: 21000 }
+    : { to: record.to, value: record.value, data: record.data, gasLimit: record.gasLimit };
+  const tx = await signer.sendTransaction({ ...request, ...fees, nonce: record.nonce });
+
+  log.update(record, {
+    ...feesOf(tx),
+    hashes: [...record.hashes, { hash: tx.hash, kind: mode, sentAt: new Date().toISOString(), ...feesOf(tx) }]
+  });
+  return tx;
+}
+
+// Wait for a record, speeding it up each time the timeout passes, up to speedUps times
+// Options: timeout, pollInterval, replacedDepth, speedUps (default: TX_SPEED_UPS or 0), bumpPercent,
+// gas, onReplace(tx, attempt) called after each speed-up
+// Returns the result of the last wait
+async function waitWithSpeedUps(signer, record, log, options = {}) {
+  const speedUps = Number(options.speedUps !== undefined ? options.speedUps : process.env.TX_SPEED_UPS || 0);
+  let result = await waitForTracked(signer.provider, record, log, options);
+  for (let attempt = 1; result.status === "timeout" && attempt <= speedUps; attempt++) {
+    let tx;
+    try {
+      tx = await replaceTransaction(signer, record, log, "speed-up", options);
+    } catch (error) {
+      // Mined between the timeout and the replacement
+      if (record.status === "pending") {
+        throw error;
+      }
+      const receipt = record.minedHash ? await signer.provider.getTransactionReceipt(record.minedHash) : null;
+      return { status: record.status, hash: record.minedHash, receipt };
+    }
+    if (options.onReplace) {
+      options.onReplace(tx, attempt);
+    }
+    result = await waitForTracked(signer.provider, record, log, options);
+  }
+  return result;
+}
+
+module.exports = {
+  TX_LOG_VERSION,
+  DEFAULT_TX_LOG_PATH,
+  TX_STATUSES,
+  REPLACEMENT_MODES,
+  DEFAULT_BUMP_PERCENT,
+  openTxLog,
+  checkTransaction,
+  waitForTracked,
+  replaceTransaction,
+  waitWithSpeedUps
+};
@@ -0,0 +1,153 @@
+// HTTP relayer: accepts signed trades and submits them to the Exchange from the relayer wallet
+// POST /trades           submit a signed trade (JSON body in the trade file format)
+// GET  /trades/<id>      status of one submission (id is the order hash)
+// GET  /trades           pending submissions; ?status=confirmed,failed for others
+// GET  /health           relayer address, exchange, chain and queue size
+const http = require('http');
+const ethers = require('ethers');
+require('dotenv').config();
+// Fill in RPC_URL, CHAIN_ID and the addresses from the NETWORK profile, where .env leaves them unset
+require('./lib/networks').applyNetworkProfile();
+
+const { createRelayer, RelayerError, SUBMISSION_STATUSES, PENDING_STATUSES } = require('./lib/relayer');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body, null, 2));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayerError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on("error", reject);
+  });
+}
+
+// Submissions without the trade itself, for listings
+function summarise({ tradeData, ...submission }) {
+  return { ...submission, maker: tradeData.order.maker, taker: tradeData.order.taker };
+}
+
+function createHandler(relayer, chainId) {
+  return async (request, response) => {
+    const url = new URL(request.url, "http://relayer");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    try {
+      if (request.method === "GET" && url.pathname === "/health") {
+        return sendJson(response, 200, {
+          ok: true,
+          relayer: relayer.address,
+          exchange: relayer.exchangeAddress,
+          chainId,
+          pending: relayer.list().length,
+          nextNonce: relayer.nonces.peek()
+        });
+      }
+
+      if (parts[0] === "trades" && parts.length === 1 && request.method === "POST") {
+        let trade;
+        try {
+          trade = JSON.parse(await readBody(request));
+        } catch (error) {
+          throw error instanceof RelayerError ? error : new RelayerError(400, `Request body is not JSON: ${error.message}`);
+        }
+        const submission = await relayer.submit(trade);
+        return sendJson(response, 202, summarise(submission));
+      }
+
+      if (parts[0] === "trades" && parts.length === 1 && request.method === "GET") {
+        const statuses = url.searchParams.get("status") ? url.searchParams.get("status").split(",") : PENDING_STATUSES;
+        const unknown = statuses.filter((status) => !SUBMISSION_STATUSES.includes(status));
+        if (unknown.length > 0) {
+          throw new RelayerError(400, `Unknown status ${unknown.join(", ")}: expected ${SUBMISSION_STATUSES.join(", ")}`);
+        }
+        return sendJson(response, 200, relayer.list(statuses).map(summarise));
+      }
+
+      if (parts[0] === "trades" && parts.length === 2 && request.method === "GET") {
+        const submission = relayer.get(parts[1]);
+        if (!submission) {
+          throw new RelayerError(404, `No submission ${parts[1]}`);
+        }
+        return sendJson(response, 200, submission);
+      }
+
+      throw new RelayerError(404, `No route for ${request.method} ${url.pathname}`);
+    } catch (error) {
+      if (error instanceof RelayerError) {
+        return sendJson(response, error.status, { error: error.message, ...(error.details || {}) });
+      }
+      console.error("❌ Relayer error:", error);
+      return sendJson(response, 500, { error: error.message });
+    }
+  };
+}
+
+// Options override the corresponding environment variables:
+// rpcUrl (RPC_URL), privateKey (RELAYER_PRIVATE_KEY, then PRIVATE_KEY), exchangeAddress
+// (EXCHANGE_ADDRESS), port (RELAYER_PORT, default 9545), host (RELAYER_HOST, default 127.0.0.1),
+// statePath (RELAYER_STATE), confirmations (RELAYER_CONFIRMATIONS, default 1)
+// Returns { server, relayer, url } once listening
+async function startRelayer(options = {}) {
+  const provider = options.provider || new ethers.providers.JsonRpcProvider(options.rpcUrl || process.env.RPC_URL);
+  const privateKey = options.privateKey || process.env.RELAYER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+  const wallet = options.wallet || new ethers.Wallet(privateKey, provider);
+  const exchangeAddress = options.exchangeAddress || process.env.EXCHANGE_ADDRESS;
+  if (!exchangeAddress) {
+    throw new Error("No exchange address: set EXCHANGE_ADDRESS");
+  }
+
+  const { chainId } = await wallet.provider.getNetwork();
+  const relayer = createRelayer({
+    wallet,
+    exchangeAddress: ethers.utils.getAddress(exchangeAddress),
+    statePath: options.statePath,
+    confirmations: options.confirmations !== undefined ? options.confirmations : process.env.RELAYER_CONFIRMATIONS,
+    overrides: options.overrides
+  });
+  relayer.start();
+
+  const port = Number(options.port !== undefined ? options.port : process.env.RELAYER_PORT || 9545);
+  const host = options.host || process.env.RELAYER_HOST || "127.0.0.1";
+  const server = http.createServer(createHandler(relayer, chainId));
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return { server, relayer, url: `http://${address.address}:${address.port}` };
+}
+
+module.exports = { startRelayer, createHandler };
+
+// Run the relayer when invoked directly
+if (require.main === module) {
+  startRelayer()
+    .then(({ server, relayer, url }) => {
+      console.log(`🚀 Relayer ${relayer.address} listening on ${url} for exchange ${relayer.exchangeAddress}`);
+      process.on("SIGINT", () => {
+        console.log("Stopping; queued trades will be picked up on the next start");
+        relayer.stop();
+        server.close(() => process.exit(0));
+      });
+    })
+    .catch((error) => {
+      console.error("❌ Could not start the relayer:", error.message);
+      process.exit(1);
+    });
+}